@@ -2,6 +2,19 @@
  * MathFix 核心函数库类型定义
  */
 
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { ToWordsOptions } from './mathfix-words';
+
+export { Decimal, RoundingMode, ROUNDING_MODES } from './mathfix-decimal';
+export { Fraction, FractionInput, ToFractionOptions, toFraction } from './mathfix-fraction';
+
+/**
+ * 参与精确运算的数值，包含 Decimal 或 BigInt 时结果为 Decimal
+ * 包含 Fraction 时各函数另有重载，结果为 Fraction
+ */
+export type Numeric = number | Decimal | bigint;
+
 /**
  * 全局配置选项
  */
@@ -14,6 +27,18 @@ export interface MathFixConfig {
   thousandsSeparatorChar?: string;
   /** 小数点字符 */
   decimalSeparator?: string;
+  /** 舍入模式 */
+  roundingMode?: RoundingMode;
+  /** 单位，如 '元'、'$' */
+  unit?: string;
+  /** 单位位置 */
+  unitPosition?: 'prefix' | 'suffix';
+  /** 是否转换为大写 */
+  uppercase?: boolean;
+  /** 是否转换为中文数字 */
+  chineseNumber?: boolean;
+  /** 区域设置，如 'de-DE'，设为空字符串时恢复默认格式 */
+  locale?: string;
 }
 
 /**
@@ -22,6 +47,10 @@ export interface MathFixConfig {
 export interface FormatOptions {
   /** 小数位数 */
   precision?: number;
+  /** 舍入模式 */
+  roundingMode?: RoundingMode;
+  /** 舍入增量，如 0.05 */
+  roundingIncrement?: number | string;
   /** 是否使用千分位分隔符 */
   thousandsSeparator?: boolean;
   /** 单位 */
@@ -34,32 +63,132 @@ export interface FormatOptions {
   chineseNumber?: boolean;
   /** 是否转换为人民币大写 */
   chineseCapital?: boolean;
+  /** 是否拼写为外文单词，为对象时作为 toWords 的选项，如 { currency: 'USD' } */
+  words?: boolean | ToWordsOptions;
+  /** 区域设置，如 'de-DE'、'en-IN'，按该区域的分组、小数点、负号和数字字符格式化 */
+  locale?: string;
+  /** 指定区域时是否分组，默认 true */
+  useGrouping?: boolean;
+}
+
+/**
+ * 舍入选项
+ */
+export interface RoundOptions {
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+  /** 舍入增量（如 0.05 现金舍入），指定后忽略 precision */
+  increment?: number | string | Decimal | Fraction;
+}
+
+/**
+ * 除法选项
+ */
+export interface DivideOptions {
+  /** 结果保留的小数位数 */
+  scale?: number;
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 整除与取余选项
+ */
+export interface DivmodOptions {
+  /** 商的取整方式，默认 'down'（向零截断），'floor' 时余数与除数同号 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 分配选项
+ */
+export interface AllocateOptions {
+  /** 每份保留的小数位数，如果未指定则使用全局配置 */
+  precision?: number;
+}
+
+/**
+ * 解析选项
+ */
+export interface ParseOptions {
+  /** 区域设置，如果未指定则使用全局配置 */
+  locale?: string;
+  /** 千分位分隔符字符，如果未指定则使用全局配置 */
+  thousandsSeparatorChar?: string;
+  /** 小数点字符，如果未指定则使用全局配置 */
+  decimalSeparator?: string;
+  /** 需要去除的单位，如果未指定则使用全局配置 */
+  unit?: string;
+  /** 是否始终返回 Decimal */
+  decimal?: boolean;
 }
 
 /**
- * 设置全局配置
+ * 设置全局配置（在 MathFix.create 创建的实例中调用时只修改该实例的配置）
  */
 export function setConfig(options: MathFixConfig): void;
 
 /**
- * 获取当前全局配置
+ * 获取当前全局配置（在实例中调用时返回该实例的配置）
  */
 export function getConfig(): MathFixConfig;
 
+/**
+ * 创建独立的配置对象，未指定的配置项取自当前配置
+ * @param options 配置选项
+ */
+export function createConfig(options?: MathFixConfig): MathFixConfig;
+
+/**
+ * 使用指定的配置对象同步执行函数，执行期间所有读取配置的函数都使用该配置
+ * @param scopedConfig 配置对象，为空时直接执行
+ * @param fn 要执行的函数
+ * @param args 函数参数
+ */
+export function runWithConfig<A extends unknown[], R>(
+  scopedConfig: MathFixConfig | null,
+  fn: (...args: A) => R,
+  ...args: A
+): R;
+
+/**
+ * 在临时覆盖指定配置对象的作用域内执行函数，供 withConfig 和实例的 withConfig 使用
+ * @param baseConfig 被覆盖的全局配置或实例配置
+ * @param options 临时配置，未指定的配置项取自 baseConfig 当前生效的配置
+ * @param fn 要执行的函数，可以是 async 函数
+ * @returns fn 的返回值
+ */
+export function withScopedConfig<R>(baseConfig: MathFixConfig, options: MathFixConfig, fn: () => R): R;
+
+/**
+ * 在临时配置下执行函数，结束后（包括抛出错误时）自动恢复
+ * Node.js 中通过 AsyncLocalStorage 使配置在 fn 内的 await 之后仍然生效，其他环境只作用于 fn 的同步部分
+ * 只覆盖全局配置，MathFix.create 创建的实例仍使用实例配置，需要时请调用实例的 withConfig
+ * @param options 临时配置，未指定的配置项取自当前配置
+ * @param fn 要执行的函数，可以是 async 函数
+ * @returns fn 的返回值
+ */
+export function withConfig<R>(options: MathFixConfig, fn: () => R): R;
+
 /**
  * 获取数字的小数位数
  * @param num 数字
  * @returns 小数位数
  */
-export function getDecimalPlaces(num: number): number;
+export function getDecimalPlaces(num: Numeric): number;
 
 /**
  * 精确加法
  * @param a 加数
  * @param b 被加数
+ * @param rest 更多加数
  * @returns 精确的和
  */
-export function add(a: number, b: number): number;
+export function add(a: number, b: number, ...rest: number[]): number;
+export function add(a: Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function add(a: Numeric | Fraction, b: Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function add(a: Numeric, b: Numeric, ...rest: Numeric[]): Decimal;
+export function add(a: Numeric | Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): number | Decimal | Fraction;
 
 /**
  * 精确减法
@@ -68,14 +197,22 @@ export function add(a: number, b: number): number;
  * @returns 精确的差
  */
 export function subtract(a: number, b: number): number;
+export function subtract(a: Fraction, b: Numeric | Fraction): Fraction;
+export function subtract(a: Numeric | Fraction, b: Fraction): Fraction;
+export function subtract(a: Numeric, b: Numeric): Decimal;
 
 /**
  * 精确乘法
  * @param a 乘数
  * @param b 被乘数
+ * @param rest 更多乘数
  * @returns 精确的积
  */
-export function multiply(a: number, b: number): number;
+export function multiply(a: number, b: number, ...rest: number[]): number;
+export function multiply(a: Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function multiply(a: Numeric | Fraction, b: Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function multiply(a: Numeric, b: Numeric, ...rest: Numeric[]): Decimal;
+export function multiply(a: Numeric | Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): number | Decimal | Fraction;
 
 /**
  * 精确除法
@@ -83,15 +220,65 @@ export function multiply(a: number, b: number): number;
  * @param b 除数
  * @returns 精确的商
  */
-export function divide(a: number, b: number): number;
+export function divide(a: number, b: number, options?: DivideOptions): number;
+export function divide(a: Fraction, b: Numeric | Fraction, options?: DivideOptions): Fraction;
+export function divide(a: Numeric | Fraction, b: Fraction, options?: DivideOptions): Fraction;
+export function divide(a: Numeric, b: Numeric, options?: DivideOptions): Decimal;
+
+/**
+ * 精确整除与取余，余数满足 a = b * 商 + 余数
+ * @param a 被除数
+ * @param b 除数
+ * @param options 商的取整方式，默认 'down'（向零截断）
+ * @returns [商, 余数]
+ */
+export function divmod(a: number, b: number, options?: DivmodOptions): [number, number];
+export function divmod(a: Fraction, b: Numeric | Fraction, options?: DivmodOptions): [Fraction, Fraction];
+export function divmod(a: Numeric | Fraction, b: Fraction, options?: DivmodOptions): [Fraction, Fraction];
+export function divmod(a: Numeric, b: Numeric, options?: DivmodOptions): [Decimal, Decimal];
+
+/**
+ * 精确整除
+ * @param a 被除数
+ * @param b 除数
+ * @param options 商的取整方式
+ * @returns 整数商
+ */
+export function intDivide(a: number, b: number, options?: DivmodOptions): number;
+export function intDivide(a: Fraction, b: Numeric | Fraction, options?: DivmodOptions): Fraction;
+export function intDivide(a: Numeric | Fraction, b: Fraction, options?: DivmodOptions): Fraction;
+export function intDivide(a: Numeric, b: Numeric, options?: DivmodOptions): Decimal;
+
+/**
+ * 精确取余
+ * @param a 被除数
+ * @param b 除数
+ * @param options 商的取整方式
+ * @returns 余数
+ */
+export function mod(a: number, b: number, options?: DivmodOptions): number;
+export function mod(a: Fraction, b: Numeric | Fraction, options?: DivmodOptions): Fraction;
+export function mod(a: Numeric | Fraction, b: Fraction, options?: DivmodOptions): Fraction;
+export function mod(a: Numeric, b: Numeric, options?: DivmodOptions): Decimal;
+
+/**
+ * 将除法结果表示为循环小数，如 "0.(3)"、"0.1(6)"
+ * @param a 被除数
+ * @param b 除数
+ * @param options 选项
+ * @returns 循环小数字符串
+ */
+export function toRepeatingDecimal(a: Numeric | Fraction, b: Numeric | Fraction, options?: { maxDigits?: number }): string;
 
 /**
- * 四舍五入到指定小数位数
+ * 按舍入模式保留指定小数位数
  * @param num 数字
  * @param precision 保留的小数位数，如果未指定则使用全局配置
- * @returns 四舍五入后的数字
+ * @returns 舍入后的数字
  */
-export function round(num: number, precision?: number): number;
+export function round(num: number, precision?: number, options?: RoundingMode | RoundOptions): number;
+export function round(num: Fraction, precision?: number, options?: RoundingMode | RoundOptions): Fraction;
+export function round(num: Numeric, precision?: number, options?: RoundingMode | RoundOptions): Decimal;
 
 /**
  * 格式化数字，移除多余的小数位
@@ -100,13 +287,26 @@ export function round(num: number, precision?: number): number;
  * @returns 格式化后的数字或字符串
  */
 export function format(num: number, options?: FormatOptions): string | number;
+export function format(num: Numeric | Fraction, options?: FormatOptions): string | Decimal;
 
 /**
  * 为数字字符串添加千分位分隔符
  * @param numStr 数字字符串
+ * @param locale 区域设置，指定时按该区域的分组规则和符号格式化，如果未指定则使用全局配置
  * @returns 添加千分位分隔符后的字符串
  */
-export function addThousandsSeparator(numStr: string): string;
+export function addThousandsSeparator(numStr: string, locale?: string): string;
+
+/**
+ * 将格式化后的字符串解析为精确数字，是 format 的逆操作
+ * 支持千分位分隔符、自定义小数点、区域格式、单位与货币符号、括号负数、百分号和全角字符
+ * 分组位置不正确、包含多个小数点等含义不明确的输入会抛出错误
+ * @param str 待解析的字符串，如 "¥1,234.56"、"1.234,56 €"、"12.5%"
+ * @param options 解析选项
+ * @returns 解析结果，有效数字超过15位或指定 decimal 时返回 Decimal
+ */
+export function parse(str: string, options: ParseOptions & { decimal: true }): Decimal;
+export function parse(str: string, options?: ParseOptions): number | Decimal;
 
 /**
  * 精确幂运算
@@ -115,6 +315,8 @@ export function addThousandsSeparator(numStr: string): string;
  * @returns 精确的幂
  */
 export function power(base: number, exponent: number): number;
+export function power(base: Fraction, exponent: number): Fraction;
+export function power(base: Numeric, exponent: number): Decimal;
 
 /**
  * 精确开方
@@ -123,6 +325,8 @@ export function power(base: number, exponent: number): number;
  * @returns 精确的根
  */
 export function sqrt(num: number, root?: number): number;
+export function sqrt(num: Fraction, root?: number): Fraction;
+export function sqrt(num: Numeric, root?: number): Decimal;
 
 /**
  * 百分比计算
@@ -131,6 +335,9 @@ export function sqrt(num: number, root?: number): number;
  * @returns 百分比对应的数值
  */
 export function percentage(value: number, percentage: number): number;
+export function percentage(value: Fraction, percentage: Numeric | Fraction): Fraction;
+export function percentage(value: Numeric | Fraction, percentage: Fraction): Fraction;
+export function percentage(value: Numeric, percentage: Numeric): Decimal;
 
 /**
  * 计算百分比增长率
@@ -139,6 +346,9 @@ export function percentage(value: number, percentage: number): number;
  * @returns 增长率百分比
  */
 export function percentageChange(oldValue: number, newValue: number): number;
+export function percentageChange(oldValue: Fraction, newValue: Numeric | Fraction): Fraction;
+export function percentageChange(oldValue: Numeric | Fraction, newValue: Fraction): Fraction;
+export function percentageChange(oldValue: Numeric, newValue: Numeric): Decimal;
 
 /**
  * 计算平均值
@@ -146,6 +356,8 @@ export function percentageChange(oldValue: number, newValue: number): number;
  * @returns 平均值
  */
 export function average(numbers: number[]): number;
+export function average(numbers: Numeric[]): Decimal;
+export function average(numbers: Array<Numeric | Fraction>): Fraction;
 
 /**
  * 计算数组中的最大值
@@ -153,6 +365,8 @@ export function average(numbers: number[]): number;
  * @returns 最大值
  */
 export function max(numbers: number[]): number;
+export function max(numbers: Numeric[]): Decimal;
+export function max(numbers: Array<Numeric | Fraction>): Fraction;
 
 /**
  * 计算数组中的最小值
@@ -160,6 +374,8 @@ export function max(numbers: number[]): number;
  * @returns 最小值
  */
 export function min(numbers: number[]): number;
+export function min(numbers: Numeric[]): Decimal;
+export function min(numbers: Array<Numeric | Fraction>): Fraction;
 
 /**
  * 计算数组元素的和
@@ -167,6 +383,78 @@ export function min(numbers: number[]): number;
  * @returns 总和
  */
 export function sum(numbers: number[]): number;
+export function sum(numbers: Numeric[]): Decimal;
+export function sum(numbers: Array<Numeric | Fraction>): Fraction;
+
+/**
+ * 逐元素精确加法
+ * @param a 数组，或与 b 的每个元素相加的数字
+ * @param b 长度相同的数组，或与 a 的每个元素相加的数字
+ * @returns 各元素的和
+ */
+export function addEach(a: number[] | number, b: number[] | number): number[];
+export function addEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction): Array<number | Decimal | Fraction>;
+
+/**
+ * 逐元素精确减法
+ * @param a 被减数数组或数字
+ * @param b 减数数组或数字
+ * @returns 各元素的差
+ */
+export function subtractEach(a: number[] | number, b: number[] | number): number[];
+export function subtractEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction): Array<number | Decimal | Fraction>;
+
+/**
+ * 逐元素精确乘法
+ * @param a 数组，或与 b 的每个元素相乘的数字
+ * @param b 长度相同的数组，或与 a 的每个元素相乘的数字
+ * @returns 各元素的积
+ */
+export function multiplyEach(a: number[] | number, b: number[] | number): number[];
+export function multiplyEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction): Array<number | Decimal | Fraction>;
+
+/**
+ * 逐元素精确除法
+ * @param a 被除数数组或数字
+ * @param b 除数数组或数字
+ * @param options 除法选项
+ * @returns 各元素的商
+ */
+export function divideEach(a: number[] | number, b: number[] | number, options?: DivideOptions): number[];
+export function divideEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction, options?: DivideOptions): Array<number | Decimal | Fraction>;
+
+/**
+ * 多个数组对应元素乘积之和，与 Excel 的 SUMPRODUCT 相同
+ * @param arrays 长度相同的非空数组
+ * @returns 乘积之和
+ */
+export function sumProduct(...arrays: number[][]): number;
+export function sumProduct(...arrays: Array<Array<Numeric | Fraction>>): number | Decimal | Fraction;
+
+/**
+ * 向量点积
+ * @param a 向量
+ * @param b 长度相同的向量
+ * @returns 点积
+ */
+export function dot(a: number[], b: number[]): number;
+export function dot(a: Array<Numeric | Fraction>, b: Array<Numeric | Fraction>): number | Decimal | Fraction;
+
+/**
+ * 累计求和
+ * @param numbers 数字数组
+ * @returns 每个位置为到该元素为止的累计和
+ */
+export function cumulativeSum(numbers: number[]): number[];
+export function cumulativeSum(numbers: Array<Numeric | Fraction>): Array<number | Decimal | Fraction>;
+
+/**
+ * 相邻元素的差
+ * @param numbers 数字数组
+ * @returns 后一个元素减去前一个元素，长度比输入少1
+ */
+export function diff(numbers: number[]): number[];
+export function diff(numbers: Array<Numeric | Fraction>): Array<number | Decimal | Fraction>;
 
 /**
  * 绝对值
@@ -174,6 +462,8 @@ export function sum(numbers: number[]): number;
  * @returns 绝对值
  */
 export function abs(num: number): number;
+export function abs(num: Fraction): Fraction;
+export function abs(num: Numeric): Decimal;
 
 /**
  * 向上取整
@@ -181,6 +471,8 @@ export function abs(num: number): number;
  * @returns 向上取整后的数字
  */
 export function ceil(num: number): number;
+export function ceil(num: Fraction): Fraction;
+export function ceil(num: Numeric): Decimal;
 
 /**
  * 向下取整
@@ -188,6 +480,38 @@ export function ceil(num: number): number;
  * @returns 向下取整后的数字
  */
 export function floor(num: number): number;
+export function floor(num: Fraction): Fraction;
+export function floor(num: Numeric): Decimal;
+
+/**
+ * 取相反数
+ * @param num 数字
+ * @returns 相反数，0 取反仍为 0
+ */
+export function negate(num: number): number;
+export function negate(num: Fraction): Fraction;
+export function negate(num: Numeric): Decimal;
+
+/**
+ * 精确比较大小
+ * @param a 数字
+ * @param b 数字
+ * @returns a 小于 b 返回-1，等于返回0，大于返回1
+ */
+export function compare(a: Numeric | Fraction, b: Numeric | Fraction): -1 | 0 | 1;
+
+/**
+ * 将数字限制在 [min, max] 范围内
+ * @param num 数字
+ * @param min 最小值
+ * @param max 最大值
+ * @returns 限制后的数字，类型与参数中精度最高的类型一致
+ */
+export function clamp(num: number, min: number, max: number): number;
+export function clamp(num: Fraction, min: Numeric | Fraction, max: Numeric | Fraction): Fraction;
+export function clamp(num: Numeric | Fraction, min: Fraction, max: Numeric | Fraction): Fraction;
+export function clamp(num: Numeric | Fraction, min: Numeric | Fraction, max: Fraction): Fraction;
+export function clamp(num: Numeric, min: Numeric, max: Numeric): Decimal;
 
 /**
  * 计算复利
@@ -198,20 +522,75 @@ export function floor(num: number): number;
  * @returns 复利后的金额
  */
 export function compoundInterest(principal: number, rate: number, time: number, compound?: number): number;
+export function compoundInterest(principal: Fraction, rate: Numeric | Fraction, time: number, compound?: number): Fraction;
+export function compoundInterest(principal: Numeric | Fraction, rate: Fraction, time: number, compound?: number): Fraction;
+export function compoundInterest(principal: Numeric, rate: Numeric, time: number, compound?: number): Decimal;
+
+/**
+ * 按比例分配金额，各份之和严格等于总额（最大余数法，余数相同时下标小的优先）
+ * @param total 总额，小数位数不能超过 precision
+ * @param ratios 分配比例
+ * @param options 分配选项
+ * @returns 各份金额
+ */
+export function allocate(total: number, ratios: number[], options?: AllocateOptions): number[];
+export function allocate(total: Numeric, ratios: Numeric[], options?: AllocateOptions): Decimal[];
+export function allocate(total: Numeric | Fraction, ratios: Array<Numeric | Fraction>, options?: AllocateOptions): Fraction[];
+
+/**
+ * 将总额平均分成 n 份，各份之和严格等于总额
+ * @param total 总额
+ * @param n 份数
+ * @param options 分配选项
+ * @returns 各份金额
+ */
+export function splitEvenly(total: number, n: number, options?: AllocateOptions): number[];
+export function splitEvenly(total: Numeric, n: number, options?: AllocateOptions): Decimal[];
+export function splitEvenly(total: Fraction, n: number, options?: AllocateOptions): Fraction[];
+
+/**
+ * 中文数字转换选项
+ */
+export interface ChineseNumberOptions {
+  /** 口语形式，10~19 开头时省略“一”，如 12 为“十二”而非“一十二”，默认 false */
+  colloquial?: boolean;
+  /** 使用繁体字（萬、億、點、負），默认 false */
+  traditional?: boolean;
+}
 
 /**
  * 将数字转换为中文数字
- * @param num 数字
+ * 整数部分按万进制分节（万、亿、兆……载），支持任意长度的整数字符串和 BigInt
+ * @param num 数字，字符串可以包含千分位分隔符
+ * @param options 转换选项
  * @returns 中文数字字符串
  */
-export function toChineseNumber(num: number): string;
+export function toChineseNumber(num: number | string | bigint | Decimal, options?: ChineseNumberOptions): string;
+
+/**
+ * 人民币大写转换选项
+ */
+export interface ChineseCapitalOptions {
+  /** 是否保留到厘，默认 false */
+  li?: boolean;
+  /** 元的写法，默认 '元' */
+  yuan?: '元' | '圆';
+  /** 整的写法，默认 '整' */
+  zheng?: '整' | '正';
+  /** 多余小数的舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+  /** 设为 false 时输出不带元角分的大写数字，如“壹仟贰佰叁拾”，默认 true */
+  currency?: boolean;
+}
 
 /**
  * 将数字转换为人民币大写
- * @param num 数字
+ * 整数部分按万进制分节，支持兆、京等大额；超出角分（或厘）的小数按舍入模式舍入
+ * @param num 金额，字符串可以包含千分位分隔符
+ * @param options 转换选项
  * @returns 人民币大写字符串
  */
-export function toChineseCapital(num: number): string;
+export function toChineseCapital(num: number | string | bigint | Decimal, options?: ChineseCapitalOptions): string;
 
 /**
  * 根据配置添加单位和格式化
@@ -229,8 +608,13 @@ export interface MathFixCore {
   subtract: typeof subtract;
   multiply: typeof multiply;
   divide: typeof divide;
+  divmod: typeof divmod;
+  intDivide: typeof intDivide;
+  mod: typeof mod;
+  toRepeatingDecimal: typeof toRepeatingDecimal;
   round: typeof round;
   format: typeof format;
+  parse: typeof parse;
   getDecimalPlaces: typeof getDecimalPlaces;
   power: typeof power;
   sqrt: typeof sqrt;
@@ -240,10 +624,23 @@ export interface MathFixCore {
   max: typeof max;
   min: typeof min;
   sum: typeof sum;
+  addEach: typeof addEach;
+  subtractEach: typeof subtractEach;
+  multiplyEach: typeof multiplyEach;
+  divideEach: typeof divideEach;
+  sumProduct: typeof sumProduct;
+  dot: typeof dot;
+  cumulativeSum: typeof cumulativeSum;
+  diff: typeof diff;
   abs: typeof abs;
   ceil: typeof ceil;
   floor: typeof floor;
+  negate: typeof negate;
+  compare: typeof compare;
+  clamp: typeof clamp;
   compoundInterest: typeof compoundInterest;
+  allocate: typeof allocate;
+  splitEvenly: typeof splitEvenly;
 }
 
 /**
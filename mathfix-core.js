@@ -4,6 +4,10 @@
  * 解决JavaScript浮点数计算精度问题，如 0.1 + 0.2 = 0.30000000000000004
  */
 
+const { Decimal, ROUNDING_MODES, significantScale } = require('./mathfix-decimal.js');
+const { Fraction, toFraction } = require('./mathfix-fraction.js');
+const { toWords } = require('./mathfix-words.js');
+
 /**
  * 全局配置对象
  */
@@ -23,185 +27,265 @@ const config = {
   // 是否转换为大写（主要用于中文数字）
   uppercase: false,
   // 是否转换为中文数字
-  chineseNumber: false
+  chineseNumber: false,
+  // 舍入模式，见 ROUNDING_MODES
+  roundingMode: 'half-away-from-zero',
+  // 区域设置（如 'de-DE'），设置后分组、小数点、负号和数字字符均按该区域格式化
+  locale: ''
 };
 
-// 中文数字转换
-function toChineseNumber(num) {
-  // 参数处理：支持字符串数字和千分位格式
-  let processedNum = num;
-  
+// 当前生效的实例配置，由 runWithConfig 设置，为 null 时使用全局配置
+let activeConfig = null;
+
+// 没有 AsyncLocalStorage 时 withConfig 同步执行期间的作用域链，见 withScopedConfig
+let syncConfigScope = null;
+
+// Node.js 中保存 withConfig 临时配置的 AsyncLocalStorage，使配置在 await 之后仍然生效；其他环境为 null
+let asyncConfigStorage = null;
+try {
+  const { AsyncLocalStorage } = require('async_hooks');
+  if (AsyncLocalStorage) {
+    asyncConfigStorage = new AsyncLocalStorage();
+  }
+} catch (error) {
+  // 浏览器等没有 async_hooks 的环境，withConfig 只作用于同步执行部分
+}
+
+/**
+ * 查找 withConfig 为某个配置对象设置的临时配置，由内向外取最近的一层
+ * 作用域链的每一层为 { base, config, parent }，base 是被临时覆盖的全局配置或实例配置
+ * @param {Object} baseConfig 全局配置或实例配置
+ * @returns {Object} 临时配置，没有时返回 baseConfig 本身
+ */
+function scopedConfigFor(baseConfig) {
+  let scope = (asyncConfigStorage && asyncConfigStorage.getStore()) || syncConfigScope;
+  while (scope) {
+    if (scope.base === baseConfig) {
+      return scope.config;
+    }
+    scope = scope.parent;
+  }
+  return baseConfig;
+}
+
+/**
+ * 获取当前生效的配置对象
+ * 实例函数执行期间使用实例配置（或实例 withConfig 的临时配置），否则使用全局 withConfig 的临时配置或全局配置；
+ * 全局 withConfig 只覆盖全局配置，不影响实例
+ * @returns {Object} 当前生效的配置对象
+ */
+function currentConfig() {
+  return activeConfig || scopedConfigFor(config);
+}
+
+/**
+ * 使用指定的配置对象同步执行函数，执行期间所有读取配置的函数（包括 setConfig/getConfig）都使用该配置，
+ * 该配置处于实例 withConfig 的作用域内时使用其临时配置
+ * @param {Object|null} scopedConfig 配置对象，为空时直接执行
+ * @param {Function} fn 要执行的函数
+ * @param {...*} args 函数参数
+ * @returns {*} 函数的返回值
+ */
+function runWithConfig(scopedConfig, fn, ...args) {
+  if (!scopedConfig) {
+    return fn(...args);
+  }
+  const previous = activeConfig;
+  activeConfig = scopedConfigFor(scopedConfig);
+  try {
+    return fn(...args);
+  } finally {
+    activeConfig = previous;
+  }
+}
+
+// 中文数字大数单位，万进制：万 = 10^4，亿 = 10^8，兆 = 10^12 …… 载 = 10^44
+const CHINESE_BIG_UNITS = ['', '万', '亿', '兆', '京', '垓', '秭', '穰', '沟', '涧', '正', '载'];
+const CHINESE_BIG_UNITS_TRADITIONAL = ['', '萬', '億', '兆', '京', '垓', '秭', '穰', '溝', '澗', '正', '載'];
+
+/**
+ * 将中文数字转换的输入规范化为无符号整数部分、小数部分和符号
+ * @param {number|string|bigint|Decimal} num 数字
+ * @returns {{negative: boolean, integerPart: string, decimalPart: string}}
+ */
+function splitChineseNumberInput(num) {
+  let numStr;
   if (typeof num === 'string') {
     // 移除千分位分隔符（逗号、空格等）
-    processedNum = num.replace(/[,\s]/g, '');
+    numStr = num.replace(/[,\s]/g, '');
     
     // 验证是否为有效数字字符串
-    if (!/^-?\d*\.?\d*$/.test(processedNum)) {
+    if (!/^-?\d*\.?\d*$/.test(numStr)) {
       throw new Error('无效的数字格式');
     }
-    
-    // 转换为数字
-    processedNum = parseFloat(processedNum);
-    
-    // 检查是否为有效数字
-    if (isNaN(processedNum)) {
+    if (!/\d/.test(numStr)) {
       throw new Error('无法转换为有效数字');
     }
-  } else if (typeof num !== 'number') {
+  } else if (typeof num === 'number') {
+    if (!Number.isFinite(num)) {
+      throw new Error('无法转换为有效数字');
+    }
+    // 使用 Decimal 展开科学计数法，如 1e21
+    numStr = Decimal.from(num).toString();
+  } else if (typeof num === 'bigint' || num instanceof Decimal) {
+    numStr = num.toString();
+  } else {
     throw new Error('参数必须是数字或数字字符串');
   }
   
-  const digits = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
-  const units = ['', '十', '百', '千', '万', '十万', '百万', '千万', '亿'];
+  const negative = numStr.startsWith('-');
+  const parts = (negative ? numStr.slice(1) : numStr).split('.');
+  return {
+    negative,
+    integerPart: parts[0].replace(/^0+/, ''),
+    decimalPart: (parts[1] || '').replace(/0+$/, '')
+  };
+}
+
+/**
+ * 按万进制逐节转换整数字符串，超出最大单位时递归处理
+ * @param {string} integerStr 不含前导零的整数字符串
+ * @param {string[]} digits 数字字符
+ * @param {string[]} units 节内单位，如 ['', '十', '百', '千']
+ * @param {string[]} bigUnits 大数单位
+ * @returns {string} 中文数字
+ */
+function convertChineseInteger(integerStr, digits, units, bigUnits) {
+  const maxDigits = bigUnits.length * 4;
   
-  if (processedNum === 0) return '零';
+  // 超出最大单位（载）时，以最大单位为界拆成两部分递归转换
+  if (integerStr.length > maxDigits) {
+    const lowLength = maxDigits - 4;
+    const high = convertChineseInteger(integerStr.slice(0, -lowLength), digits, units, bigUnits);
+    const low = integerStr.slice(-lowLength).replace(/^0+/, '');
+    if (!low) {
+      return high + bigUnits[bigUnits.length - 1];
+    }
+    const zero = low.length < lowLength ? digits[0] : '';
+    return high + bigUnits[bigUnits.length - 1] + zero + convertChineseInteger(low, digits, units, bigUnits);
+  }
   
-  const isNegative = processedNum < 0;
-  processedNum = Math.abs(processedNum);
+  let result = '';
+  let needZero = false;
+  const sectionCount = Math.ceil(integerStr.length / 4);
+  for (let i = sectionCount - 1; i >= 0; i--) {
+    const end = integerStr.length - i * 4;
+    const section = parseInt(integerStr.slice(Math.max(end - 4, 0), end), 10);
+    
+    if (section === 0) {
+      // 整节为零时只记录，遇到下一个非零节时补一个零
+      needZero = result !== '';
+      continue;
+    }
+    if (needZero || (result && section < 1000)) {
+      result += digits[0];
+    }
+    result += convertSection(section, digits, units) + bigUnits[i];
+    needZero = false;
+  }
   
-  // 分离整数和小数部分
-  const parts = processedNum.toString().split('.');
-  const integerPart = parts[0];
-  const decimalPart = parts[1] || '';
+  return result;
+}
+
+/**
+ * 中文数字转换
+ * 整数部分按万进制分节（万、亿、兆……），支持任意长度的整数字符串和 BigInt
+ * @param {number|string|bigint|Decimal} num 数字，字符串可以包含千分位分隔符
+ * @param {Object} options 选项
+ * @param {boolean} options.colloquial 口语形式，10~19 开头时省略“一”，如 12 为“十二”而非“一十二”，默认为 false
+ * @param {boolean} options.traditional 使用繁体字（萬、億、點、負），默认为 false
+ * @returns {string} 中文数字
+ */
+function toChineseNumber(num, options = {}) {
+  const { negative, integerPart, decimalPart } = splitChineseNumberInput(num);
+  const digits = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+  const bigUnits = options.traditional ? CHINESE_BIG_UNITS_TRADITIONAL : CHINESE_BIG_UNITS;
   
-  let result = '';
+  if (!integerPart && !decimalPart) return digits[0];
   
   // 处理整数部分
-  if (integerPart !== '0') {
-    const len = integerPart.length;
-    for (let i = 0; i < len; i++) {
-      const digit = parseInt(integerPart[i]);
-      const unitIndex = len - i - 1;
-      
-      if (digit !== 0) {
-        result += digits[digit];
-        if (unitIndex > 0) {
-          result += units[unitIndex];
-        }
-      } else if (result && i < len - 1 && parseInt(integerPart[i + 1]) !== 0) {
-        result += '零';
-      }
-    }
-  } else {
-    result = '零';
+  let result = integerPart ? convertChineseInteger(integerPart, digits, ['', '十', '百', '千'], bigUnits) : digits[0];
+  if (options.colloquial && result.startsWith('一十')) {
+    result = result.slice(1);
   }
   
   // 处理小数部分
   if (decimalPart) {
-    result += '点';
+    result += options.traditional ? '點' : '点';
     for (let i = 0; i < decimalPart.length; i++) {
-      result += digits[parseInt(decimalPart[i])];
+      result += digits[parseInt(decimalPart[i], 10)];
     }
   }
   
-  return isNegative ? '负' + result : result;
+  if (negative) {
+    return (options.traditional ? '負' : '负') + result;
+  }
+  return result;
 }
 
-// 人民币大写转换函数
-function toChineseCapital(num) {
-  // 参数处理：支持字符串数字和千分位格式
-  let processedNum = num;
-  
-  if (typeof num === 'string') {
-    // 移除千分位分隔符（逗号、空格等）
-    processedNum = num.replace(/[,\s]/g, '');
-    
-    // 验证是否为有效数字字符串
-    if (!/^-?\d*\.?\d*$/.test(processedNum)) {
-      throw new Error('无效的数字格式');
-    }
-    
-    // 转换为数字
-    processedNum = parseFloat(processedNum);
-    
-    // 检查是否为有效数字
-    if (isNaN(processedNum)) {
-      throw new Error('无法转换为有效数字');
-    }
-  } else if (typeof num !== 'number') {
-    throw new Error('参数必须是数字或数字字符串');
-  }
-  
+/**
+ * 人民币大写转换
+ * 整数部分按万进制分节，支持兆、京等大额以及字符串、BigInt 输入；超出角分（或厘）的小数按舍入模式舍入
+ * @param {number|string|bigint|Decimal} num 金额，字符串可以包含千分位分隔符
+ * @param {Object} options 选项
+ * @param {boolean} options.li 是否保留到厘，默认为 false（保留到分）
+ * @param {string} options.yuan 元的写法：'元'（默认）或 '圆'
+ * @param {string} options.zheng 整的写法：'整'（默认）或 '正'
+ * @param {string} options.roundingMode 多余小数的舍入模式，如果未指定则使用全局配置
+ * @param {boolean} options.currency 是否为金额，设为 false 时输出不带元角分的大写数字，如“壹仟贰佰叁拾”，默认为 true
+ * @returns {string} 人民币大写
+ */
+function toChineseCapital(num, options = {}) {
   const digits = ['零', '壹', '贰', '叁', '肆', '伍', '陆', '柒', '捌', '玖'];
   const units = ['', '拾', '佰', '仟'];
-  const bigUnits = ['', '万', '亿', '兆'];
-  
-  if (processedNum === 0) return '零元整';
-  if (processedNum < 0) return '负' + toChineseCapital(-processedNum);
+  const { negative, integerPart, decimalPart } = splitChineseNumberInput(num);
   
-  // 处理超出范围的数字
-  if (processedNum >= 1000000000000) {
-    throw new Error('数字过大，超出转换范围');
+  // 非金额模式：小数部分逐位读出
+  if (options.currency === false) {
+    let result = integerPart ? convertChineseInteger(integerPart, digits, units, CHINESE_BIG_UNITS) : digits[0];
+    if (decimalPart) {
+      result += '点' + decimalPart.split('').map(digit => digits[digit]).join('');
+    }
+    return negative && (integerPart || decimalPart) ? '负' + result : result;
   }
   
-  // 分离整数和小数部分
-  const parts = processedNum.toString().split('.');
-  const integerPart = parseInt(parts[0]);
-  const decimalPart = parts[1] || '';
+  const yuan = options.yuan || '元';
+  const zheng = options.zheng || '整';
+  const decimalUnits = options.li ? ['角', '分', '厘'] : ['角', '分'];
   
-  let result = '';
+  // 带符号按舍入模式舍入到分（或厘），floor、ceiling 等有方向的模式对负数才能得到正确结果
+  const amount = new Decimal((negative ? '-' : '') + (integerPart || '0') + '.' + (decimalPart || '0'))
+    .round(decimalUnits.length, options.roundingMode || currentConfig().roundingMode);
+  const [roundedInteger, roundedDecimal = ''] = amount.abs().toString().split('.');
   
-  // 处理整数部分
-  if (integerPart === 0) {
-    result = '零';
-  } else {
-    result = convertIntegerPart(integerPart, digits, units, bigUnits);
-  }
+  if (amount.isZero()) return digits[0] + yuan + zheng;
   
-  result += '元';
+  // 处理整数部分
+  let result = roundedInteger === '0'
+    ? digits[0]
+    : convertChineseInteger(roundedInteger, digits, units, CHINESE_BIG_UNITS);
+  result += yuan;
   
-  // 处理小数部分（角分）
-  if (decimalPart.length > 0) {
-    const jiao = decimalPart.length >= 1 ? parseInt(decimalPart[0]) : 0;
-    const fen = decimalPart.length >= 2 ? parseInt(decimalPart[1]) : 0;
-    
-    if (jiao === 0 && fen === 0) {
-      result += '整';
-    } else {
-      if (jiao > 0) {
-        result += digits[jiao] + '角';
-      } else if (fen > 0) {
-        result += '零';
+  // 处理小数部分（角分厘），连续的零只读一个“零”
+  if (roundedDecimal) {
+    let needZero = false;
+    for (let i = 0; i < roundedDecimal.length; i++) {
+      const digit = parseInt(roundedDecimal[i], 10);
+      if (digit === 0) {
+        needZero = true;
+        continue;
       }
-      
-      if (fen > 0) {
-        result += digits[fen] + '分';
+      if (needZero) {
+        result += digits[0];
+        needZero = false;
       }
+      result += digits[digit] + decimalUnits[i];
     }
   } else {
-    result += '整';
-  }
-  
-  return result;
-}
-
-// 辅助函数：转换整数部分
-function convertIntegerPart(num, digits, units, bigUnits) {
-  if (num === 0) return '';
-  
-  let result = '';
-  let unitIndex = 0;
-  
-  while (num > 0) {
-    const section = num % 10000;
-    if (section > 0) {
-      let sectionStr = convertSection(section, digits, units);
-      if (unitIndex > 0) {
-        sectionStr += bigUnits[unitIndex];
-      }
-      result = sectionStr + result;
-    } else if (result && unitIndex > 0) {
-      // 处理中间的零
-      if (num > 0) {
-        result = '零' + result;
-      }
-    }
-    
-    num = Math.floor(num / 10000);
-    unitIndex++;
+    result += zheng;
   }
   
-  return result;
+  return amount.isNegative() ? '负' + result : result;
 }
 
 // 辅助函数：转换四位数段
@@ -231,13 +315,12 @@ function convertSection(num, digits, units) {
 
 // 添加单位和格式化处理
 function addUnitAndFormat(value, options = {}) {
-  const opts = { ...config, ...options };
+  const opts = { ...currentConfig(), ...options };
   let result = value.toString();
   
   // 转换为中文数字
   if (opts.chineseNumber) {
-    const numValue = typeof value === 'string' ? parseFloat(value) : value;
-    result = toChineseNumber(numValue);
+    result = toChineseNumber(value);
   }
   
   // 转换为大写（主要用于中文）
@@ -258,58 +341,197 @@ function addUnitAndFormat(value, options = {}) {
 }
 
 /**
- * 设置全局配置
- * @param {Object} options 配置选项
- * @param {number} options.defaultPrecision 默认小数位数
- * @param {boolean} options.thousandsSeparator 是否启用千分位分隔符
- * @param {string} options.thousandsSeparatorChar 千分位分隔符字符
- * @param {string} options.decimalSeparator 小数点字符
+ * 校验配置选项并写入目标配置对象
+ * @param {Object} target 目标配置对象
+ * @param {Object} options 配置选项，见 setConfig
  */
-function setConfig(options) {
+function applyConfig(target, options) {
   if (typeof options !== 'object' || options === null) {
     throw new Error('配置选项必须是一个对象');
   }
   
   if (typeof options.defaultPrecision === 'number' && options.defaultPrecision >= 0) {
-    config.defaultPrecision = Math.floor(options.defaultPrecision);
+    target.defaultPrecision = Math.floor(options.defaultPrecision);
   }
   
   if (typeof options.thousandsSeparator === 'boolean') {
-    config.thousandsSeparator = options.thousandsSeparator;
+    target.thousandsSeparator = options.thousandsSeparator;
   }
   
   if (typeof options.thousandsSeparatorChar === 'string') {
-    config.thousandsSeparatorChar = options.thousandsSeparatorChar;
+    target.thousandsSeparatorChar = options.thousandsSeparatorChar;
   }
   
   if (typeof options.decimalSeparator === 'string') {
-    config.decimalSeparator = options.decimalSeparator;
+    target.decimalSeparator = options.decimalSeparator;
+  }
+  
+  if (typeof options.unit === 'string') {
+    target.unit = options.unit;
+  }
+  
+  if (options.unitPosition === 'prefix' || options.unitPosition === 'suffix') {
+    target.unitPosition = options.unitPosition;
+  }
+  
+  if (typeof options.uppercase === 'boolean') {
+    target.uppercase = options.uppercase;
+  }
+  
+  if (typeof options.chineseNumber === 'boolean') {
+    target.chineseNumber = options.chineseNumber;
+  }
+  
+  if (options.roundingMode !== undefined) {
+    if (!ROUNDING_MODES.includes(options.roundingMode)) {
+      throw new Error('不支持的舍入模式：' + options.roundingMode);
+    }
+    target.roundingMode = options.roundingMode;
+  }
+  
+  if (typeof options.locale === 'string') {
+    if (options.locale) {
+      getLocaleSymbols(options.locale);
+    }
+    target.locale = options.locale;
   }
 }
 
 /**
- * 获取当前全局配置
+ * 设置全局配置（在 MathFix.create 创建的实例中调用时只修改该实例的配置）
+ * @param {Object} options 配置选项
+ * @param {number} options.defaultPrecision 默认小数位数
+ * @param {boolean} options.thousandsSeparator 是否启用千分位分隔符
+ * @param {string} options.thousandsSeparatorChar 千分位分隔符字符
+ * @param {string} options.decimalSeparator 小数点字符
+ * @param {string} options.unit 单位，如 '元'、'$'
+ * @param {string} options.unitPosition 单位位置：'prefix' 或 'suffix'
+ * @param {boolean} options.uppercase 是否转换为大写
+ * @param {boolean} options.chineseNumber 是否转换为中文数字
+ * @param {string} options.roundingMode 舍入模式，如 'half-away-from-zero'、'half-even'、'floor' 等
+ * @param {string} options.locale 区域设置，如 'de-DE'、'en-IN'，设为空字符串时恢复默认格式
+ */
+function setConfig(options) {
+  applyConfig(currentConfig(), options);
+}
+
+/**
+ * 获取当前全局配置（在实例中调用时返回该实例的配置）
  * @returns {Object} 当前配置对象的副本
  */
 function getConfig() {
-  return { ...config };
+  return { ...currentConfig() };
+}
+
+/**
+ * 创建独立的配置对象，未指定的配置项取自当前配置
+ * @param {Object} options 配置选项，见 setConfig
+ * @returns {Object} 新的配置对象
+ */
+function createConfig(options = {}) {
+  const instanceConfig = { ...currentConfig() };
+  applyConfig(instanceConfig, options);
+  return instanceConfig;
+}
+
+/**
+ * 在临时覆盖指定配置对象的作用域内执行函数，供 withConfig 和实例的 withConfig 使用
+ * @param {Object} baseConfig 被覆盖的全局配置或实例配置
+ * @param {Object} options 临时配置，见 setConfig；未指定的配置项取自 baseConfig 当前生效的配置
+ * @param {Function} fn 要执行的函数，可以是 async 函数
+ * @returns {*} fn 的返回值
+ */
+function withScopedConfig(baseConfig, options, fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('withConfig 的第二个参数必须是函数');
+  }
+  const scopedConfig = { ...scopedConfigFor(baseConfig) };
+  applyConfig(scopedConfig, options);
+  if (asyncConfigStorage) {
+    const parent = asyncConfigStorage.getStore() || null;
+    return asyncConfigStorage.run({ base: baseConfig, config: scopedConfig, parent }, fn);
+  }
+  const previous = syncConfigScope;
+  syncConfigScope = { base: baseConfig, config: scopedConfig, parent: previous };
+  try {
+    return fn();
+  } finally {
+    syncConfigScope = previous;
+  }
+}
+
+/**
+ * 在临时配置下执行函数，执行期间 format、round、getConfig 等使用该配置，结束后（包括抛出错误时）自动恢复
+ * Node.js 中通过 AsyncLocalStorage 使配置在 fn 内的 await 之后仍然生效，其他环境只作用于 fn 的同步部分
+ * 临时配置只覆盖全局配置，MathFix.create 创建的实例仍使用实例配置，需要时请调用实例的 withConfig
+ * @param {Object} options 临时配置，见 setConfig；未指定的配置项取自当前配置
+ * @param {Function} fn 要执行的函数，可以是 async 函数
+ * @returns {*} fn 的返回值
+ */
+function withConfig(options, fn) {
+  return withScopedConfig(config, options, fn);
+}
+
+/**
+ * 判断参与运算的值中是否包含高精度类型（Decimal 或 BigInt）
+ * 包含时运算走 Decimal 精确路径并返回 Decimal
+ * @param {...*} values 参与运算的值
+ * @returns {boolean}
+ */
+function hasDecimal(...values) {
+  return values.some(value => value instanceof Decimal || typeof value === 'bigint');
+}
+
+/**
+ * 判断参与运算的值中是否包含分数
+ * 包含时运算走 Fraction 精确路径并返回 Fraction，优先于 Decimal
+ * @param {...*} values 参与运算的值
+ * @returns {boolean}
+ */
+function hasFraction(...values) {
+  return values.some(value => value instanceof Fraction);
+}
+
+/**
+ * 判断数值是否为零（支持 Number、Decimal、Fraction）
+ * @param {number|Decimal|Fraction|bigint} value 数值
+ * @returns {boolean}
+ */
+function isZeroValue(value) {
+  if (hasFraction(value)) {
+    return value.isZero();
+  }
+  return hasDecimal(value) ? Decimal.from(value).isZero() : value === 0;
 }
 
 /**
  * 获取数字的小数位数
- * @param {number} num 数字
+ * @param {number|Decimal|Fraction|bigint} num 数字
  * @returns {number} 小数位数
  */
 function getDecimalPlaces(num) {
-  const str = num.toString();
-  if (str.indexOf('.') !== -1) {
-    return str.split('.')[1].length;
+  if (hasFraction(num)) {
+    return num.toDecimal().scale;
+  }
+  if (hasDecimal(num)) {
+    return Decimal.from(num).scale;
   }
-  return 0;
+  // 支持科学计数法，如 1e-7 的小数位数为7，1.5e-10 为11
+  const match = /^-?\d+(?:\.(\d+))?(?:e([+-]?\d+))?$/i.exec(num.toString());
+  if (!match) {
+    return 0;
+  }
+  const fractionLength = match[1] ? match[1].length : 0;
+  const exponent = match[2] ? parseInt(match[2], 10) : 0;
+  return Math.max(fractionLength - exponent, 0);
 }
 
+// 10^22 是 Number 能精确表示的最大的10的整数次幂
+const MAX_EXACT_POWER_OF_TEN = 22;
+
 /**
  * 将小数转换为整数进行计算
+ * 结果可能超出 Number.MAX_SAFE_INTEGER，调用方需通过 needsExactPath 检查
  * @param {number} num 数字
  * @param {number} precision 精度（小数位数）
  * @returns {number} 转换后的整数
@@ -318,88 +540,273 @@ function toInteger(num, precision) {
   return Math.round(num * Math.pow(10, precision));
 }
 
+/**
+ * 判断整数化计算是否会丢失精度
+ * 缩放后的整数或中间结果超出安全整数范围、或缩放倍数无法精确表示时，需要改用 Decimal 精确计算
+ * @param {number[]} inputs 原始参数
+ * @param {number} precision 缩放使用的小数位数
+ * @param {number[]} scaled 缩放后的整数及中间结果
+ * @returns {boolean}
+ */
+function needsExactPath(inputs, precision, scaled) {
+  // NaN、Infinity 保持原生运算的结果
+  if (!inputs.every(Number.isFinite)) {
+    return false;
+  }
+  return precision > MAX_EXACT_POWER_OF_TEN || !scaled.every(Number.isSafeInteger);
+}
+
 /**
  * 精确加法
- * @param {number} a 加数
- * @param {number} b 被加数
- * @returns {number} 精确的和
+ * @param {number|Decimal|Fraction|bigint} a 加数
+ * @param {number|Decimal|Fraction|bigint} b 被加数
+ * @param {...(number|Decimal|Fraction|bigint)} rest 更多加数，如 add(0.1, 0.2, 0.3)
+ * @returns {number|Decimal|Fraction} 精确的和，任一参数为 Decimal 或 BigInt 时返回 Decimal，为 Fraction 时返回 Fraction
  */
-function add(a, b) {
+function add(a, b, ...rest) {
+  if (b === undefined) {
+    throw new Error('add 至少需要两个加数，计算数组的和请使用 sum()');
+  }
+  if (rest.length > 0) {
+    return rest.reduce((result, num) => add(result, num), add(a, b));
+  }
+  if (hasFraction(a, b)) {
+    return Fraction.from(a).add(b);
+  }
+  if (hasDecimal(a, b)) {
+    return Decimal.from(a).add(b);
+  }
   const precision = Math.max(getDecimalPlaces(a), getDecimalPlaces(b));
   const multiplier = Math.pow(10, precision);
-  return (toInteger(a, precision) + toInteger(b, precision)) / multiplier;
+  const intA = toInteger(a, precision);
+  const intB = toInteger(b, precision);
+  const result = intA + intB;
+  if (needsExactPath([a, b], precision, [intA, intB, result])) {
+    return Decimal.from(a).add(b).toNumber();
+  }
+  return result / multiplier;
 }
 
 /**
  * 精确减法
- * @param {number} a 被减数
- * @param {number} b 减数
- * @returns {number} 精确的差
+ * @param {number|Decimal|Fraction|bigint} a 被减数
+ * @param {number|Decimal|Fraction|bigint} b 减数
+ * @returns {number|Decimal|Fraction} 精确的差，任一参数为 Decimal 或 BigInt 时返回 Decimal，为 Fraction 时返回 Fraction
  */
 function subtract(a, b) {
+  if (hasFraction(a, b)) {
+    return Fraction.from(a).subtract(b);
+  }
+  if (hasDecimal(a, b)) {
+    return Decimal.from(a).subtract(b);
+  }
   const precision = Math.max(getDecimalPlaces(a), getDecimalPlaces(b));
   const multiplier = Math.pow(10, precision);
-  return (toInteger(a, precision) - toInteger(b, precision)) / multiplier;
+  const intA = toInteger(a, precision);
+  const intB = toInteger(b, precision);
+  const result = intA - intB;
+  if (needsExactPath([a, b], precision, [intA, intB, result])) {
+    return Decimal.from(a).subtract(b).toNumber();
+  }
+  return result / multiplier;
 }
 
 /**
  * 精确乘法
- * @param {number} a 乘数
- * @param {number} b 被乘数
- * @returns {number} 精确的积
+ * @param {number|Decimal|Fraction|bigint} a 乘数
+ * @param {number|Decimal|Fraction|bigint} b 被乘数
+ * @param {...(number|Decimal|Fraction|bigint)} rest 更多乘数，如 multiply(1.1, 1.1, 1.1)
+ * @returns {number|Decimal|Fraction} 精确的积，任一参数为 Decimal 或 BigInt 时返回 Decimal，为 Fraction 时返回 Fraction
  */
-function multiply(a, b) {
+function multiply(a, b, ...rest) {
+  if (b === undefined) {
+    throw new Error('multiply 至少需要两个乘数');
+  }
+  if (rest.length > 0) {
+    return rest.reduce((result, num) => multiply(result, num), multiply(a, b));
+  }
+  if (hasFraction(a, b)) {
+    return Fraction.from(a).multiply(b);
+  }
+  if (hasDecimal(a, b)) {
+    return Decimal.from(a).multiply(b);
+  }
   const precisionA = getDecimalPlaces(a);
   const precisionB = getDecimalPlaces(b);
   const multiplier = Math.pow(10, precisionA + precisionB);
-  return (toInteger(a, precisionA) * toInteger(b, precisionB)) / multiplier;
+  const intA = toInteger(a, precisionA);
+  const intB = toInteger(b, precisionB);
+  const result = intA * intB;
+  if (needsExactPath([a, b], precisionA + precisionB, [intA, intB, result])) {
+    return Decimal.from(a).multiply(b).toNumber();
+  }
+  return result / multiplier;
 }
 
 /**
  * 精确除法
- * @param {number} a 被除数
- * @param {number} b 除数
- * @returns {number} 精确的商
+ * @param {number|Decimal|Fraction|bigint} a 被除数
+ * @param {number|Decimal|Fraction|bigint} b 除数
+ * @param {Object} options 除法选项
+ * @param {number} options.scale 结果保留的小数位数，指定后按舍入模式返回正确舍入的商
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @returns {number|Decimal|Fraction} 精确的商，任一参数为 Decimal 或 BigInt 时返回 Decimal，为 Fraction 时返回 Fraction
  */
-function divide(a, b) {
+function divide(a, b, options = {}) {
+  if (hasFraction(a, b)) {
+    const quotient = Fraction.from(a).divide(b);
+    return options.scale !== undefined ? round(quotient, options.scale, options) : quotient;
+  }
+  if (options.scale !== undefined) {
+    const quotient = Decimal.from(a).divide(b, {
+      scale: options.scale,
+      roundingMode: options.roundingMode !== undefined ? options.roundingMode : currentConfig().roundingMode
+    });
+    return hasDecimal(a, b) ? quotient : quotient.toNumber();
+  }
+  if (hasDecimal(a, b)) {
+    return Decimal.from(a).divide(b);
+  }
   if (b === 0) {
     throw new Error('除数不能为0');
   }
   const precisionA = getDecimalPlaces(a);
   const precisionB = getDecimalPlaces(b);
   const precision = Math.max(precisionA, precisionB);
-  const multiplier = Math.pow(10, precision);
-  return (toInteger(a, precision) / toInteger(b, precision));
+  const intA = toInteger(a, precision);
+  const intB = toInteger(b, precision);
+  if (needsExactPath([a, b], precision, [intA, intB])) {
+    // 默认的20位小数会把 1e-23 / 7 这样极小的商截断为0，按两数的数量级保留足够的有效数字
+    const dividend = Decimal.from(a);
+    const divisor = Decimal.from(b);
+    const scale = significantScale(dividend.coefficient, divisor.coefficient) + dividend.scale - divisor.scale;
+    return dividend.divide(divisor, { scale: Math.max(scale, 0) }).toNumber();
+  }
+  return intA / intB;
 }
 
 /**
- * 四舍五入到指定小数位数
- * @param {number} num 数字
+ * 精确整除与取余
+ * 余数满足 a = b * 商 + 余数，如 divmod(0.3, 0.1) 得到 [3, 0]
+ * @param {number|Decimal|Fraction|bigint} a 被除数
+ * @param {number|Decimal|Fraction|bigint} b 除数
+ * @param {Object} options 选项
+ * @param {string} options.roundingMode 商的取整方式，默认 'down'（向零截断，与 % 运算符一致），'floor' 时余数与除数同号
+ * @returns {Array<number|Decimal|Fraction>} [商, 余数]
+ */
+function divmod(a, b, options = {}) {
+  const roundingMode = options.roundingMode !== undefined ? options.roundingMode : 'down';
+  if (hasFraction(a, b)) {
+    const quotient = Fraction.from(a).divide(b).round(0, roundingMode);
+    return [quotient, Fraction.from(a).subtract(quotient.multiply(b))];
+  }
+  const dividend = Decimal.from(a);
+  const divisor = Decimal.from(b);
+  const quotient = dividend.divide(divisor, { scale: 0, roundingMode });
+  const remainder = dividend.subtract(divisor.multiply(quotient));
+  if (hasDecimal(a, b)) {
+    return [quotient, remainder];
+  }
+  return [quotient.toNumber(), remainder.toNumber()];
+}
+
+/**
+ * 精确整除
+ * @param {number|Decimal|Fraction|bigint} a 被除数
+ * @param {number|Decimal|Fraction|bigint} b 除数
+ * @param {Object} options 选项，同 divmod
+ * @returns {number|Decimal|Fraction} 整数商
+ */
+function intDivide(a, b, options) {
+  return divmod(a, b, options)[0];
+}
+
+/**
+ * 精确取余，如 mod(0.3, 0.1) 得到 0（原生 0.3 % 0.1 为 0.09999999999999998）
+ * @param {number|Decimal|Fraction|bigint} a 被除数
+ * @param {number|Decimal|Fraction|bigint} b 除数
+ * @param {Object} options 选项，同 divmod
+ * @returns {number|Decimal|Fraction} 余数
+ */
+function mod(a, b, options) {
+  return divmod(a, b, options)[1];
+}
+
+/**
+ * 将除法结果表示为循环小数，循环节用括号标出
+ * @param {number|Decimal|Fraction|bigint} a 被除数
+ * @param {number|Decimal|Fraction|bigint} b 除数
+ * @param {Object} options 选项
+ * @param {number} options.maxDigits 小数部分的最大位数，默认1000，超出时抛出错误
+ * @returns {string} 如 toRepeatingDecimal(1, 3) 得到 "0.(3)"，toRepeatingDecimal(1, 6) 得到 "0.1(6)"
+ */
+function toRepeatingDecimal(a, b, options = {}) {
+  return Fraction.from(a).divide(b).toRepeatingDecimal(options.maxDigits);
+}
+
+/**
+ * 按舍入模式保留指定小数位数
+ * 基于数字的十进制表示精确舍入，如 round(1.005, 2) 得到 1.01
+ * @param {number|Decimal|Fraction|bigint} num 数字
  * @param {number} precision 保留的小数位数，如果未指定则使用全局配置
- * @returns {number} 四舍五入后的数字
+ * @param {string|Object} options 舍入模式字符串，或选项对象
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @param {number|Decimal|string} options.increment 舍入增量（如 0.05），指定后按增量舍入并忽略 precision
+ * @returns {number|Decimal|Fraction} 舍入后的数字
  */
-function round(num, precision) {
-  const actualPrecision = precision !== undefined ? precision : config.defaultPrecision;
-  const multiplier = Math.pow(10, actualPrecision);
-  return Math.round(num * multiplier) / multiplier;
+function round(num, precision, options = {}) {
+  const actualPrecision = precision !== undefined ? precision : currentConfig().defaultPrecision;
+  const opts = typeof options === 'string' ? { roundingMode: options } : options;
+  const roundingMode = opts.roundingMode !== undefined ? opts.roundingMode : currentConfig().roundingMode;
+  
+  if (hasFraction(num)) {
+    return opts.increment !== undefined
+      ? num.divide(opts.increment).round(0, roundingMode).multiply(opts.increment)
+      : num.round(actualPrecision, roundingMode);
+  }
+  
+  // NaN、Infinity 无法舍入，原样返回
+  if (!hasDecimal(num) && !Number.isFinite(num)) {
+    return num;
+  }
+  
+  const value = Decimal.from(num);
+  const result = opts.increment !== undefined
+    ? value.roundToIncrement(opts.increment, roundingMode)
+    : value.round(actualPrecision, roundingMode);
+  return hasDecimal(num) ? result : result.toNumber();
 }
 
 /**
  * 格式化数字，移除多余的小数位
- * @param {number} num 数字
+ * @param {number|Decimal|Fraction|bigint} num 数字
  * @param {Object} options 格式化选项
  * @param {number} options.precision 小数位数，如果未指定则使用全局配置
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @param {number|string} options.roundingIncrement 舍入增量（如 0.05）
  * @param {boolean} options.thousandsSeparator 是否使用千分位分隔符，如果未指定则使用全局配置
  * @param {string} options.unit 单位，如果未指定则使用全局配置
  * @param {string} options.unitPosition 单位位置，如果未指定则使用全局配置
  * @param {boolean} options.uppercase 是否转换为大写，如果未指定则使用全局配置
  * @param {boolean} options.chineseNumber 是否转换为中文数字，如果未指定则使用全局配置
  * @param {boolean} options.chineseCapital 是否转换为人民币大写，如果未指定则使用全局配置
- * @returns {string|number} 格式化后的数字或字符串
+ * @param {boolean|Object} options.words 是否拼写为外文单词，为对象时作为 toWords 的选项（如 { currency: 'USD' }），
+ *   拼写语言取 words.locale，默认为 'en'，不受 options.locale 影响
+ * @param {string} options.locale 区域设置，如 'de-DE'，如果未指定则使用全局配置
+ * @param {boolean} options.useGrouping 指定区域时是否分组，默认为 true
+ * @returns {string|number|Decimal} 格式化后的数字或字符串，Decimal 输入在无字符串格式化时返回 Decimal
  */
 function format(num, options = {}) {
   // 合并全局配置和传入的选项
-  const opts = { ...config, ...options };
+  const opts = { ...currentConfig(), ...options };
+  
+  // 先进行精度处理（Decimal 本身是精确的，无需处理；分数转换为 Decimal）
+  let result;
+  if (hasFraction(num)) {
+    result = num.toDecimal();
+  } else {
+    result = hasDecimal(num) ? Decimal.from(num) : parseFloat(num.toPrecision(12));
+  }
   
   // 如果没有任何格式化选项，返回精度修复后的数字
   if (Object.keys(options).length === 0 && 
@@ -407,33 +814,54 @@ function format(num, options = {}) {
       !opts.unit && 
       !opts.uppercase && 
       !opts.chineseNumber &&
-      !opts.chineseCapital) {
-    return parseFloat(num.toPrecision(12));
+      !opts.chineseCapital &&
+      !opts.words &&
+      !opts.locale) {
+    return result;
   }
   
-  // 先进行精度处理
-  let result = parseFloat(num.toPrecision(12));
+  // 如果指定了精度或舍入增量，按舍入模式进行舍入
+  if (opts.precision !== undefined || opts.roundingIncrement !== undefined) {
+    // 分数在精确值上舍入，避免先截取为 Decimal 带来的二次舍入
+    result = round(hasFraction(num) ? num : result, opts.precision, {
+      roundingMode: opts.roundingMode,
+      increment: opts.roundingIncrement
+    });
+    if (hasFraction(result)) {
+      result = result.toDecimal();
+    }
+  }
   
-  // 如果指定了精度，进行四舍五入
-  if (opts.precision !== undefined) {
-    result = round(result, opts.precision);
+  // 如果需要拼写为外文单词
+  if (opts.words) {
+    const wordsOptions = typeof opts.words === 'object' ? opts.words : {};
+    return toWords(result, {
+      // 拼写语言只取 words.locale：options.locale 是 Intl 数字格式的区域，可能没有对应的拼写规则
+      locale: wordsOptions.locale || 'en',
+      currency: wordsOptions.currency,
+      roundingMode: wordsOptions.roundingMode || opts.roundingMode
+    });
   }
   
   // 如果需要转换为人民币大写
   if (opts.chineseCapital) {
-    return toChineseCapital(result);
+    return toChineseCapital(result instanceof Decimal ? result.toString() : result);
   }
   
   // 如果需要转换为中文数字
   if (opts.chineseNumber) {
-    return addUnitAndFormat(result, opts);
+    return addUnitAndFormat(result instanceof Decimal ? result.toString() : result, opts);
   }
   
   // 转换为字符串
   let resultStr = result.toString();
   
-  // 添加千分位分隔符
-  if (opts.thousandsSeparator) {
+  // 按区域格式化，或添加千分位分隔符
+  if (opts.locale) {
+    // 科学计数法表示的数字先展开为普通小数
+    const plainStr = typeof result === 'number' && !Number.isFinite(result) ? resultStr : Decimal.from(result).toString();
+    resultStr = localizeNumberString(plainStr, opts.locale, opts.useGrouping !== false);
+  } else if (opts.thousandsSeparator) {
     resultStr = addThousandsSeparator(resultStr);
   }
   
@@ -452,41 +880,290 @@ function format(num, options = {}) {
   }
   
   // 如果没有进行任何字符串格式化，返回数字
-  if (!opts.thousandsSeparator && !opts.unit && !opts.uppercase) {
+  if (!opts.thousandsSeparator && !opts.unit && !opts.uppercase && !opts.locale) {
     return result;
   }
   
   return resultStr;
 }
 
+// 区域格式符号缓存，避免重复创建 Intl.NumberFormat
+const localeSymbolsCache = new Map();
+
+/**
+ * 从 Intl.NumberFormat 获取区域的数字格式符号
+ * @param {string} locale 区域标识，如 'de-DE'、'en-IN'、'ar-EG'
+ * @returns {{group: string, decimal: string, minusSign: string, digits: string[], primaryGroupSize: number, secondaryGroupSize: number, minimumGroupingDigits: number}}
+ */
+function getLocaleSymbols(locale) {
+  if (localeSymbolsCache.has(locale)) {
+    return localeSymbolsCache.get(locale);
+  }
+
+  let formatter;
+  let requested;
+  try {
+    formatter = new Intl.NumberFormat(locale, { maximumFractionDigits: 3 });
+    requested = Intl.getCanonicalLocales(locale)[0];
+  } catch (error) {
+    throw new Error('不支持的区域设置：' + locale);
+  }
+  // 运行环境缺少该区域的数据时（如 small-icu 构建的 Node），Intl 会静默回退到其他区域，
+  // 比较去掉扩展（如 -u-nu-deva）后的区域标识，以免输出错误的格式
+  const baseName = tag => tag.replace(/-[0-9a-z]-.*$/i, '');
+  if (baseName(formatter.resolvedOptions().locale) !== baseName(requested)) {
+    throw new Error('不支持的区域设置：' + locale + '，当前运行环境缺少该区域的数据');
+  }
+
+  // 用一个足够长的负小数获取分组大小、分隔符和负号
+  const parts = formatter.formatToParts(-1234567.891);
+  const integers = parts.filter(part => part.type === 'integer').map(part => part.value);
+  const group = parts.find(part => part.type === 'group');
+  const decimal = parts.find(part => part.type === 'decimal');
+  const firstInteger = parts.findIndex(part => part.type === 'integer');
+
+  const symbols = {
+    group: group ? group.value : '',
+    decimal: decimal ? decimal.value : '.',
+    // 负号前后可能带有方向控制字符（如阿拉伯语），整体作为前缀
+    minusSign: parts.slice(0, firstInteger).map(part => part.value).join(''),
+    digits: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(digit => formatter.format(digit)),
+    primaryGroupSize: integers[integers.length - 1].length,
+    secondaryGroupSize: integers.length > 2 ? integers[integers.length - 2].length : integers[integers.length - 1].length,
+    // 部分区域（如 es-ES、pl-PL）四位整数不分组
+    minimumGroupingDigits: formatter.formatToParts(1234).some(part => part.type === 'group') ? 1 : 2
+  };
+  localeSymbolsCache.set(locale, symbols);
+  return symbols;
+}
+
+/**
+ * 按区域规则格式化数字字符串（分组、小数点、负号和本地数字）
+ * @param {string} numStr 数字字符串，如 '-1234567.891'
+ * @param {string} locale 区域标识
+ * @param {boolean} useGrouping 是否分组，默认为 true
+ * @returns {string} 格式化后的字符串
+ */
+function localizeNumberString(numStr, locale, useGrouping = true) {
+  const symbols = getLocaleSymbols(locale);
+  const negative = numStr.startsWith('-');
+  const [integerPart, decimalPart] = (negative ? numStr.slice(1) : numStr).split('.');
+
+  let formattedInteger = integerPart;
+  if (useGrouping && symbols.group &&
+      integerPart.length >= symbols.primaryGroupSize + symbols.minimumGroupingDigits) {
+    const groups = [integerPart.slice(-symbols.primaryGroupSize)];
+    let rest = integerPart.slice(0, -symbols.primaryGroupSize);
+    while (rest.length > 0) {
+      groups.unshift(rest.slice(-symbols.secondaryGroupSize));
+      rest = rest.slice(0, -symbols.secondaryGroupSize);
+    }
+    formattedInteger = groups.join(symbols.group);
+  }
+
+  let result = formattedInteger + (decimalPart ? symbols.decimal + decimalPart : '');
+  result = result.replace(/\d/g, digit => symbols.digits[digit]);
+  return negative ? symbols.minusSign + result : result;
+}
+
 /**
  * 为数字字符串添加千分位分隔符
+ * 指定区域（或全局配置了 locale）时按该区域的分组规则和符号格式化
  * @param {string} numStr 数字字符串
+ * @param {string} locale 区域标识，如 'de-DE'、'en-IN'，如果未指定则使用全局配置
  * @returns {string} 添加千分位分隔符后的字符串
  */
-function addThousandsSeparator(numStr) {
+function addThousandsSeparator(numStr, locale = currentConfig().locale) {
+  if (locale) {
+    return localizeNumberString(numStr, locale);
+  }
+
   const parts = numStr.split('.');
   const integerPart = parts[0];
   const decimalPart = parts[1];
   
   // 为整数部分添加千分位分隔符
-  const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, config.thousandsSeparatorChar);
+  const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, currentConfig().thousandsSeparatorChar);
   
   // 组合整数和小数部分
   if (decimalPart) {
-    return formattedInteger + config.decimalSeparator + decimalPart;
+    return formattedInteger + currentConfig().decimalSeparator + decimalPart;
   } else {
     return formattedInteger;
   }
 }
 
+// 常见本地数字（阿拉伯-印度、天城文、孟加拉文、泰文等）的 0 所在码位，全角数字由 NFKC 规范化处理
+const NATIVE_DIGIT_ZEROS = [
+  0x0660, 0x06F0, 0x07C0, 0x0966, 0x09E6, 0x0A66, 0x0AE6, 0x0B66, 0x0BE6,
+  0x0C66, 0x0CE6, 0x0D66, 0x0E50, 0x0ED0, 0x0F20, 0x1040, 0x17E0, 0x1810
+];
+
+// Number 能够精确表示的最大有效数字位数，超出时解析结果为 Decimal
+const MAX_PARSE_DIGITS = 15;
+
+/**
+ * 创建解析错误
+ * @param {string} input 原始字符串
+ * @param {string} reason 错误原因
+ * @returns {Error}
+ */
+function parseError(input, reason) {
+  return new Error('无法解析 "' + input + '"：' + reason);
+}
+
+/**
+ * 检查整数部分的分组位置是否符合分组规则
+ * @param {string[]} groups 按分组分隔符拆分后的整数部分
+ * @param {number} primary 最低一组的位数
+ * @param {number} secondary 其余各组的位数
+ * @returns {boolean}
+ */
+function isValidGrouping(groups, primary, secondary) {
+  if (groups.length === 1) {
+    return true;
+  }
+  return groups.every((group, i) => {
+    if (i === 0) {
+      return group.length >= 1 && group.length <= secondary;
+    }
+    return group.length === (i === groups.length - 1 ? primary : secondary);
+  });
+}
+
+/**
+ * 将格式化后的字符串解析为精确数字，是 format 的逆操作
+ * 支持千分位分隔符、自定义小数点、区域格式、单位与货币符号、括号负数、百分号和全角字符
+ * @param {string} str 待解析的字符串，如 "¥1,234.56"、"1.234,56 €"、"12.5%"、"(1,234.56)"、"１２３．４"
+ * @param {Object} options 解析选项
+ * @param {string} options.locale 区域设置，如果未指定则使用全局配置
+ * @param {string} options.thousandsSeparatorChar 千分位分隔符字符，如果未指定则使用全局配置
+ * @param {string} options.decimalSeparator 小数点字符，如果未指定则使用全局配置
+ * @param {string} options.unit 需要去除的单位，如果未指定则使用全局配置
+ * @param {boolean} options.decimal 是否始终返回 Decimal，默认只在有效数字超过15位时返回 Decimal
+ * @returns {number|Decimal} 解析结果
+ */
+function parse(str, options = {}) {
+  if (typeof str !== 'string') {
+    throw new Error('参数必须是字符串');
+  }
+  const opts = { ...currentConfig(), ...options };
+
+  let group = opts.thousandsSeparatorChar;
+  let decimalSeparator = opts.decimalSeparator;
+  let minusSign = '-';
+  let primary = 3;
+  let secondary = 3;
+  if (opts.locale) {
+    const symbols = getLocaleSymbols(opts.locale);
+    group = symbols.group.normalize('NFKC');
+    decimalSeparator = symbols.decimal.normalize('NFKC');
+    minusSign = symbols.minusSign.normalize('NFKC').replace(/[\u061C\u200E\u200F]/g, '');
+    primary = symbols.primaryGroupSize;
+    secondary = symbols.secondaryGroupSize;
+  }
+  if (group === decimalSeparator) {
+    throw new Error('千分位分隔符与小数点不能相同');
+  }
+
+  // 全角字符、不换行空格等统一规范化，本地数字转换为 ASCII 数字，去除方向控制字符
+  let text = str.normalize('NFKC').replace(/[\u061C\u200E\u200F]/g, '');
+  text = text.replace(/[\u0660-\u1819]/g, char => {
+    const code = char.charCodeAt(0);
+    const zero = NATIVE_DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+    return zero === undefined ? char : String(code - zero);
+  }).trim();
+
+  if (!text) {
+    throw parseError(str, '字符串为空');
+  }
+
+  // 去除单位、货币符号和币种代码
+  const unit = opts.unit ? opts.unit.normalize('NFKC').trim() : '';
+  if (unit && text.startsWith(unit)) {
+    text = text.slice(unit.length).trim();
+  } else if (unit && text.endsWith(unit)) {
+    text = text.slice(0, -unit.length).trim();
+  }
+  text = text
+    .replace(/^([+\-−(]?)\s*(?:\p{Sc}+|[A-Z]{3}\s)\s*/u, '$1')
+    .replace(/\s*(?:\p{Sc}+|\s[A-Z]{3})\s*([)]?)$/u, '$1')
+    .trim();
+
+  // 括号表示负数，如会计格式 (1,234.56)
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+
+  // 百分号与千分号
+  let scale = 0;
+  const percent = /^([%‰])\s*|\s*([%‰])$/.exec(text);
+  if (percent) {
+    scale = (percent[1] || percent[2]) === '%' ? 2 : 3;
+    text = text.slice(0, percent.index) + text.slice(percent.index + percent[0].length);
+  }
+
+  if (minusSign !== '-' && text.startsWith(minusSign)) {
+    text = '-' + text.slice(minusSign.length);
+  }
+  const sign = /^([+\-−])\s*/.exec(text);
+  if (sign) {
+    if (negative && sign[1] !== '+') {
+      throw parseError(str, '括号与负号不能同时使用');
+    }
+    negative = negative || sign[1] !== '+';
+    text = text.slice(sign[0].length);
+  }
+
+  // 拆分整数与小数部分
+  const pieces = text.split(decimalSeparator);
+  if (pieces.length > 2) {
+    throw parseError(str, '包含多个小数点 "' + decimalSeparator + '"');
+  }
+  const [integerText, fractionText = ''] = pieces;
+  const groupPattern = /^\s$/.test(group) || group === '' ? /\s/ : group;
+  const groups = group === '' ? [integerText] : integerText.split(groupPattern);
+  if (fractionText.split(groupPattern).length > 1 && group !== '') {
+    throw parseError(str, '小数部分不能包含千分位分隔符');
+  }
+  if (!groups.every(part => /^\d*$/.test(part)) || !/^\d*$/.test(fractionText)) {
+    throw parseError(str, '包含无法识别的字符');
+  }
+  if (!isValidGrouping(groups, primary, secondary)) {
+    throw parseError(str, '千分位分隔符位置不正确，无法确定 "' + group + '" 的含义');
+  }
+  const integerDigits = groups.join('');
+  if (!integerDigits && !fractionText) {
+    throw parseError(str, '没有数字');
+  }
+
+  let result = Decimal.fromParts(BigInt((integerDigits || '0') + fractionText), fractionText.length + scale);
+  if (negative) {
+    result = result.negate();
+  }
+
+  const significant = result.coefficient.toString().replace('-', '').length;
+  if (opts.decimal || significant > MAX_PARSE_DIGITS) {
+    return result;
+  }
+  return result.toNumber();
+}
+
 /**
  * 精确幂运算
- * @param {number} base 底数
+ * @param {number|Decimal|Fraction|bigint} base 底数，为 Decimal、Fraction 或 BigInt 时指数必须是整数
  * @param {number} exponent 指数
- * @returns {number} 精确的幂
+ * @returns {number|Decimal|Fraction} 精确的幂
  */
 function power(base, exponent) {
+  if (hasFraction(base)) {
+    return base.pow(exponent);
+  }
+  if (hasDecimal(base)) {
+    return Decimal.from(base).pow(exponent);
+  }
   if (exponent === 0) return 1;
   if (exponent === 1) return base;
   
@@ -497,11 +1174,20 @@ function power(base, exponent) {
 
 /**
  * 精确开方
- * @param {number} num 被开方数
+ * @param {number|Decimal|Fraction|bigint} num 被开方数
  * @param {number} root 开方次数，默认为2（平方根）
- * @returns {number} 精确的根
+ * @returns {number|Decimal|Fraction} 精确的根，Decimal 输入保留20位小数
  */
 function sqrt(num, root = 2) {
+  if (hasFraction(num)) {
+    // 分子分母分别开方，均为完全方幂时结果精确
+    const numerator = new Decimal(num.numerator).root(root);
+    const denominator = new Decimal(num.denominator).root(root);
+    return Fraction.from(numerator).divide(denominator);
+  }
+  if (hasDecimal(num)) {
+    return Decimal.from(num).root(root);
+  }
   if (num < 0 && root % 2 === 0) {
     throw new Error('偶数次根不能计算负数');
   }
@@ -514,9 +1200,9 @@ function sqrt(num, root = 2) {
 
 /**
  * 百分比计算
- * @param {number} value 数值
- * @param {number} percentage 百分比
- * @returns {number} 百分比对应的数值
+ * @param {number|Decimal|Fraction} value 数值
+ * @param {number|Decimal|Fraction} percentage 百分比
+ * @returns {number|Decimal|Fraction} 百分比对应的数值
  */
 function percentage(value, percentage) {
   return multiply(value, divide(percentage, 100));
@@ -524,12 +1210,12 @@ function percentage(value, percentage) {
 
 /**
  * 计算百分比增长率
- * @param {number} oldValue 原值
- * @param {number} newValue 新值
- * @returns {number} 增长率百分比
+ * @param {number|Decimal|Fraction} oldValue 原值
+ * @param {number|Decimal|Fraction} newValue 新值
+ * @returns {number|Decimal|Fraction} 增长率百分比
  */
 function percentageChange(oldValue, newValue) {
-  if (oldValue === 0) {
+  if (isZeroValue(oldValue)) {
     throw new Error('原值不能为0');
   }
   const change = subtract(newValue, oldValue);
@@ -538,8 +1224,8 @@ function percentageChange(oldValue, newValue) {
 
 /**
  * 计算平均值
- * @param {number[]} numbers 数字数组
- * @returns {number} 平均值
+ * @param {Array<number|Decimal|Fraction>} numbers 数字数组
+ * @returns {number|Decimal|Fraction} 平均值
  */
 function average(numbers) {
   if (!Array.isArray(numbers) || numbers.length === 0) {
@@ -552,32 +1238,44 @@ function average(numbers) {
 
 /**
  * 计算数组中的最大值
- * @param {number[]} numbers 数字数组
- * @returns {number} 最大值
+ * @param {Array<number|Decimal|Fraction>} numbers 数字数组
+ * @returns {number|Decimal|Fraction} 最大值
  */
 function max(numbers) {
   if (!Array.isArray(numbers) || numbers.length === 0) {
     throw new Error('输入必须是非空数组');
   }
+  if (hasFraction(...numbers)) {
+    return numbers.map(num => Fraction.from(num)).reduce((a, b) => (b.greaterThan(a) ? b : a));
+  }
+  if (hasDecimal(...numbers)) {
+    return numbers.map(num => Decimal.from(num)).reduce((a, b) => (b.greaterThan(a) ? b : a));
+  }
   return Math.max(...numbers);
 }
 
 /**
  * 计算数组中的最小值
- * @param {number[]} numbers 数字数组
- * @returns {number} 最小值
+ * @param {Array<number|Decimal|Fraction>} numbers 数字数组
+ * @returns {number|Decimal|Fraction} 最小值
  */
 function min(numbers) {
   if (!Array.isArray(numbers) || numbers.length === 0) {
     throw new Error('输入必须是非空数组');
   }
+  if (hasFraction(...numbers)) {
+    return numbers.map(num => Fraction.from(num)).reduce((a, b) => (b.lessThan(a) ? b : a));
+  }
+  if (hasDecimal(...numbers)) {
+    return numbers.map(num => Decimal.from(num)).reduce((a, b) => (b.lessThan(a) ? b : a));
+  }
   return Math.min(...numbers);
 }
 
 /**
  * 计算数组元素的和
- * @param {number[]} numbers 数字数组
- * @returns {number} 总和
+ * @param {Array<number|Decimal|Fraction>} numbers 数字数组
+ * @returns {number|Decimal|Fraction} 总和，包含 Decimal 时返回 Decimal
  */
 function sum(numbers) {
   if (!Array.isArray(numbers) || numbers.length === 0) {
@@ -591,40 +1289,258 @@ function sum(numbers) {
   return result;
 }
 
+/**
+ * 对两个数组逐元素运算，其中一个参数可以是单个数字，与另一个数组的每个元素运算
+ * @param {Function} fn 运算函数
+ * @param {Array|number|Decimal|Fraction|bigint} a 数组或数字
+ * @param {Array|number|Decimal|Fraction|bigint} b 数组或数字
+ * @param {Array} extra 传给运算函数的其他参数
+ * @returns {Array<number|Decimal|Fraction>}
+ */
+function elementwise(fn, a, b, extra) {
+  const aIsArray = Array.isArray(a);
+  const bIsArray = Array.isArray(b);
+  if (!aIsArray && !bIsArray) {
+    throw new Error('至少有一个参数必须是数组');
+  }
+  if (aIsArray && bIsArray && a.length !== b.length) {
+    throw new Error('数组长度不一致：' + a.length + ' 与 ' + b.length);
+  }
+  const length = aIsArray ? a.length : b.length;
+  const result = new Array(length);
+  for (let i = 0; i < length; i++) {
+    result[i] = fn(aIsArray ? a[i] : a, bIsArray ? b[i] : b, ...extra);
+  }
+  return result;
+}
+
+/**
+ * 逐元素精确加法
+ * @param {Array|number|Decimal|Fraction|bigint} a 数组，或与 b 的每个元素相加的数字
+ * @param {Array|number|Decimal|Fraction|bigint} b 长度相同的数组，或与 a 的每个元素相加的数字
+ * @returns {Array<number|Decimal|Fraction>} 各元素的和，如 addEach([0.1, 0.2], [0.2, 0.4]) 为 [0.3, 0.6]
+ */
+function addEach(a, b) {
+  return elementwise(add, a, b, []);
+}
+
+/**
+ * 逐元素精确减法
+ * @param {Array|number|Decimal|Fraction|bigint} a 被减数数组或数字
+ * @param {Array|number|Decimal|Fraction|bigint} b 减数数组或数字
+ * @returns {Array<number|Decimal|Fraction>} 各元素的差
+ */
+function subtractEach(a, b) {
+  return elementwise(subtract, a, b, []);
+}
+
+/**
+ * 逐元素精确乘法
+ * @param {Array|number|Decimal|Fraction|bigint} a 数组，或与 b 的每个元素相乘的数字
+ * @param {Array|number|Decimal|Fraction|bigint} b 长度相同的数组，或与 a 的每个元素相乘的数字
+ * @returns {Array<number|Decimal|Fraction>} 各元素的积，如 multiplyEach(prices, quantities)
+ */
+function multiplyEach(a, b) {
+  return elementwise(multiply, a, b, []);
+}
+
+/**
+ * 逐元素精确除法
+ * @param {Array|number|Decimal|Fraction|bigint} a 被除数数组或数字
+ * @param {Array|number|Decimal|Fraction|bigint} b 除数数组或数字
+ * @param {Object} options 除法选项，见 divide
+ * @returns {Array<number|Decimal|Fraction>} 各元素的商
+ */
+function divideEach(a, b, options) {
+  return elementwise(divide, a, b, [options]);
+}
+
+/**
+ * 多个数组对应元素乘积之和，与 Excel 的 SUMPRODUCT 相同
+ * @param {...Array<number|Decimal|Fraction|bigint>} arrays 长度相同的非空数组
+ * @returns {number|Decimal|Fraction} 乘积之和，如 sumProduct(prices, quantities) 为订单总额
+ */
+function sumProduct(...arrays) {
+  if (arrays.length === 0) {
+    throw new Error('至少需要一个数组');
+  }
+  for (const array of arrays) {
+    if (!Array.isArray(array) || array.length === 0) {
+      throw new Error('输入必须是非空数组');
+    }
+    if (array.length !== arrays[0].length) {
+      throw new Error('数组长度不一致：' + arrays[0].length + ' 与 ' + array.length);
+    }
+  }
+
+  let result = 0;
+  for (let i = 0; i < arrays[0].length; i++) {
+    let product = arrays[0][i];
+    for (let j = 1; j < arrays.length; j++) {
+      product = multiply(product, arrays[j][i]);
+    }
+    result = add(result, product);
+  }
+  return result;
+}
+
+/**
+ * 向量点积
+ * @param {Array<number|Decimal|Fraction|bigint>} a 向量
+ * @param {Array<number|Decimal|Fraction|bigint>} b 长度相同的向量
+ * @returns {number|Decimal|Fraction} 点积
+ */
+function dot(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) {
+    throw new Error('点积的参数必须是两个数组');
+  }
+  return sumProduct(a, b);
+}
+
+/**
+ * 累计求和
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @returns {Array<number|Decimal|Fraction>} 每个位置为到该元素为止的累计和，如 cumulativeSum([0.1, 0.2, 0.3]) 为 [0.1, 0.3, 0.6]
+ */
+function cumulativeSum(numbers) {
+  if (!Array.isArray(numbers)) {
+    throw new Error('输入必须是数组');
+  }
+  const result = new Array(numbers.length);
+  let total = 0;
+  for (let i = 0; i < numbers.length; i++) {
+    total = add(total, numbers[i]);
+    result[i] = total;
+  }
+  return result;
+}
+
+/**
+ * 相邻元素的差
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @returns {Array<number|Decimal|Fraction>} 后一个元素减去前一个元素，长度比输入少1，如 diff([1, 1.1, 1.3]) 为 [0.1, 0.2]
+ */
+function diff(numbers) {
+  if (!Array.isArray(numbers)) {
+    throw new Error('输入必须是数组');
+  }
+  const result = [];
+  for (let i = 1; i < numbers.length; i++) {
+    result.push(subtract(numbers[i], numbers[i - 1]));
+  }
+  return result;
+}
+
 /**
  * 绝对值
- * @param {number} num 数字
- * @returns {number} 绝对值
+ * @param {number|Decimal|Fraction|bigint} num 数字
+ * @returns {number|Decimal|Fraction} 绝对值
  */
 function abs(num) {
+  if (hasFraction(num)) {
+    return num.abs();
+  }
+  if (hasDecimal(num)) {
+    return Decimal.from(num).abs();
+  }
   return num < 0 ? multiply(num, -1) : num;
 }
 
 /**
  * 向上取整
- * @param {number} num 数字
- * @returns {number} 向上取整后的数字
+ * @param {number|Decimal|Fraction|bigint} num 数字
+ * @returns {number|Decimal|Fraction} 向上取整后的数字
  */
 function ceil(num) {
+  if (hasFraction(num)) {
+    return num.round(0, 'ceiling');
+  }
+  if (hasDecimal(num)) {
+    return Decimal.from(num).round(0, 'ceiling');
+  }
   return Math.ceil(num);
 }
 
 /**
  * 向下取整
- * @param {number} num 数字
- * @returns {number} 向下取整后的数字
+ * @param {number|Decimal|Fraction|bigint} num 数字
+ * @returns {number|Decimal|Fraction} 向下取整后的数字
  */
 function floor(num) {
+  if (hasFraction(num)) {
+    return num.round(0, 'floor');
+  }
+  if (hasDecimal(num)) {
+    return Decimal.from(num).round(0, 'floor');
+  }
   return Math.floor(num);
 }
 
+/**
+ * 取相反数
+ * @param {number|Decimal|Fraction|bigint} num 数字
+ * @returns {number|Decimal|Fraction} 相反数
+ */
+function negate(num) {
+  if (hasFraction(num)) {
+    return num.negate();
+  }
+  if (hasDecimal(num)) {
+    return Decimal.from(num).negate();
+  }
+  // 避免 0 取反得到 -0
+  return num === 0 ? 0 : -num;
+}
+
+/**
+ * 精确比较大小
+ * @param {number|Decimal|Fraction|bigint} a 数字
+ * @param {number|Decimal|Fraction|bigint} b 数字
+ * @returns {number} a 小于 b 返回-1，等于返回0，大于返回1
+ */
+function compare(a, b) {
+  if (hasFraction(a, b)) {
+    return Fraction.from(a).compare(b);
+  }
+  if (hasDecimal(a, b)) {
+    return Decimal.from(a).compare(b);
+  }
+  if (Number.isNaN(a) || Number.isNaN(b)) {
+    throw new Error('NaN 无法比较大小');
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * 将数字限制在 [min, max] 范围内
+ * @param {number|Decimal|Fraction|bigint} num 数字
+ * @param {number|Decimal|Fraction|bigint} min 最小值
+ * @param {number|Decimal|Fraction|bigint} max 最大值
+ * @returns {number|Decimal|Fraction} 限制后的数字，类型与参数中精度最高的类型一致
+ */
+function clamp(num, min, max) {
+  if (compare(min, max) > 0) {
+    throw new Error('最小值不能大于最大值');
+  }
+  let result = num;
+  if (compare(num, min) < 0) {
+    result = min;
+  } else if (compare(num, max) > 0) {
+    result = max;
+  }
+  if (hasFraction(num, min, max)) {
+    return Fraction.from(result);
+  }
+  return hasDecimal(num, min, max) ? Decimal.from(result) : result;
+}
+
 /**
  * 计算复利
- * @param {number} principal 本金
+ * @param {number|Decimal} principal 本金
  * @param {number} rate 利率（小数形式，如0.05表示5%）
  * @param {number} time 时间（年）
  * @param {number} compound 复利次数（每年），默认为1
- * @returns {number} 复利后的金额
+ * @returns {number|Decimal|Fraction} 复利后的金额
  */
 function compoundInterest(principal, rate, time, compound = 1) {
   // A = P(1 + r/n)^(nt)
@@ -636,12 +1552,88 @@ function compoundInterest(principal, rate, time, compound = 1) {
   return multiply(principal, compoundFactor);
 }
 
+/**
+ * 按比例分配金额，各份之和严格等于总额（最大余数法）
+ * 每份先按比例向零截断到指定精度，剩余的最小单位依次分给截断余数最大的份，余数相同时下标小的优先
+ * @param {number|Decimal|Fraction|bigint} total 总额
+ * @param {Array<number|Decimal|Fraction|bigint>} ratios 分配比例，如 [1, 2, 3] 或 [0.2, 0.3, 0.5]
+ * @param {Object} options 选项
+ * @param {number} options.precision 每份保留的小数位数，如果未指定则使用全局配置
+ * @returns {Array<number|Decimal|Fraction>} 各份金额，类型与参数中精度最高的类型一致
+ */
+function allocate(total, ratios, options = {}) {
+  if (!Array.isArray(ratios) || ratios.length === 0) {
+    throw new Error('分配比例必须是非空数组');
+  }
+  const precision = options.precision !== undefined ? options.precision : currentConfig().defaultPrecision;
+  if (!Number.isInteger(precision) || precision < 0) {
+    throw new Error('精度必须是非负整数');
+  }
+
+  const weights = ratios.map(ratio => Fraction.from(ratio));
+  if (weights.some(weight => weight.isNegative())) {
+    throw new Error('分配比例不能为负数');
+  }
+  const weightSum = weights.reduce((a, b) => a.add(b));
+  if (weightSum.isZero()) {
+    throw new Error('分配比例之和不能为0');
+  }
+
+  // 以最小单位（10^-precision）计的总额，必须为整数才能保证各份之和等于总额
+  const unit = BigInt(10) ** BigInt(precision);
+  const scaledTotal = Fraction.from(total).multiply(unit);
+  if (!scaledTotal.isInteger()) {
+    throw new Error('总额的小数位数超过分配精度 ' + precision);
+  }
+  const negative = scaledTotal.isNegative();
+  const units = negative ? -scaledTotal.numerator : scaledTotal.numerator;
+
+  // 所有比例通分后按整数计算：份额 = units * w / W
+  const shares = weights.map(weight => weight.divide(weightSum));
+  const parts = shares.map(share => (units * share.numerator) / share.denominator);
+  const remainders = shares.map((share, i) => Fraction.fromParts(units * share.numerator, share.denominator).subtract(parts[i]));
+
+  let left = units - parts.reduce((a, b) => a + b, BigInt(0));
+  const order = remainders
+    .map((remainder, index) => ({ remainder, index }))
+    .sort((a, b) => b.remainder.compare(a.remainder) || a.index - b.index);
+  for (let i = 0; left > BigInt(0); i++, left--) {
+    parts[order[i].index] += BigInt(1);
+  }
+
+  return parts.map(part => {
+    const value = Decimal.fromParts(negative ? -part : part, precision);
+    if (hasFraction(total, ...ratios)) {
+      return Fraction.from(value);
+    }
+    return hasDecimal(total, ...ratios) ? value : value.toNumber();
+  });
+}
+
+/**
+ * 将总额平均分成 n 份，各份之和严格等于总额，多出的最小单位从第一份开始依次分配
+ * @param {number|Decimal|Fraction|bigint} total 总额
+ * @param {number} n 份数
+ * @param {Object} options 选项，见 allocate
+ * @returns {Array<number|Decimal|Fraction>} 各份金额
+ */
+function splitEvenly(total, n, options) {
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new Error('份数必须是正整数');
+  }
+  return allocate(total, new Array(n).fill(1), options);
+}
+
 // 导出所有核心函数
 module.exports = {
   add,
   subtract,
   multiply,
   divide,
+  divmod,
+  intDivide,
+  mod,
+  toRepeatingDecimal,
   round,
   format,
   getDecimalPlaces,
@@ -653,14 +1645,36 @@ module.exports = {
   max,
   min,
   sum,
+  addEach,
+  subtractEach,
+  multiplyEach,
+  divideEach,
+  sumProduct,
+  dot,
+  cumulativeSum,
+  diff,
   abs,
   ceil,
   floor,
+  negate,
+  compare,
+  clamp,
   compoundInterest,
+  allocate,
+  splitEvenly,
   setConfig,
   getConfig,
+  createConfig,
+  runWithConfig,
+  withScopedConfig,
+  withConfig,
   addThousandsSeparator,
+  parse,
   toChineseNumber,
   toChineseCapital,
-  addUnitAndFormat
+  addUnitAndFormat,
+  Decimal,
+  ROUNDING_MODES,
+  Fraction,
+  toFraction
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * MathFix 货币兑换类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { Numeric } from './mathfix-core';
+
+/**
+ * 汇率：1 单位原币种可兑换的目标币种数量
+ */
+export type ExchangeRate = Numeric | Fraction | string;
+
+/**
+ * 汇率回调，未知汇率返回 undefined 或 null，可以返回 Promise
+ */
+export type RateCallback = (from: string, to: string) =>
+  ExchangeRate | null | undefined | Promise<ExchangeRate | null | undefined>;
+
+/**
+ * 汇率来源
+ */
+export interface RateProvider {
+  /** 计算交叉汇率使用的基准币种 */
+  base?: string;
+  /** 查询汇率 */
+  getRate: RateCallback;
+}
+
+/**
+ * 汇率表，rates 为 1 单位基准币种可兑换的各币种数量
+ */
+export interface RateTable {
+  base: string;
+  rates: Record<string, ExchangeRate>;
+}
+
+/**
+ * 货币兑换服务选项
+ */
+export interface CurrencyConverterOptions {
+  /** 汇率来源：回调函数或包含 getRate 方法的对象 */
+  provider: RateCallback | RateProvider;
+  /** 计算交叉汇率使用的基准币种，默认使用汇率来源的 base */
+  base?: string;
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 换算结果，可以直接作为 format 的选项
+ */
+export interface ConversionResult<T = number | Decimal | Fraction> {
+  /** 按目标币种最小货币单位舍入后的金额 */
+  amount: T;
+  /** 目标币种 */
+  currency: string;
+  /** 使用的精确汇率 */
+  rate: Fraction;
+  /** 目标币种的货币符号 */
+  unit: string;
+  unitPosition: 'prefix';
+  /** 目标币种最小货币单位对应的小数位数 */
+  precision: number;
+}
+
+/**
+ * 货币兑换服务
+ */
+export class CurrencyConverter {
+  constructor(options: CurrencyConverterOptions);
+  provider: RateProvider;
+  base?: string;
+  roundingMode?: RoundingMode;
+
+  /**
+   * 获取汇率，依次尝试直接汇率、反向汇率和经基准币种的交叉汇率
+   * @param from 原币种
+   * @param to 目标币种
+   */
+  getRate(from: string, to: string): Promise<Fraction>;
+
+  /**
+   * 换算金额，结果按目标币种的最小货币单位舍入
+   * @param amount 原币种金额
+   * @param from 原币种
+   * @param to 目标币种
+   * @param options 选项
+   */
+  convert(amount: number, from: string, to: string, options?: { roundingMode?: RoundingMode }): Promise<ConversionResult<number>>;
+  convert(amount: Fraction, from: string, to: string, options?: { roundingMode?: RoundingMode }): Promise<ConversionResult<Fraction>>;
+  convert(amount: Decimal | bigint | string, from: string, to: string, options?: { roundingMode?: RoundingMode }): Promise<ConversionResult<Decimal>>;
+}
+
+/**
+ * 创建货币兑换服务的便捷函数
+ * @param options 选项
+ */
+export function currencyConverter(options: CurrencyConverterOptions): CurrencyConverter;
+
+/**
+ * 内存汇率表
+ * @param table 汇率表，如 { base: 'USD', rates: { CNY: '7.1' } }
+ */
+export function createTableRateProvider(table: RateTable): RateProvider & { base: string };
+
+/**
+ * 本地 JSON 文件汇率来源（仅 Node.js），首次查询汇率时读取并缓存
+ * @param path JSON 文件路径，文件格式与汇率表相同
+ */
+export function createFileRateProvider(path: string): RateProvider & {
+  /** 重新读取文件 */
+  reload(): Promise<void>;
+};
@@ -0,0 +1,222 @@
+/**
+ * MathFix 货币兑换 (ES Module)
+ * 通过可插拔的汇率来源（内存汇率表、本地 JSON 文件或自定义回调）换算金额，按目标币种的最小货币单位舍入
+ */
+
+import { Fraction } from './mathfix-fraction.mjs';
+import { getConfig } from './mathfix-core.mjs';
+import { getCurrency } from './mathfix-money.mjs';
+
+/**
+ * 将汇率转换为分数，未知汇率（undefined、null）返回 null
+ * @param {number|string|Decimal|Fraction|bigint} rate 汇率
+ * @param {string} from 原币种
+ * @param {string} to 目标币种
+ * @returns {Fraction|null}
+ */
+function toRate(rate, from, to) {
+  if (rate === undefined || rate === null) {
+    return null;
+  }
+  const value = Fraction.from(rate);
+  if (!value.greaterThan(0)) {
+    throw new Error('汇率必须大于0：' + from + ' → ' + to);
+  }
+  return value;
+}
+
+/**
+ * 内存汇率表
+ * @param {Object} table 汇率表，如 { base: 'USD', rates: { CNY: '7.1', EUR: '0.92' } }，表示 1 USD = 7.1 CNY
+ * @param {string} table.base 基准币种
+ * @param {Object} table.rates 1 单位基准币种可兑换的各币种数量
+ * @returns {{base: string, getRate: Function}} 汇率来源
+ */
+export function createTableRateProvider(table = {}) {
+  if (typeof table.base !== 'string' || !table.base) {
+    throw new Error('汇率表必须指定基准币种 base');
+  }
+  if (typeof table.rates !== 'object' || table.rates === null) {
+    throw new Error('汇率表必须包含 rates 对象');
+  }
+  const rates = {};
+  for (const code of Object.keys(table.rates)) {
+    rates[code] = toRate(table.rates[code], table.base, code);
+  }
+  return {
+    base: table.base,
+    getRate(from, to) {
+      if (from === table.base && Object.prototype.hasOwnProperty.call(rates, to)) {
+        return rates[to];
+      }
+      return undefined;
+    }
+  };
+}
+
+/**
+ * 读取本地文本文件，仅 Node.js 环境可用
+ * @param {string} path 文件路径
+ * @returns {Promise<string>}
+ */
+function readTextFile(path) {
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    return Promise.reject(new Error('当前环境不支持读取本地文件'));
+  }
+  const fsModule = typeof process.getBuiltinModule === 'function'
+    ? Promise.resolve(process.getBuiltinModule('fs'))
+    : import(/* webpackIgnore: true */ 'fs');
+  return fsModule.then(fs => fs.promises.readFile(path, 'utf8'));
+}
+
+/**
+ * 本地 JSON 文件汇率来源，文件格式与内存汇率表相同，首次查询汇率时读取并缓存
+ * @param {string} path JSON 文件路径
+ * @returns {{getRate: Function, reload: Function}} 汇率来源，reload() 重新读取文件
+ */
+export function createFileRateProvider(path) {
+  if (typeof path !== 'string' || !path) {
+    throw new Error('汇率文件路径必须是非空字符串');
+  }
+  let loading = null;
+  const load = () => {
+    const current = readTextFile(path).then(text => {
+      let table;
+      try {
+        table = JSON.parse(text);
+      } catch (error) {
+        throw new Error('汇率文件不是有效的 JSON：' + path);
+      }
+      const tableProvider = createTableRateProvider(table);
+      provider.base = tableProvider.base;
+      return tableProvider;
+    });
+    loading = current;
+    // 读取失败时下次查询重新读取
+    current.catch(() => {
+      if (loading === current) {
+        loading = null;
+      }
+    });
+    return current;
+  };
+  const provider = {
+    base: undefined,
+    reload() {
+      return load().then(() => undefined);
+    },
+    getRate(from, to) {
+      return (loading || load()).then(tableProvider => tableProvider.getRate(from, to));
+    }
+  };
+  return provider;
+}
+
+/**
+ * 货币兑换服务
+ * 依次尝试直接汇率、反向汇率和经基准币种的交叉汇率，结果按目标币种的最小货币单位舍入
+ */
+export class CurrencyConverter {
+  /**
+   * @param {Object} options 选项
+   * @param {Function|Object} options.provider 汇率来源：回调函数 (from, to) => 汇率，或包含 getRate(from, to) 方法的对象，
+   *   可以同步返回汇率或返回 Promise，未知汇率返回 undefined
+   * @param {string} options.base 计算交叉汇率使用的基准币种，默认使用汇率来源的 base
+   * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+   */
+  constructor(options = {}) {
+    const provider = options.provider;
+    if (typeof provider === 'function') {
+      this.provider = { getRate: provider };
+    } else if (provider && typeof provider.getRate === 'function') {
+      this.provider = provider;
+    } else {
+      throw new Error('汇率来源必须是函数或包含 getRate 方法的对象');
+    }
+    this.base = options.base;
+    this.roundingMode = options.roundingMode;
+  }
+
+  /**
+   * 查询直接汇率或反向汇率
+   * @param {string} from 原币种
+   * @param {string} to 目标币种
+   * @returns {Promise<Fraction|null>}
+   */
+  async pairRate(from, to) {
+    const direct = toRate(await this.provider.getRate(from, to), from, to);
+    if (direct) {
+      return direct;
+    }
+    const inverse = toRate(await this.provider.getRate(to, from), to, from);
+    return inverse ? inverse.reciprocal() : null;
+  }
+
+  /**
+   * 获取汇率，1 单位原币种可兑换的目标币种数量
+   * @param {string} from 原币种，如 'CNY'
+   * @param {string} to 目标币种，如 'USD'
+   * @returns {Promise<Fraction>} 精确的汇率
+   */
+  async getRate(from, to) {
+    if (from === to) {
+      return new Fraction(1);
+    }
+    const rate = await this.pairRate(from, to);
+    if (rate) {
+      return rate;
+    }
+    const base = this.base !== undefined ? this.base : this.provider.base;
+    if (base && base !== from && base !== to) {
+      const toBase = await this.pairRate(from, base);
+      const fromBase = toBase ? await this.pairRate(base, to) : null;
+      if (fromBase) {
+        return toBase.multiply(fromBase);
+      }
+    }
+    throw new Error('无法获取汇率：' + from + ' → ' + to);
+  }
+
+  /**
+   * 换算金额，结果按目标币种的最小货币单位舍入
+   * 返回值可以直接作为 format 的选项，如 format(result.amount, result) 得到 "$14.08"
+   * @param {number|string|Decimal|Fraction|bigint} amount 原币种金额
+   * @param {string} from 原币种
+   * @param {string} to 目标币种
+   * @param {Object} options 选项
+   * @param {string} options.roundingMode 舍入模式，默认使用兑换服务的设置或全局配置
+   * @returns {Promise<{amount: number|Decimal|Fraction, currency: string, rate: Fraction, unit: string, unitPosition: string, precision: number}>}
+   *   amount 的类型与参数一致：Number 返回 Number，Fraction 返回 Fraction，其他返回 Decimal；
+   *   rate 始终为精确的分数，交叉汇率等无限小数转换为 Number 或 Decimal 会被截断
+   */
+  async convert(amount, from, to, options = {}) {
+    // 在第一次 await 之前读取配置，使 withConfig 和实例配置生效
+    const roundingMode = options.roundingMode || this.roundingMode || getConfig().roundingMode;
+    getCurrency(from);
+    const currency = getCurrency(to);
+    const rate = await this.getRate(from, to);
+    const result = Fraction.from(amount).multiply(rate).round(currency.minorUnits, roundingMode);
+
+    let converted = result;
+    if (!(amount instanceof Fraction)) {
+      converted = typeof amount === 'number' ? result.toNumber() : result.toDecimal();
+    }
+    return {
+      amount: converted,
+      currency: to,
+      rate,
+      unit: currency.symbol,
+      unitPosition: 'prefix',
+      precision: currency.minorUnits
+    };
+  }
+}
+
+/**
+ * 创建货币兑换服务的便捷函数
+ * @param {Object} options 选项，见 CurrencyConverter 构造函数
+ * @returns {CurrencyConverter}
+ */
+export function currencyConverter(options) {
+  return new CurrencyConverter(options);
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * MathFix 高精度十进制数类型定义
+ */
+
+/**
+ * 舍入模式
+ * - half-away-from-zero：四舍五入，.5 远离零（默认）
+ * - half-up：.5 向正无穷方向舍入
+ * - half-down：.5 向负无穷方向舍入
+ * - half-even：银行家舍入
+ * - up / down：远离零 / 向零方向舍入
+ * - ceiling / floor：向正无穷 / 负无穷方向舍入
+ */
+export type RoundingMode =
+  | 'half-away-from-zero'
+  | 'half-up'
+  | 'half-down'
+  | 'half-even'
+  | 'up'
+  | 'down'
+  | 'ceiling'
+  | 'floor';
+
+/**
+ * 支持的舍入模式列表
+ */
+export const ROUNDING_MODES: RoundingMode[];
+
+/**
+ * 可以转换为 Decimal 的输入
+ */
+export type DecimalInput = Decimal | number | bigint | string;
+
+/**
+ * Decimal 除法选项
+ */
+export interface DecimalDivideOptions {
+  /** 结果保留的小数位数 */
+  scale?: number;
+  /** 舍入模式 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 除法无法整除时默认保留的小数位数
+ */
+export const DEFAULT_DIVISION_SCALE: number;
+
+/**
+ * 高精度十进制数，值为 coefficient / 10^scale，实例不可变
+ */
+export class Decimal {
+  /** 系数 */
+  readonly coefficient: bigint;
+  /** 小数位数 */
+  readonly scale: number;
+
+  constructor(value?: DecimalInput);
+
+  static from(value: DecimalInput): Decimal;
+  static isDecimal(value: unknown): value is Decimal;
+  static fromParts(coefficient: bigint, scale: number): Decimal;
+
+  add(other: DecimalInput): Decimal;
+  subtract(other: DecimalInput): Decimal;
+  multiply(other: DecimalInput): Decimal;
+  divide(other: DecimalInput, options?: DecimalDivideOptions): Decimal;
+  pow(exponent: number): Decimal;
+  root(root?: number, scale?: number): Decimal;
+  sqrt(scale?: number): Decimal;
+  negate(): Decimal;
+  abs(): Decimal;
+  round(scale?: number, roundingMode?: RoundingMode): Decimal;
+  roundToIncrement(increment: DecimalInput, roundingMode?: RoundingMode): Decimal;
+
+  compare(other: DecimalInput): -1 | 0 | 1;
+  equals(other: DecimalInput): boolean;
+  lessThan(other: DecimalInput): boolean;
+  lessThanOrEqual(other: DecimalInput): boolean;
+  greaterThan(other: DecimalInput): boolean;
+  greaterThanOrEqual(other: DecimalInput): boolean;
+  isZero(): boolean;
+  isNegative(): boolean;
+  isInteger(): boolean;
+  sign(): -1 | 0 | 1;
+
+  toScaledString(scale: number): string;
+  toFixed(scale?: number, roundingMode?: RoundingMode): string;
+  toString(): string;
+  toNumber(): number;
+  toJSON(): string;
+}
+
+/**
+ * 整数除法并按舍入模式取整
+ */
+export function divideRounded(numerator: bigint, denominator: bigint, roundingMode?: RoundingMode): bigint;
+
+/**
+ * 分数为有限小数时返回所需的小数位数，否则返回-1
+ */
+export function terminatingScale(numerator: bigint, denominator: bigint): number;
+
+/**
+ * 分数至少保留 digits 位有效数字（默认20位）所需的小数位数
+ */
+export function significantScale(numerator: bigint, denominator: bigint, digits?: number): number;
+
+/**
+ * 最大公约数
+ */
+export function gcd(a: bigint, b: bigint): bigint;
+
+/**
+ * 将分数展开为循环小数的各个部分
+ */
+export function repeatingDecimalParts(
+  numerator: bigint,
+  denominator: bigint,
+  maxDigits?: number
+): { negative: boolean; integer: string; nonRepeating: string; repeating: string };
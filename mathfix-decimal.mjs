@@ -0,0 +1,580 @@
+/**
+ * MathFix 高精度十进制数类型 (ES Module)
+ * 基于 BigInt 实现任意精度的十进制运算，解决超出 Number 安全整数范围或有效数字超过15位时的精度丢失问题
+ */
+
+/**
+ * 除法无法整除时默认保留的小数位数
+ */
+export const DEFAULT_DIVISION_SCALE = 20;
+
+/**
+ * 支持的舍入模式
+ * - half-away-from-zero：四舍五入，.5 远离零（默认）
+ * - half-up：.5 向正无穷方向舍入
+ * - half-down：.5 向负无穷方向舍入
+ * - half-even：银行家舍入，.5 舍入到偶数
+ * - up：远离零方向舍入
+ * - down：向零方向舍入（截断）
+ * - ceiling：向正无穷方向舍入
+ * - floor：向负无穷方向舍入
+ */
+export const ROUNDING_MODES = [
+  'half-away-from-zero',
+  'half-up',
+  'half-down',
+  'half-even',
+  'up',
+  'down',
+  'ceiling',
+  'floor'
+];
+
+// 十进制数字字符串格式（支持科学计数法）
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+/**
+ * 计算 10 的 n 次方（BigInt）
+ * @param {number} n 指数
+ * @returns {bigint} 10^n
+ */
+function pow10(n) {
+  return BigInt(10) ** BigInt(n);
+}
+
+/**
+ * BigInt 绝对值
+ * @param {bigint} n 整数
+ * @returns {bigint} 绝对值
+ */
+function bigAbs(n) {
+  return n < BigInt(0) ? -n : n;
+}
+
+/**
+ * 整数除法并按舍入模式取整
+ * @param {bigint} numerator 被除数
+ * @param {bigint} denominator 除数
+ * @param {string} roundingMode 舍入模式，见 ROUNDING_MODES，默认为 'half-away-from-zero'
+ * @returns {bigint} 取整后的商
+ */
+export function divideRounded(numerator, denominator, roundingMode = 'half-away-from-zero') {
+  if (denominator < BigInt(0)) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === BigInt(0)) {
+    return quotient;
+  }
+
+  // quotient 是向零截断的结果，away 为远离零方向的下一个整数
+  const sign = numerator < BigInt(0) ? BigInt(-1) : BigInt(1);
+  const away = quotient + sign;
+  const positive = sign > BigInt(0);
+  // 余数与除数一半的比较：-1 小于一半，0 恰好一半，1 大于一半
+  const twice = bigAbs(remainder) * BigInt(2);
+  const half = twice < denominator ? -1 : twice > denominator ? 1 : 0;
+
+  switch (roundingMode) {
+    case 'up':
+      return away;
+    case 'down':
+      return quotient;
+    case 'ceiling':
+      return positive ? away : quotient;
+    case 'floor':
+      return positive ? quotient : away;
+    case 'half-away-from-zero':
+      return half >= 0 ? away : quotient;
+    case 'half-up':
+      return half > 0 || (half === 0 && positive) ? away : quotient;
+    case 'half-down':
+      return half > 0 || (half === 0 && !positive) ? away : quotient;
+    case 'half-even':
+      return half > 0 || (half === 0 && quotient % BigInt(2) !== BigInt(0)) ? away : quotient;
+    default:
+      throw new Error('不支持的舍入模式：' + roundingMode);
+  }
+}
+
+/**
+ * 解析输入值为系数和小数位数
+ * @param {Decimal|number|bigint|string} value 输入值
+ * @returns {{coefficient: bigint, scale: number}} 值等于 coefficient / 10^scale
+ */
+function parseDecimal(value) {
+  if (value instanceof Decimal) {
+    return { coefficient: value.coefficient, scale: value.scale };
+  }
+
+  if (typeof value === 'bigint') {
+    return { coefficient: value, scale: 0 };
+  }
+
+  let str;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error('无法转换为 Decimal：' + value);
+    }
+    // Number 的 toString 给出能唯一还原该数的最短十进制表示（可能为科学计数法）
+    str = value.toString();
+  } else if (typeof value === 'string') {
+    str = value.trim();
+  } else {
+    throw new Error('参数必须是数字、数字字符串、BigInt 或 Decimal');
+  }
+
+  const match = DECIMAL_PATTERN.exec(str);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error('无效的数字格式：' + value);
+  }
+
+  const sign = match[1] === '-' ? BigInt(-1) : BigInt(1);
+  const integerDigits = match[2] || '';
+  const fractionDigits = match[3] || '';
+  const exponent = match[4] ? parseInt(match[4], 10) : 0;
+
+  return {
+    coefficient: BigInt((integerDigits + fractionDigits) || '0') * sign,
+    scale: fractionDigits.length - exponent
+  };
+}
+
+/**
+ * 写入规范化后的系数和小数位数：去掉小数部分末尾的零，负的小数位数展开为整数
+ * @param {Decimal} target 目标实例
+ * @param {bigint} coefficient 系数
+ * @param {number} scale 小数位数
+ * @returns {Decimal} 目标实例
+ */
+function assignNormalized(target, coefficient, scale) {
+  if (scale < 0) {
+    coefficient *= pow10(-scale);
+    scale = 0;
+  }
+  while (scale > 0 && coefficient % BigInt(10) === BigInt(0)) {
+    coefficient /= BigInt(10);
+    scale--;
+  }
+  target.coefficient = coefficient;
+  target.scale = scale;
+  return target;
+}
+
+/**
+ * 高精度十进制数
+ * 值为 coefficient / 10^scale，实例不可变，所有运算都返回新的实例
+ */
+export class Decimal {
+  /**
+   * @param {Decimal|number|bigint|string} value 初始值，支持 "12345678901234567890.123456789"、"1.5e-10" 等字符串
+   */
+  constructor(value = 0) {
+    const { coefficient, scale } = parseDecimal(value);
+    assignNormalized(this, coefficient, scale);
+  }
+
+  /**
+   * 将任意支持的输入转换为 Decimal，已是 Decimal 时直接返回
+   * @param {Decimal|number|bigint|string} value 输入值
+   * @returns {Decimal}
+   */
+  static from(value) {
+    return value instanceof Decimal ? value : new Decimal(value);
+  }
+
+  /**
+   * 判断是否为 Decimal 实例
+   * @param {*} value 任意值
+   * @returns {boolean}
+   */
+  static isDecimal(value) {
+    return value instanceof Decimal;
+  }
+
+  /**
+   * 由系数和小数位数直接构造
+   * @param {bigint} coefficient 系数
+   * @param {number} scale 小数位数
+   * @returns {Decimal}
+   */
+  static fromParts(coefficient, scale) {
+    return assignNormalized(Object.create(Decimal.prototype), coefficient, scale);
+  }
+
+  /**
+   * 按不小于自身小数位数的位数输出字符串，不足补零（内部使用）
+   * @param {number} scale 小数位数
+   * @returns {string}
+   */
+  toScaledString(scale) {
+    const negative = this.coefficient < BigInt(0);
+    let digits = (bigAbs(this.coefficient) * pow10(scale - this.scale)).toString();
+    if (scale > 0) {
+      digits = digits.padStart(scale + 1, '0');
+      digits = digits.slice(0, digits.length - scale) + '.' + digits.slice(digits.length - scale);
+    }
+    return (negative ? '-' : '') + digits;
+  }
+
+  /**
+   * 将两个值对齐到相同的小数位数
+   * @param {Decimal} other 另一个值
+   * @returns {{a: bigint, b: bigint, scale: number}}
+   */
+  align(other) {
+    const scale = Math.max(this.scale, other.scale);
+    return {
+      a: this.coefficient * pow10(scale - this.scale),
+      b: other.coefficient * pow10(scale - other.scale),
+      scale
+    };
+  }
+
+  /**
+   * 精确加法
+   * @param {Decimal|number|bigint|string} other 加数
+   * @returns {Decimal}
+   */
+  add(other) {
+    const { a, b, scale } = this.align(Decimal.from(other));
+    return Decimal.fromParts(a + b, scale);
+  }
+
+  /**
+   * 精确减法
+   * @param {Decimal|number|bigint|string} other 减数
+   * @returns {Decimal}
+   */
+  subtract(other) {
+    const { a, b, scale } = this.align(Decimal.from(other));
+    return Decimal.fromParts(a - b, scale);
+  }
+
+  /**
+   * 精确乘法
+   * @param {Decimal|number|bigint|string} other 乘数
+   * @returns {Decimal}
+   */
+  multiply(other) {
+    const value = Decimal.from(other);
+    return Decimal.fromParts(this.coefficient * value.coefficient, this.scale + value.scale);
+  }
+
+  /**
+   * 除法
+   * 能够整除（有限小数）时返回精确结果；否则保留 DEFAULT_DIVISION_SCALE 位小数
+   * @param {Decimal|number|bigint|string} other 除数
+   * @param {Object} options 选项
+   * @param {number} options.scale 结果保留的小数位数，指定后按舍入模式取整
+   * @param {string} options.roundingMode 舍入模式
+   * @returns {Decimal}
+   */
+  divide(other, options = {}) {
+    const value = Decimal.from(other);
+    if (value.isZero()) {
+      throw new Error('除数不能为0');
+    }
+
+    // this / value = (c1 * 10^s2) / (c2 * 10^s1)
+    const numerator = this.coefficient * pow10(value.scale);
+    const denominator = value.coefficient * pow10(this.scale);
+
+    let scale = options.scale;
+    if (scale === undefined) {
+      scale = terminatingScale(numerator, denominator);
+      if (scale === -1) {
+        scale = DEFAULT_DIVISION_SCALE;
+      }
+    }
+
+    const quotient = divideRounded(numerator * pow10(scale), denominator, options.roundingMode);
+    return Decimal.fromParts(quotient, scale);
+  }
+
+  /**
+   * 整数次幂
+   * @param {number} exponent 整数指数
+   * @returns {Decimal}
+   */
+  pow(exponent) {
+    if (!Number.isInteger(exponent)) {
+      throw new Error('Decimal 仅支持整数次幂');
+    }
+    if (exponent < 0) {
+      return new Decimal(1).divide(this.pow(-exponent));
+    }
+    return Decimal.fromParts(this.coefficient ** BigInt(exponent), this.scale * exponent);
+  }
+
+  /**
+   * n 次方根
+   * @param {number} root 开方次数，默认为2
+   * @param {number} scale 结果保留的小数位数
+   * @returns {Decimal}
+   */
+  root(root = 2, scale = DEFAULT_DIVISION_SCALE) {
+    if (!Number.isInteger(root) || root <= 0) {
+      throw new Error('根次数必须是正整数');
+    }
+    if (this.isNegative() && root % 2 === 0) {
+      throw new Error('偶数次根不能计算负数');
+    }
+
+    // 多计算一位用于舍入：value^(1/root) * 10^k = (coefficient * 10^(root*k - this.scale))^(1/root)
+    let k = scale + 1;
+    while (root * k < this.scale) {
+      k++;
+    }
+    const radicand = bigAbs(this.coefficient) * pow10(root * k - this.scale);
+    let result = integerRoot(radicand, root);
+    const exact = result ** BigInt(root) === radicand;
+    result = Decimal.fromParts(this.isNegative() ? -result : result, k);
+    return exact ? result : result.round(scale);
+  }
+
+  /**
+   * 平方根
+   * @param {number} scale 结果保留的小数位数
+   * @returns {Decimal}
+   */
+  sqrt(scale = DEFAULT_DIVISION_SCALE) {
+    return this.root(2, scale);
+  }
+
+  /**
+   * 取反
+   * @returns {Decimal}
+   */
+  negate() {
+    return Decimal.fromParts(-this.coefficient, this.scale);
+  }
+
+  /**
+   * 绝对值
+   * @returns {Decimal}
+   */
+  abs() {
+    return this.isNegative() ? this.negate() : this;
+  }
+
+  /**
+   * 按舍入模式保留指定小数位数
+   * @param {number} scale 保留的小数位数
+   * @param {string} roundingMode 舍入模式
+   * @returns {Decimal}
+   */
+  round(scale = 0, roundingMode) {
+    if (scale >= this.scale) {
+      return this;
+    }
+    const quotient = divideRounded(this.coefficient, pow10(this.scale - scale), roundingMode);
+    return Decimal.fromParts(quotient, scale);
+  }
+
+  /**
+   * 按增量舍入，如 0.05 现金舍入、5 角舍入
+   * @param {Decimal|number|bigint|string} increment 舍入增量，必须大于0
+   * @param {string} roundingMode 舍入模式
+   * @returns {Decimal}
+   */
+  roundToIncrement(increment, roundingMode) {
+    const step = Decimal.from(increment);
+    if (step.sign() <= 0) {
+      throw new Error('舍入增量必须大于0');
+    }
+    const { a, b, scale } = this.align(step);
+    return Decimal.fromParts(divideRounded(a, b, roundingMode) * b, scale);
+  }
+
+  /**
+   * 比较大小
+   * @param {Decimal|number|bigint|string} other 另一个值
+   * @returns {number} 小于返回-1，等于返回0，大于返回1
+   */
+  compare(other) {
+    const { a, b } = this.align(Decimal.from(other));
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  lessThanOrEqual(other) {
+    return this.compare(other) <= 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  greaterThanOrEqual(other) {
+    return this.compare(other) >= 0;
+  }
+
+  isZero() {
+    return this.coefficient === BigInt(0);
+  }
+
+  isNegative() {
+    return this.coefficient < BigInt(0);
+  }
+
+  isInteger() {
+    return this.scale === 0;
+  }
+
+  /**
+   * 符号
+   * @returns {number} 负数返回-1，零返回0，正数返回1
+   */
+  sign() {
+    return this.isZero() ? 0 : this.isNegative() ? -1 : 1;
+  }
+
+  /**
+   * 按固定小数位数输出字符串（不足补零）
+   * @param {number} scale 小数位数
+   * @param {string} roundingMode 舍入模式
+   * @returns {string}
+   */
+  toFixed(scale = 0, roundingMode) {
+    return this.round(scale, roundingMode).toScaledString(scale);
+  }
+
+  /**
+   * 输出普通记数法的字符串（不使用科学计数法）
+   * @returns {string}
+   */
+  toString() {
+    return this.toScaledString(this.scale);
+  }
+
+  /**
+   * 转换为 Number（超出精度范围时会丢失精度）
+   * @returns {number}
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * 判断分数 numerator/denominator 是否为有限小数
+ * @param {bigint} numerator 分子
+ * @param {bigint} denominator 分母
+ * @returns {number} 有限小数时返回所需小数位数，否则返回-1
+ */
+export function terminatingScale(numerator, denominator) {
+  let d = bigAbs(denominator) / gcd(bigAbs(numerator), bigAbs(denominator));
+  let twos = 0;
+  let fives = 0;
+  while (d % BigInt(2) === BigInt(0)) {
+    d /= BigInt(2);
+    twos++;
+  }
+  while (d % BigInt(5) === BigInt(0)) {
+    d /= BigInt(5);
+    fives++;
+  }
+  return d === BigInt(1) ? Math.max(twos, fives) : -1;
+}
+
+/**
+ * 计算分数 numerator/denominator 至少保留 digits 位有效数字所需的小数位数
+ * @param {bigint} numerator 分子
+ * @param {bigint} denominator 分母
+ * @param {number} digits 有效数字位数，默认20位，比 Number 的17位多保留几位，避免转换时二次舍入
+ * @returns {number} 小数位数，不小于0
+ */
+export function significantScale(numerator, denominator, digits = 20) {
+  // numerator/denominator 不小于 10^(分子位数 - 分母位数 - 1)
+  const numeratorDigits = bigAbs(numerator).toString().length;
+  const denominatorDigits = bigAbs(denominator).toString().length;
+  return Math.max(digits - numeratorDigits + denominatorDigits, 0);
+}
+
+/**
+ * 将分数 numerator/denominator 展开为循环小数的各个部分
+ * 例如 1/6 = 0.1(6)，得到 { integer: '0', nonRepeating: '1', repeating: '6' }
+ * @param {bigint} numerator 分子
+ * @param {bigint} denominator 分母，不能为0
+ * @param {number} maxDigits 小数部分（含循环节）的最大位数，超出时抛出错误
+ * @returns {{negative: boolean, integer: string, nonRepeating: string, repeating: string}}
+ */
+export function repeatingDecimalParts(numerator, denominator, maxDigits = 1000) {
+  if (denominator === BigInt(0)) {
+    throw new Error('除数不能为0');
+  }
+  const negative = (numerator < BigInt(0)) !== (denominator < BigInt(0)) && numerator !== BigInt(0);
+  const n = bigAbs(numerator);
+  const d = bigAbs(denominator);
+
+  // 长除法：记录每个余数第一次出现的位置，余数重复即出现循环节
+  const seen = new Map();
+  let remainder = n % d;
+  let digits = '';
+  while (remainder !== BigInt(0) && !seen.has(remainder)) {
+    if (digits.length >= maxDigits) {
+      throw new Error('循环节过长，超过 ' + maxDigits + ' 位');
+    }
+    seen.set(remainder, digits.length);
+    remainder *= BigInt(10);
+    digits += (remainder / d).toString();
+    remainder %= d;
+  }
+
+  const start = remainder === BigInt(0) ? digits.length : seen.get(remainder);
+  return {
+    negative,
+    integer: (n / d).toString(),
+    nonRepeating: digits.slice(0, start),
+    repeating: digits.slice(start)
+  };
+}
+
+/**
+ * 最大公约数（BigInt）
+ * @param {bigint} a 非负整数
+ * @param {bigint} b 非负整数
+ * @returns {bigint}
+ */
+export function gcd(a, b) {
+  while (b !== BigInt(0)) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * 整数 n 次方根（向下取整）
+ * @param {bigint} value 非负整数
+ * @param {number} root 开方次数
+ * @returns {bigint}
+ */
+function integerRoot(value, root) {
+  if (value < BigInt(2)) {
+    return value;
+  }
+  const n = BigInt(root);
+  // 牛顿迭代，从一个不小于真实根的初值开始单调递减
+  let x = BigInt(1) << BigInt(Math.ceil(value.toString(2).length / root));
+  for (;;) {
+    const next = ((n - BigInt(1)) * x + value / x ** (n - BigInt(1))) / n;
+    if (next >= x) {
+      return x;
+    }
+    x = next;
+  }
+}
\ No newline at end of file
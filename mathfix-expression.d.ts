@@ -0,0 +1,36 @@
+/**
+ * MathFix 表达式求值类型定义
+ */
+
+import { Decimal } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { Numeric } from './mathfix-core';
+
+/**
+ * 表达式求值选项
+ */
+export interface EvaluateOptions {
+  /** 额外可调用的函数，与内置函数同名时覆盖内置函数 */
+  functions?: Record<string, (...args: any[]) => Numeric | Fraction>;
+}
+
+/**
+ * 精确计算表达式
+ * 支持 + - * / % ^、括号、一元负号、百分号以及 round、sqrt、percentage 等核心函数调用
+ * 语法错误会抛出带 position 属性（出错字符下标）的 Error
+ * @param expression 表达式，如 '(price * qty - discount) * (1 + taxRate)'
+ * @param variables 变量值
+ * @param options 选项
+ * @returns 计算结果，任一操作数为 Decimal 时返回 Decimal，为 Fraction 时返回 Fraction
+ */
+export function evaluate(
+  expression: string,
+  variables?: Record<string, Numeric | Fraction>,
+  options?: EvaluateOptions
+): number | Decimal | Fraction;
+
+/**
+ * 判断字符串是否为表达式中合法的变量名：字母（包括中文等 Unicode 字母）、下划线或 $ 开头，后接字母、数字、下划线或 $
+ * @param name 变量名
+ */
+export function isIdentifier(name: unknown): name is string;
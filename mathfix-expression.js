@@ -0,0 +1,353 @@
+/**
+ * MathFix 表达式求值
+ * 将字符串公式解析为语法树，并使用核心函数库的精确运算逐步求值，不使用 eval/Function
+ */
+
+const {
+  add,
+  subtract,
+  multiply,
+  divide,
+  mod,
+  intDivide,
+  round,
+  power,
+  sqrt,
+  abs,
+  ceil,
+  floor,
+  percentage,
+  percentageChange,
+  max,
+  min,
+  sum,
+  average,
+  Decimal,
+  Fraction
+} = require('./mathfix-core.js');
+
+/**
+ * 表达式中可以调用的内置函数
+ * max、min、sum、average 接受任意个参数
+ */
+const BUILTIN_FUNCTIONS = {
+  round: (num, precision, roundingMode) => round(num, precision, roundingMode),
+  sqrt: (num, root) => sqrt(num, root),
+  power: (base, exponent) => power(base, exponent),
+  abs: num => abs(num),
+  ceil: num => ceil(num),
+  floor: num => floor(num),
+  mod: (a, b) => mod(a, b),
+  intDivide: (a, b) => intDivide(a, b),
+  percentage: (value, percent) => percentage(value, percent),
+  percentageChange: (oldValue, newValue) => percentageChange(oldValue, newValue),
+  max: (...numbers) => max(numbers),
+  min: (...numbers) => min(numbers),
+  sum: (...numbers) => sum(numbers),
+  average: (...numbers) => average(numbers)
+};
+
+const OPERATORS = '+-*/%^(),';
+
+// Number 能够精确表示的最大有效数字位数，超出时数字字面量按 Decimal 处理
+const MAX_NUMBER_DIGITS = 15;
+
+// 变量名和函数名：字母（包括中文等 Unicode 字母）、下划线或 $ 开头，后接字母、数字、下划线或 $
+const IDENTIFIER = /^[\p{L}_$][\p{L}\p{N}_$]*/u;
+
+/**
+ * 判断字符串是否为表达式中合法的变量名
+ * @param {*} name 变量名
+ * @returns {boolean}
+ */
+function isIdentifier(name) {
+  if (typeof name !== 'string') {
+    return false;
+  }
+  const match = IDENTIFIER.exec(name);
+  return match !== null && match[0] === name;
+}
+
+/**
+ * 创建带位置信息的语法错误
+ * @param {string} message 错误描述
+ * @param {number} position 出错位置（从0开始的字符下标）
+ * @returns {Error}
+ */
+function expressionError(message, position) {
+  const error = new Error('表达式错误（位置 ' + position + '）：' + message);
+  error.position = position;
+  return error;
+}
+
+/**
+ * 词法分析
+ * @param {string} expression 表达式字符串
+ * @returns {Array<{type: string, value: string, position: number}>} 词法单元列表
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const numberMatch = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(expression.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: numberMatch[0], position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const identifierMatch = IDENTIFIER.exec(expression.slice(i));
+    if (identifierMatch) {
+      tokens.push({ type: 'identifier', value: identifierMatch[0], position: i });
+      i += identifierMatch[0].length;
+      continue;
+    }
+
+    if (OPERATORS.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw expressionError('无法识别的字符 "' + char + '"', i);
+  }
+
+  tokens.push({ type: 'end', value: '', position: expression.length });
+  return tokens;
+}
+
+/**
+ * 语法分析（递归下降）
+ *
+ * expression := term (('+' | '-') term)*
+ * term       := unary (('*' | '/' | '%') unary)*
+ * unary      := ('+' | '-') unary | power
+ * power      := postfix ('^' unary)?
+ * postfix    := primary '%'*
+ * primary    := number | identifier | identifier '(' arguments ')' | '(' expression ')'
+ *
+ * '%' 后面紧跟操作数，或紧跟与操作数相连的正负号（如 10 % -3）时为取余，否则为百分号（15% 即 0.15，50% - 3 为百分号后减3）
+ * @param {Array} tokens 词法单元列表
+ * @returns {Object} 语法树
+ */
+function parse(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+  const startsOperand = token =>
+    token.type === 'number' || token.type === 'identifier' || isOperator(token, '(');
+  // '%' 之后是否为取余的右操作数：直接是操作数，或是一串正负号且最后一个符号与操作数之间没有空格
+  const startsModuloOperand = position => {
+    let token = tokens[position];
+    let sign = null;
+    while (isOperator(token, '+') || isOperator(token, '-')) {
+      sign = token;
+      token = tokens[++position];
+    }
+    return startsOperand(token) && (sign === null || token.position === sign.position + 1);
+  };
+
+  function describe(token) {
+    return token.type === 'end' ? '表达式结尾' : '"' + token.value + '"';
+  }
+
+  function expect(value) {
+    const token = next();
+    if (!isOperator(token, value)) {
+      throw expressionError('期望 "' + value + '"，实际为' + describe(token), token.position);
+    }
+    return token;
+  }
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOperator(peek(), '+') || isOperator(peek(), '-')) {
+      const operator = next();
+      node = { type: 'binary', operator: operator.value, left: node, right: parseTerm(), position: operator.position };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOperator(peek(), '*') || isOperator(peek(), '/') || isOperator(peek(), '%')) {
+      const operator = next();
+      node = { type: 'binary', operator: operator.value, left: node, right: parseUnary(), position: operator.position };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator(peek(), '-') || isOperator(peek(), '+')) {
+      const operator = next();
+      return { type: 'unary', operator: operator.value, argument: parseUnary(), position: operator.position };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePostfix();
+    if (isOperator(peek(), '^')) {
+      const operator = next();
+      // 右结合：2^3^2 = 2^(3^2)
+      return { type: 'binary', operator: '^', left: base, right: parseUnary(), position: operator.position };
+    }
+    return base;
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    while (isOperator(peek(), '%') && !startsModuloOperand(index + 1)) {
+      const operator = next();
+      node = { type: 'percent', argument: node, position: operator.position };
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value, position: token.position };
+    }
+
+    if (token.type === 'identifier') {
+      if (isOperator(peek(), '(')) {
+        next();
+        const args = [];
+        if (!isOperator(peek(), ')')) {
+          args.push(parseExpression());
+          while (isOperator(peek(), ',')) {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'variable', name: token.value, position: token.position };
+    }
+
+    if (isOperator(token, '(')) {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw expressionError('意外的' + describe(token), token.position);
+  }
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') {
+    throw expressionError('意外的' + describe(peek()), peek().position);
+  }
+  return ast;
+}
+
+/**
+ * 将数字字面量转换为数值，有效数字超过 Number 精度时使用 Decimal
+ * @param {string} text 数字字面量
+ * @returns {number|Decimal}
+ */
+function parseNumberLiteral(text) {
+  const significant = text.toLowerCase().split('e')[0].replace('.', '').replace(/^0+/, '');
+  return significant.length > MAX_NUMBER_DIGITS ? new Decimal(text) : Number(text);
+}
+
+/**
+ * 对语法树求值
+ * @param {Object} node 语法树节点
+ * @param {Object} variables 变量
+ * @param {Object} functions 可调用的函数
+ * @returns {number|Decimal}
+ */
+function evaluateNode(node, variables, functions) {
+  switch (node.type) {
+    case 'number':
+      return parseNumberLiteral(node.value);
+
+    case 'variable': {
+      if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+        throw expressionError('未定义的变量 "' + node.name + '"', node.position);
+      }
+      const value = variables[node.name];
+      if (typeof value !== 'number' && typeof value !== 'bigint' &&
+          !(value instanceof Decimal) && !(value instanceof Fraction)) {
+        throw expressionError('变量 "' + node.name + '" 必须是数字、BigInt、Decimal 或 Fraction', node.position);
+      }
+      return value;
+    }
+
+    case 'unary': {
+      const value = evaluateNode(node.argument, variables, functions);
+      return node.operator === '-' ? subtract(0, value) : value;
+    }
+
+    case 'percent':
+      return divide(evaluateNode(node.argument, variables, functions), 100);
+
+    case 'binary': {
+      const left = evaluateNode(node.left, variables, functions);
+      const right = evaluateNode(node.right, variables, functions);
+      try {
+        switch (node.operator) {
+          case '+': return add(left, right);
+          case '-': return subtract(left, right);
+          case '*': return multiply(left, right);
+          case '/': return divide(left, right);
+          case '%': return mod(left, right);
+          case '^': return power(left, typeof right === 'object' ? right.toNumber() : Number(right));
+        }
+      } catch (error) {
+        throw expressionError(error.message, node.position);
+      }
+      break;
+    }
+
+    case 'call': {
+      if (!Object.prototype.hasOwnProperty.call(functions, node.name)) {
+        throw expressionError('未定义的函数 "' + node.name + '"', node.position);
+      }
+      const args = node.args.map(arg => evaluateNode(arg, variables, functions));
+      try {
+        return functions[node.name](...args);
+      } catch (error) {
+        throw expressionError(error.message, node.position);
+      }
+    }
+  }
+
+  throw expressionError('无法求值的节点 "' + node.type + '"', node.position);
+}
+
+/**
+ * 精确计算表达式
+ * 支持 + - * / % ^、括号、一元负号、百分号以及 round、sqrt、percentage 等核心函数调用
+ * @param {string} expression 表达式，如 '(price * qty - discount) * (1 + taxRate)'
+ * @param {Object} variables 变量值，如 { price: 19.9, qty: 3 }
+ * @param {Object} options 选项
+ * @param {Object} options.functions 额外可调用的函数，与内置函数同名时覆盖内置函数
+ * @returns {number|Decimal|Fraction} 计算结果，任一操作数为 Decimal 时返回 Decimal，为 Fraction 时返回 Fraction
+ */
+function evaluate(expression, variables = {}, options = {}) {
+  if (typeof expression !== 'string') {
+    throw new Error('表达式必须是字符串');
+  }
+  const functions = { ...BUILTIN_FUNCTIONS, ...options.functions };
+  return evaluateNode(parse(tokenize(expression)), variables, functions);
+}
+
+module.exports = {
+  evaluate,
+  isIdentifier
+};
@@ -0,0 +1,201 @@
+/**
+ * MathFix 财务函数类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { Numeric } from './mathfix-core';
+
+/**
+ * 财务函数接受的数值
+ */
+export type FinanceInput = Numeric | Fraction;
+
+/**
+ * 现金流日期：Date 对象或 YYYY-MM-DD 格式的字符串
+ */
+export type CashFlowDate = Date | string;
+
+/**
+ * 利率求解选项
+ */
+export interface SolverOptions {
+  /** 初始估计值，默认 0.1 */
+  guess?: number;
+  /** 容差，相邻两次迭代的差小于该值时视为收敛，默认 1e-10 */
+  tolerance?: number;
+  /** 最大迭代次数，默认 100 */
+  maxIterations?: number;
+}
+
+/**
+ * 还款方式：'equal-installment' 为等额本息，'equal-principal' 为等额本金
+ */
+export type AmortizationMethod = 'equal-installment' | 'equal-principal';
+
+/**
+ * 提前还款
+ */
+export interface Prepayment {
+  /** 在第几期正常还款后提前还款 */
+  period: number;
+  /** 提前还款金额，超过剩余本金时按剩余本金结清 */
+  amount: FinanceInput;
+  /** 'reduce-payment' 为期限不变、减少每期还款（默认），'reduce-term' 为每期还款不变、缩短期限 */
+  strategy?: 'reduce-payment' | 'reduce-term';
+}
+
+/**
+ * 还款计划选项
+ */
+export interface AmortizationOptions {
+  /** 贷款本金 */
+  principal: FinanceInput;
+  /** 年利率（小数形式，如 0.049 表示 4.9%） */
+  annualRate: FinanceInput;
+  /** 还款期数 */
+  periods: number;
+  /** 还款方式，默认等额本息 */
+  method?: AmortizationMethod;
+  /** 每年还款期数，默认为12（按月还款） */
+  periodsPerYear?: number;
+  /** 金额保留的小数位数，默认为2（分） */
+  precision?: number;
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+  /** 提前还款 */
+  prepayments?: Prepayment[];
+}
+
+/**
+ * 还款计划中的一期
+ */
+export interface AmortizationPeriod<T = number | Decimal> {
+  /** 期数，从1开始 */
+  period: number;
+  /** 当期正常还款额（本金 + 利息），不含提前还款 */
+  payment: T;
+  /** 当期偿还的本金 */
+  principal: T;
+  /** 当期利息 */
+  interest: T;
+  /** 当期提前还款金额 */
+  prepayment: T;
+  /** 当期还款后的剩余本金 */
+  balance: T;
+}
+
+/**
+ * 还款计划
+ */
+export interface AmortizationSchedule<T = number | Decimal> {
+  /** 各期明细 */
+  schedule: AmortizationPeriod<T>[];
+  /** 还款总额（含提前还款） */
+  totalPayment: T;
+  /** 利息总额 */
+  totalInterest: T;
+  /** 提前还款总额 */
+  totalPrepayment: T;
+}
+
+/**
+ * 支持的还款方式
+ */
+export const AMORTIZATION_METHODS: AmortizationMethod[];
+
+/**
+ * 净现值，第一笔现金流发生在第1期期末（与 Excel NPV 一致）
+ * @param rate 每期折现率
+ * @param cashFlows 各期现金流
+ */
+export function npv(rate: number, cashFlows: number[]): number;
+export function npv(rate: FinanceInput, cashFlows: FinanceInput[]): number | Decimal;
+
+/**
+ * 不定期现金流的净现值（与 Excel XNPV 一致）
+ * @param rate 年折现率
+ * @param cashFlows 现金流
+ * @param dates 各笔现金流的日期
+ */
+export function xnpv(rate: number, cashFlows: number[], dates: CashFlowDate[]): number;
+export function xnpv(rate: FinanceInput, cashFlows: FinanceInput[], dates: CashFlowDate[]): number | Decimal;
+
+/**
+ * 内部收益率（与 Excel IRR 一致）
+ * @param cashFlows 各期现金流，必须同时包含正值和负值
+ * @param guessOrOptions 初始估计值或求解选项
+ */
+export function irr(cashFlows: FinanceInput[], guessOrOptions?: number | SolverOptions): number;
+
+/**
+ * 不定期现金流的内部收益率（与 Excel XIRR 一致）
+ * @param cashFlows 现金流，必须同时包含正值和负值
+ * @param dates 各笔现金流的日期
+ * @param guessOrOptions 初始估计值或求解选项
+ */
+export function xirr(cashFlows: FinanceInput[], dates: CashFlowDate[], guessOrOptions?: number | SolverOptions): number;
+
+/**
+ * 修正内部收益率（与 Excel MIRR 一致）
+ * @param cashFlows 各期现金流，必须同时包含正值和负值
+ * @param financeRate 融资利率
+ * @param reinvestRate 再投资收益率
+ */
+export function mirr(cashFlows: number[], financeRate: number, reinvestRate: number): number;
+export function mirr(cashFlows: FinanceInput[], financeRate: FinanceInput, reinvestRate: FinanceInput): number | Decimal;
+
+/**
+ * 现值（与 Excel PV 一致）
+ * @param rate 每期利率
+ * @param nper 总期数
+ * @param pmt 每期付款额
+ * @param fv 终值，默认为0
+ * @param type 0 为期末付款（默认），1 为期初付款
+ */
+export function pv(rate: number, nper: number, pmt: number, fv?: number, type?: 0 | 1): number;
+export function pv(rate: FinanceInput, nper: number, pmt: FinanceInput, fv?: FinanceInput, type?: 0 | 1): number | Decimal;
+
+/**
+ * 终值（与 Excel FV 一致）
+ * @param rate 每期利率
+ * @param nper 总期数
+ * @param pmt 每期付款额
+ * @param pv 现值，默认为0
+ * @param type 0 为期末付款（默认），1 为期初付款
+ */
+export function fv(rate: number, nper: number, pmt: number, pv?: number, type?: 0 | 1): number;
+export function fv(rate: FinanceInput, nper: number, pmt: FinanceInput, pv?: FinanceInput, type?: 0 | 1): number | Decimal;
+
+/**
+ * 每期付款额（与 Excel PMT 一致）
+ * @param rate 每期利率
+ * @param nper 总期数
+ * @param pv 现值（贷款本金）
+ * @param fv 终值，默认为0
+ * @param type 0 为期末付款（默认），1 为期初付款
+ */
+export function pmt(rate: number, nper: number, pv: number, fv?: number, type?: 0 | 1): number;
+export function pmt(rate: FinanceInput, nper: number, pv: FinanceInput, fv?: FinanceInput, type?: 0 | 1): number | Decimal;
+
+/**
+ * 静态投资回收期，未能回收时返回 null
+ * @param cashFlows 各期现金流，第0期为初始投资
+ */
+export function paybackPeriod(cashFlows: number[]): number | null;
+export function paybackPeriod(cashFlows: FinanceInput[]): number | Decimal | null;
+
+/**
+ * 动态（折现）投资回收期，未能回收时返回 null
+ * @param rate 每期折现率
+ * @param cashFlows 各期现金流，第0期为初始投资
+ */
+export function discountedPaybackPeriod(rate: number, cashFlows: number[]): number | null;
+export function discountedPaybackPeriod(rate: FinanceInput, cashFlows: FinanceInput[]): number | Decimal | null;
+
+/**
+ * 贷款还款计划，各期金额按精度舍入，最后一期还清剩余本金
+ * @param options 还款计划选项
+ */
+export function amortizationSchedule(options: AmortizationOptions & { principal: number; annualRate: number }): AmortizationSchedule<number>;
+export function amortizationSchedule(options: AmortizationOptions): AmortizationSchedule;
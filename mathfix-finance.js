@@ -0,0 +1,662 @@
+/**
+ * MathFix 财务函数
+ * 现金流分析（NPV、IRR、XIRR、MIRR、回收期）、货币时间价值（PV、FV、PMT）与贷款还款计划，参数约定与 Excel 一致
+ */
+
+const { Decimal } = require('./mathfix-decimal.js');
+const { Fraction } = require('./mathfix-fraction.js');
+const { getConfig } = require('./mathfix-core.js');
+
+// 中间计算保留的小数位数，折现因子等无限小数在此精度上舍入
+const WORKING_SCALE = 40;
+
+// 包含 Decimal、BigInt 或 Fraction 参数时，结果 Decimal 保留的小数位数
+const RESULT_SCALE = 20;
+
+// 一天的毫秒数
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 支持的还款方式：等额本息、等额本金
+const AMORTIZATION_METHODS = ['equal-installment', 'equal-principal'];
+
+// 求解利率时查找有根区间使用的候选利率
+const RATE_BRACKETS = [-0.99, -0.9, -0.75, -0.5, -0.25, 0, 0.1, 0.25, 0.5, 1, 2, 5, 10, 100];
+
+/**
+ * 判断参数中是否包含高精度类型（Decimal、BigInt 或 Fraction），包含时结果返回 Decimal
+ * @param {...*} values 参数
+ * @returns {boolean}
+ */
+function hasHighPrecision(...values) {
+  return values.some(value => value instanceof Decimal || value instanceof Fraction || typeof value === 'bigint');
+}
+
+/**
+ * 转换为 Decimal，分数在中间计算精度上舍入
+ * @param {number|Decimal|Fraction|bigint} value 数值
+ * @returns {Decimal}
+ */
+function toDecimal(value) {
+  return value instanceof Fraction ? value.toDecimal(WORKING_SCALE) : Decimal.from(value);
+}
+
+/**
+ * 将 Decimal 计算结果转换为返回值
+ * @param {Decimal} value 计算结果
+ * @param {boolean} highPrecision 参数中是否包含高精度类型
+ * @returns {number|Decimal}
+ */
+function toResult(value, highPrecision) {
+  return highPrecision ? value.round(RESULT_SCALE) : value.toNumber();
+}
+
+/**
+ * 校验利率大于 -1，并返回 1 + 利率
+ * @param {number|Decimal|Fraction|bigint} rate 利率
+ * @returns {Decimal}
+ */
+function onePlusRate(rate) {
+  const value = toDecimal(rate).add(1);
+  if (!value.greaterThan(0)) {
+    throw new Error('利率必须大于 -1');
+  }
+  return value;
+}
+
+/**
+ * 校验现金流数组
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 现金流
+ * @returns {Decimal[]}
+ */
+function toCashFlows(cashFlows) {
+  if (!Array.isArray(cashFlows) || cashFlows.length === 0) {
+    throw new Error('现金流必须是非空数组');
+  }
+  return cashFlows.map(toDecimal);
+}
+
+/**
+ * (1 + rate) 的 periods 次幂，整数期数精确计算，非整数期数使用浮点幂
+ * @param {Decimal} base 1 + 利率
+ * @param {number} periods 期数
+ * @returns {Decimal}
+ */
+function growthFactor(base, periods) {
+  if (Number.isInteger(periods)) {
+    return periods >= 0
+      ? base.pow(periods)
+      : new Decimal(1).divide(base.pow(-periods), { scale: WORKING_SCALE });
+  }
+  return Decimal.from(Math.pow(base.toNumber(), periods));
+}
+
+/**
+ * 依次计算第 0 期到第 count - 1 期的折现因子 1 / (1 + rate)^i
+ * @param {Decimal} base 1 + 利率
+ * @param {number} count 期数
+ * @returns {Decimal[]}
+ */
+function discountFactors(base, count) {
+  const discount = new Decimal(1).divide(base, { scale: WORKING_SCALE });
+  const factors = [new Decimal(1)];
+  for (let i = 1; i < count; i++) {
+    factors.push(factors[i - 1].multiply(discount).round(WORKING_SCALE));
+  }
+  return factors;
+}
+
+/**
+ * 净现值，第一笔现金流发生在第1期期末（与 Excel NPV 一致）
+ * @param {number|Decimal|Fraction|bigint} rate 每期折现率
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 各期现金流
+ * @returns {number|Decimal} 净现值
+ */
+function npv(rate, cashFlows) {
+  const flows = toCashFlows(cashFlows);
+  const factors = discountFactors(onePlusRate(rate), flows.length + 1);
+  const total = flows.reduce((sum, flow, i) => sum.add(flow.multiply(factors[i + 1])), new Decimal(0));
+  return toResult(total, hasHighPrecision(rate, ...cashFlows));
+}
+
+/**
+ * 现值（与 Excel PV 一致，支出为负、收入为正）
+ * @param {number|Decimal|Fraction|bigint} rate 每期利率
+ * @param {number} nper 总期数
+ * @param {number|Decimal|Fraction|bigint} pmt 每期付款额
+ * @param {number|Decimal|Fraction|bigint} fv 终值，默认为0
+ * @param {number} type 付款时间：0 为期末（默认），1 为期初
+ * @returns {number|Decimal} 现值
+ */
+function pv(rate, nper, pmt, fv = 0, type = 0) {
+  if (type !== 0 && type !== 1) {
+    throw new Error('付款时间 type 必须是 0（期末）或 1（期初）');
+  }
+  const base = onePlusRate(rate);
+  const r = base.subtract(1);
+  const payment = toDecimal(pmt);
+  const future = toDecimal(fv);
+  let result;
+  if (r.isZero()) {
+    result = future.add(payment.multiply(nper)).negate();
+  } else {
+    const growth = growthFactor(base, nper);
+    const annuity = payment
+      .multiply(r.multiply(type).add(1))
+      .multiply(growth.subtract(1))
+      .divide(r, { scale: WORKING_SCALE });
+    result = future.add(annuity).divide(growth, { scale: WORKING_SCALE }).negate();
+  }
+  return toResult(result, hasHighPrecision(rate, pmt, fv));
+}
+
+/**
+ * 终值（与 Excel FV 一致，支出为负、收入为正）
+ * @param {number|Decimal|Fraction|bigint} rate 每期利率
+ * @param {number} nper 总期数
+ * @param {number|Decimal|Fraction|bigint} pmt 每期付款额
+ * @param {number|Decimal|Fraction|bigint} pv 现值，默认为0
+ * @param {number} type 付款时间：0 为期末（默认），1 为期初
+ * @returns {number|Decimal} 终值
+ */
+function fv(rate, nper, pmt, pv = 0, type = 0) {
+  if (type !== 0 && type !== 1) {
+    throw new Error('付款时间 type 必须是 0（期末）或 1（期初）');
+  }
+  const base = onePlusRate(rate);
+  const r = base.subtract(1);
+  const payment = toDecimal(pmt);
+  const present = toDecimal(pv);
+  let result;
+  if (r.isZero()) {
+    result = present.add(payment.multiply(nper)).negate();
+  } else {
+    const growth = growthFactor(base, nper);
+    const annuity = payment
+      .multiply(r.multiply(type).add(1))
+      .multiply(growth.subtract(1))
+      .divide(r, { scale: WORKING_SCALE });
+    result = present.multiply(growth).add(annuity).negate();
+  }
+  return toResult(result, hasHighPrecision(rate, pmt, pv));
+}
+
+/**
+ * 每期付款额（与 Excel PMT 一致，支出为负、收入为正）
+ * @param {number|Decimal|Fraction|bigint} rate 每期利率
+ * @param {number} nper 总期数
+ * @param {number|Decimal|Fraction|bigint} pv 现值（贷款本金）
+ * @param {number|Decimal|Fraction|bigint} fv 终值，默认为0
+ * @param {number} type 付款时间：0 为期末（默认），1 为期初
+ * @returns {number|Decimal} 每期付款额
+ */
+function pmt(rate, nper, pv, fv = 0, type = 0) {
+  if (type !== 0 && type !== 1) {
+    throw new Error('付款时间 type 必须是 0（期末）或 1（期初）');
+  }
+  if (nper === 0) {
+    throw new Error('总期数不能为0');
+  }
+  const base = onePlusRate(rate);
+  const r = base.subtract(1);
+  const present = toDecimal(pv);
+  const future = toDecimal(fv);
+  let result;
+  if (r.isZero()) {
+    result = present.add(future).divide(nper, { scale: WORKING_SCALE }).negate();
+  } else {
+    const growth = growthFactor(base, nper);
+    result = present.multiply(growth).add(future).multiply(r)
+      .divide(r.multiply(type).add(1).multiply(growth.subtract(1)), { scale: WORKING_SCALE })
+      .negate();
+  }
+  return toResult(result, hasHighPrecision(rate, pv, fv));
+}
+
+/**
+ * 解析求解器选项，第二个参数可以直接传入初始估计值（与 Excel 一致）
+ * @param {number|Object} guessOrOptions 初始估计值或选项
+ * @returns {{guess: number, tolerance: number, maxIterations: number}}
+ */
+function solverOptions(guessOrOptions) {
+  const options = typeof guessOrOptions === 'object' && guessOrOptions !== null
+    ? guessOrOptions
+    : { guess: guessOrOptions };
+  const guess = options.guess !== undefined ? Number(options.guess) : 0.1;
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 1e-10;
+  const maxIterations = options.maxIterations !== undefined ? options.maxIterations : 100;
+  if (!Number.isFinite(guess) || guess <= -1) {
+    throw new Error('初始估计值必须是大于 -1 的有限数字');
+  }
+  if (typeof tolerance !== 'number' || !(tolerance > 0)) {
+    throw new Error('容差必须是正数');
+  }
+  if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+    throw new Error('最大迭代次数必须是正整数');
+  }
+  return { guess, tolerance, maxIterations };
+}
+
+/**
+ * 求解使 f(rate) = 0 的利率：先用牛顿法从初始估计值迭代，失败时在有根区间内二分
+ * @param {Function} f 目标函数
+ * @param {Function} df 目标函数的导数
+ * @param {{guess: number, tolerance: number, maxIterations: number}} options 求解器选项
+ * @param {string} name 函数名（用于错误信息）
+ * @returns {number} 利率
+ */
+function solveRate(f, df, options, name) {
+  const { guess, tolerance, maxIterations } = options;
+
+  // 牛顿法
+  let rate = guess;
+  for (let i = 0; i < maxIterations; i++) {
+    const value = f(rate);
+    const slope = df(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) {
+      break;
+    }
+    const next = rate - value / slope;
+    if (!Number.isFinite(next) || next <= -1) {
+      break;
+    }
+    if (Math.abs(next - rate) < tolerance) {
+      return next;
+    }
+    rate = next;
+  }
+
+  // 二分法：在离初始估计值最近的变号区间内求解
+  const points = RATE_BRACKETS.concat(guess).sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 1; i < points.length; i++) {
+    intervals.push([points[i - 1], points[i]]);
+  }
+  intervals.sort((a, b) => Math.abs((a[0] + a[1]) / 2 - guess) - Math.abs((b[0] + b[1]) / 2 - guess));
+  const bracket = intervals.find(([low, high]) => {
+    const a = f(low);
+    const b = f(high);
+    return Number.isFinite(a) && Number.isFinite(b) && a * b <= 0;
+  });
+  if (!bracket) {
+    throw new Error(name + ' 无法收敛：在 -99% 到 10000% 之间找不到使净现值为0的利率');
+  }
+
+  let [low, high] = bracket;
+  let lowValue = f(low);
+  for (let i = 0; i < maxIterations; i++) {
+    const middle = (low + high) / 2;
+    const value = f(middle);
+    if (value === 0 || (high - low) / 2 < tolerance) {
+      return middle;
+    }
+    if (Math.sign(value) === Math.sign(lowValue)) {
+      low = middle;
+      lowValue = value;
+    } else {
+      high = middle;
+    }
+  }
+  throw new Error(name + ' 无法收敛：' + maxIterations + ' 次迭代后误差仍大于 ' + tolerance + '，请增大 maxIterations 或尝试其他初始估计值');
+}
+
+/**
+ * 校验现金流同时包含正值和负值，并转换为 Number 供迭代求解
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 现金流
+ * @returns {number[]}
+ */
+function toSolverCashFlows(cashFlows) {
+  const flows = toCashFlows(cashFlows);
+  if (!flows.some(flow => flow.isNegative()) || !flows.some(flow => flow.greaterThan(0))) {
+    throw new Error('现金流必须同时包含正值和负值');
+  }
+  return flows.map(flow => flow.toNumber());
+}
+
+/**
+ * 内部收益率，第一笔现金流发生在第0期（与 Excel IRR 一致）
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 各期现金流，必须同时包含正值和负值
+ * @param {number|Object} guessOrOptions 初始估计值（默认 0.1），或选项对象
+ * @param {number} guessOrOptions.guess 初始估计值
+ * @param {number} guessOrOptions.tolerance 容差，相邻两次迭代的差小于该值时视为收敛，默认 1e-10
+ * @param {number} guessOrOptions.maxIterations 最大迭代次数，默认 100
+ * @returns {number} 每期内部收益率
+ */
+function irr(cashFlows, guessOrOptions) {
+  const flows = toSolverCashFlows(cashFlows);
+  const f = rate => flows.reduce((sum, flow, i) => sum + flow / Math.pow(1 + rate, i), 0);
+  const df = rate => flows.reduce((sum, flow, i) => sum - i * flow / Math.pow(1 + rate, i + 1), 0);
+  return solveRate(f, df, solverOptions(guessOrOptions), 'IRR');
+}
+
+/**
+ * 转换为从 1970-01-01 起的天数（按日历日期计算，不受时区和夏令时影响）
+ * @param {Date|string} date 日期对象或 YYYY-MM-DD 格式的字符串
+ * @returns {number}
+ */
+function toDayNumber(date) {
+  if (date instanceof Date && !isNaN(date.getTime())) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY;
+  }
+  const match = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (!match) {
+    throw new Error('日期必须是 Date 对象或 YYYY-MM-DD 格式的字符串');
+  }
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / MS_PER_DAY;
+}
+
+/**
+ * 计算各笔现金流距第一笔现金流的年数（按 365 天计）
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 现金流
+ * @param {Array<Date|string>} dates 日期
+ * @returns {number[]}
+ */
+function toYearFractions(cashFlows, dates) {
+  if (!Array.isArray(dates) || dates.length !== cashFlows.length) {
+    throw new Error('日期数组的长度必须与现金流数组相同');
+  }
+  const days = dates.map(toDayNumber);
+  if (days.some(day => day < days[0])) {
+    throw new Error('日期不能早于第一笔现金流的日期');
+  }
+  return days.map(day => (day - days[0]) / 365);
+}
+
+/**
+ * 不定期现金流的净现值，按实际天数折现到第一笔现金流的日期（与 Excel XNPV 一致）
+ * @param {number|Decimal|Fraction|bigint} rate 年折现率
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 现金流
+ * @param {Array<Date|string>} dates 各笔现金流的日期
+ * @returns {number|Decimal} 净现值
+ */
+function xnpv(rate, cashFlows, dates) {
+  const flows = toCashFlows(cashFlows);
+  const years = toYearFractions(cashFlows, dates);
+  const base = onePlusRate(rate);
+  const total = flows.reduce(
+    (sum, flow, i) => sum.add(flow.divide(growthFactor(base, years[i]), { scale: WORKING_SCALE })),
+    new Decimal(0)
+  );
+  return toResult(total, hasHighPrecision(rate, ...cashFlows));
+}
+
+/**
+ * 不定期现金流的内部收益率（与 Excel XIRR 一致）
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 现金流，必须同时包含正值和负值
+ * @param {Array<Date|string>} dates 各笔现金流的日期，不能早于第一笔现金流的日期
+ * @param {number|Object} guessOrOptions 初始估计值（默认 0.1），或选项对象，见 irr
+ * @returns {number} 年化内部收益率
+ */
+function xirr(cashFlows, dates, guessOrOptions) {
+  const flows = toSolverCashFlows(cashFlows);
+  const years = toYearFractions(cashFlows, dates);
+  const f = rate => flows.reduce((sum, flow, i) => sum + flow / Math.pow(1 + rate, years[i]), 0);
+  const df = rate => flows.reduce((sum, flow, i) => sum - years[i] * flow / Math.pow(1 + rate, years[i] + 1), 0);
+  return solveRate(f, df, solverOptions(guessOrOptions), 'XIRR');
+}
+
+/**
+ * 修正内部收益率：负现金流按融资利率折现，正现金流按再投资收益率复利（与 Excel MIRR 一致）
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 各期现金流，必须同时包含正值和负值
+ * @param {number|Decimal|Fraction|bigint} financeRate 融资利率
+ * @param {number|Decimal|Fraction|bigint} reinvestRate 再投资收益率
+ * @returns {number|Decimal} 每期修正内部收益率
+ */
+function mirr(cashFlows, financeRate, reinvestRate) {
+  const flows = toCashFlows(cashFlows);
+  const n = flows.length;
+  if (n < 2) {
+    throw new Error('现金流至少需要2期');
+  }
+  const financeFactors = discountFactors(onePlusRate(financeRate), n);
+  const reinvestBase = onePlusRate(reinvestRate);
+
+  let positiveFuture = new Decimal(0);
+  let negativePresent = new Decimal(0);
+  flows.forEach((flow, i) => {
+    if (flow.isNegative()) {
+      negativePresent = negativePresent.add(flow.multiply(financeFactors[i]));
+    } else {
+      positiveFuture = positiveFuture.add(flow.multiply(reinvestBase.pow(n - 1 - i)));
+    }
+  });
+  if (negativePresent.isZero() || positiveFuture.isZero()) {
+    throw new Error('现金流必须同时包含正值和负值');
+  }
+
+  const ratio = positiveFuture.divide(negativePresent.negate(), { scale: WORKING_SCALE });
+  if (hasHighPrecision(financeRate, reinvestRate, ...cashFlows)) {
+    return ratio.root(n - 1, WORKING_SCALE).subtract(1).round(RESULT_SCALE);
+  }
+  return Math.pow(ratio.toNumber(), 1 / (n - 1)) - 1;
+}
+
+/**
+ * 计算累计现金流由负转为非负的期数，期内按均匀回收线性插值
+ * @param {Decimal[]} flows 各期（折现后的）现金流，第0期为初始投资
+ * @param {boolean} highPrecision 是否返回 Decimal
+ * @returns {number|Decimal|null} 回收期，未能回收时返回 null
+ */
+function paybackFromFlows(flows, highPrecision) {
+  let cumulative = flows[0];
+  if (!cumulative.isNegative()) {
+    return highPrecision ? new Decimal(0) : 0;
+  }
+  for (let i = 1; i < flows.length; i++) {
+    const previous = cumulative;
+    cumulative = cumulative.add(flows[i]);
+    if (previous.isNegative() && !cumulative.isNegative()) {
+      const partial = previous.negate().divide(flows[i], { scale: WORKING_SCALE });
+      return toResult(partial.add(i - 1), highPrecision);
+    }
+  }
+  return null;
+}
+
+/**
+ * 静态投资回收期
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 各期现金流，第0期为初始投资（负值）
+ * @returns {number|Decimal|null} 累计现金流首次转为非负所需的期数（可以是小数），未能回收时返回 null
+ */
+function paybackPeriod(cashFlows) {
+  return paybackFromFlows(toCashFlows(cashFlows), hasHighPrecision(...cashFlows));
+}
+
+/**
+ * 动态（折现）投资回收期
+ * @param {number|Decimal|Fraction|bigint} rate 每期折现率
+ * @param {Array<number|Decimal|Fraction|bigint>} cashFlows 各期现金流，第0期为初始投资（负值）
+ * @returns {number|Decimal|null} 折现后累计现金流首次转为非负所需的期数（可以是小数），未能回收时返回 null
+ */
+function discountedPaybackPeriod(rate, cashFlows) {
+  const flows = toCashFlows(cashFlows);
+  const factors = discountFactors(onePlusRate(rate), flows.length);
+  const discounted = flows.map((flow, i) => flow.multiply(factors[i]));
+  return paybackFromFlows(discounted, hasHighPrecision(rate, ...cashFlows));
+}
+
+/**
+ * 等额本息每期还款额，按精度舍入
+ * @param {Decimal} balance 剩余本金
+ * @param {Decimal} rate 每期利率
+ * @param {number} periods 剩余期数
+ * @param {number} precision 小数位数
+ * @param {string} roundingMode 舍入模式
+ * @returns {Decimal}
+ */
+function installmentPayment(balance, rate, periods, precision, roundingMode) {
+  if (rate.isZero()) {
+    return balance.divide(periods, { scale: precision, roundingMode });
+  }
+  const growth = rate.add(1).pow(periods);
+  return balance.multiply(rate).multiply(growth)
+    .divide(growth.subtract(1), { scale: precision, roundingMode });
+}
+
+/**
+ * 等额本息在每期还款额不变时还清剩余本金所需的期数
+ * @param {Decimal} balance 剩余本金
+ * @param {Decimal} rate 每期利率
+ * @param {Decimal} payment 每期还款额
+ * @returns {number}
+ */
+function installmentTerm(balance, rate, payment) {
+  const b = balance.toNumber();
+  const r = rate.toNumber();
+  const a = payment.toNumber();
+  if (b * r >= a) {
+    throw new Error('每期还款额不足以支付利息，无法还清贷款');
+  }
+  const periods = r === 0 ? b / a : -Math.log(1 - b * r / a) / Math.log(1 + r);
+  // 消除浮点误差，避免恰好整数期时多出一期
+  return Math.max(Math.ceil(periods - 1e-9), 1);
+}
+
+/**
+ * 校验并整理提前还款计划
+ * @param {Array<{period: number, amount: number|Decimal|Fraction|bigint, strategy: string}>} prepayments 提前还款
+ * @param {number} periods 总期数
+ * @returns {Map<number, {amount: Decimal, strategy: string}>} 按期数索引的提前还款
+ */
+function toPrepayments(prepayments, periods) {
+  const result = new Map();
+  for (const item of prepayments) {
+    if (!Number.isInteger(item.period) || item.period < 1 || item.period > periods) {
+      throw new Error('提前还款的期数必须是 1 到 ' + periods + ' 之间的整数');
+    }
+    if (result.has(item.period)) {
+      throw new Error('第 ' + item.period + ' 期有多笔提前还款');
+    }
+    const amount = toDecimal(item.amount);
+    if (!amount.greaterThan(0)) {
+      throw new Error('提前还款金额必须大于0');
+    }
+    const strategy = item.strategy || 'reduce-payment';
+    if (strategy !== 'reduce-payment' && strategy !== 'reduce-term') {
+      throw new Error('不支持的提前还款方式：' + strategy);
+    }
+    result.set(item.period, { amount, strategy });
+  }
+  return result;
+}
+
+/**
+ * 贷款还款计划
+ * 每期利息、本金、还款额和剩余本金按精度舍入，最后一期还清全部剩余本金，消除舍入误差
+ * @param {Object} options 选项
+ * @param {number|Decimal|Fraction|bigint} options.principal 贷款本金
+ * @param {number|Decimal|Fraction|bigint} options.annualRate 年利率（小数形式，如 0.049 表示 4.9%）
+ * @param {number} options.periods 还款期数
+ * @param {string} options.method 还款方式：'equal-installment'（等额本息，默认）或 'equal-principal'（等额本金）
+ * @param {number} options.periodsPerYear 每年还款期数，默认为12（按月还款）
+ * @param {number} options.precision 金额保留的小数位数，默认为2（分）
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @param {Array<Object>} options.prepayments 提前还款，如 [{ period: 12, amount: 100000, strategy: 'reduce-term' }]，
+ *   在该期正常还款后偿还；strategy 为 'reduce-payment'（期限不变、减少每期还款，默认）或 'reduce-term'（每期还款不变、缩短期限）
+ * @returns {{schedule: Array<Object>, totalPayment: number|Decimal, totalInterest: number|Decimal, totalPrepayment: number|Decimal}}
+ *   schedule 每项为 { period, payment, principal, interest, prepayment, balance }，payment 为当期正常还款额（本金 + 利息）
+ */
+function amortizationSchedule(options = {}) {
+  const method = options.method || 'equal-installment';
+  if (!AMORTIZATION_METHODS.includes(method)) {
+    throw new Error('不支持的还款方式：' + method);
+  }
+  const periods = options.periods;
+  if (!Number.isInteger(periods) || periods < 1) {
+    throw new Error('还款期数必须是正整数');
+  }
+  const periodsPerYear = options.periodsPerYear !== undefined ? options.periodsPerYear : 12;
+  if (!Number.isInteger(periodsPerYear) || periodsPerYear < 1) {
+    throw new Error('每年还款期数必须是正整数');
+  }
+  const precision = options.precision !== undefined ? options.precision : 2;
+  if (!Number.isInteger(precision) || precision < 0) {
+    throw new Error('精度必须是非负整数');
+  }
+  const roundingMode = options.roundingMode || getConfig().roundingMode;
+  const principal = toDecimal(options.principal);
+  if (!principal.greaterThan(0)) {
+    throw new Error('贷款本金必须大于0');
+  }
+  const annualRate = toDecimal(options.annualRate);
+  if (annualRate.isNegative()) {
+    throw new Error('年利率不能为负数');
+  }
+  const rate = annualRate.divide(periodsPerYear, { scale: WORKING_SCALE });
+  const prepayments = toPrepayments(options.prepayments || [], periods);
+  const highPrecision = hasHighPrecision(options.principal, options.annualRate);
+  const result = value => toResult(value, highPrecision);
+
+  let balance = principal.round(precision, roundingMode);
+  let totalPeriods = periods;
+  // 等额本息为每期还款额，等额本金为每期偿还的本金
+  let installment = method === 'equal-installment'
+    ? installmentPayment(balance, rate, totalPeriods, precision, roundingMode)
+    : balance.divide(totalPeriods, { scale: precision, roundingMode });
+
+  const schedule = [];
+  let totalPayment = new Decimal(0);
+  let totalInterest = new Decimal(0);
+  let totalPrepayment = new Decimal(0);
+  for (let period = 1; period <= totalPeriods && !balance.isZero(); period++) {
+    const interest = balance.multiply(rate).round(precision, roundingMode);
+    let principalPart = method === 'equal-installment' ? installment.subtract(interest) : installment;
+    if (period === totalPeriods || principalPart.greaterThan(balance)) {
+      principalPart = balance;
+    }
+    const payment = principalPart.add(interest);
+    balance = balance.subtract(principalPart);
+
+    let prepayment = new Decimal(0);
+    const plan = prepayments.get(period);
+    if (plan && !balance.isZero()) {
+      prepayment = plan.amount.greaterThan(balance) ? balance : plan.amount.round(precision, roundingMode);
+      balance = balance.subtract(prepayment);
+      const remaining = totalPeriods - period;
+      if (!balance.isZero() && remaining > 0) {
+        if (plan.strategy === 'reduce-term') {
+          totalPeriods = period + (method === 'equal-installment'
+            ? installmentTerm(balance, rate, installment)
+            : Math.ceil(balance.divide(installment, { scale: WORKING_SCALE }).toNumber() - 1e-9));
+        } else {
+          installment = method === 'equal-installment'
+            ? installmentPayment(balance, rate, remaining, precision, roundingMode)
+            : balance.divide(remaining, { scale: precision, roundingMode });
+        }
+      }
+    }
+
+    totalPayment = totalPayment.add(payment).add(prepayment);
+    totalInterest = totalInterest.add(interest);
+    totalPrepayment = totalPrepayment.add(prepayment);
+    schedule.push({
+      period,
+      payment: result(payment),
+      principal: result(principalPart),
+      interest: result(interest),
+      prepayment: result(prepayment),
+      balance: result(balance)
+    });
+  }
+
+  return {
+    schedule,
+    totalPayment: result(totalPayment),
+    totalInterest: result(totalInterest),
+    totalPrepayment: result(totalPrepayment)
+  };
+}
+
+module.exports = {
+  npv,
+  xnpv,
+  irr,
+  xirr,
+  mirr,
+  pv,
+  fv,
+  pmt,
+  paybackPeriod,
+  discountedPaybackPeriod,
+  amortizationSchedule,
+  AMORTIZATION_METHODS
+};
@@ -0,0 +1,70 @@
+/**
+ * MathFix 分数（有理数）类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+
+/**
+ * 可以转换为 Fraction 的输入，字符串支持 "1/3"、"2 1/4"、"0.75" 等格式
+ */
+export type FractionInput = Fraction | Decimal | number | bigint | string;
+
+/**
+ * 分数，分子分母均为 BigInt，始终保持约分且分母为正，实例不可变
+ */
+export class Fraction {
+  /** 分子 */
+  readonly numerator: bigint;
+  /** 分母 */
+  readonly denominator: bigint;
+
+  constructor(numerator?: FractionInput, denominator?: FractionInput);
+
+  static from(value: FractionInput): Fraction;
+  static isFraction(value: unknown): value is Fraction;
+  static fromParts(numerator: bigint, denominator: bigint): Fraction;
+
+  add(other: FractionInput): Fraction;
+  subtract(other: FractionInput): Fraction;
+  multiply(other: FractionInput): Fraction;
+  divide(other: FractionInput): Fraction;
+  pow(exponent: number): Fraction;
+  negate(): Fraction;
+  abs(): Fraction;
+  reciprocal(): Fraction;
+  round(scale?: number, roundingMode?: RoundingMode): Fraction;
+  limitDenominator(maxDenominator: number | bigint): Fraction;
+
+  compare(other: FractionInput): -1 | 0 | 1;
+  equals(other: FractionInput): boolean;
+  lessThan(other: FractionInput): boolean;
+  lessThanOrEqual(other: FractionInput): boolean;
+  greaterThan(other: FractionInput): boolean;
+  greaterThanOrEqual(other: FractionInput): boolean;
+  isZero(): boolean;
+  isNegative(): boolean;
+  isInteger(): boolean;
+  sign(): -1 | 0 | 1;
+
+  toDecimal(scale?: number, roundingMode?: RoundingMode): Decimal;
+  toNumber(): number;
+  toRepeatingDecimal(maxDigits?: number): string;
+  toMixedString(): string;
+  toString(): string;
+  toJSON(): string;
+}
+
+/**
+ * 分数转换选项
+ */
+export interface ToFractionOptions {
+  /** 最大分母，指定后返回最佳有理逼近 */
+  maxDenominator?: number | bigint;
+}
+
+/**
+ * 将数字转换为分数
+ * @param value 数值，如 0.75、"2 1/4"
+ * @param options 选项
+ */
+export function toFraction(value: FractionInput, options?: ToFractionOptions): Fraction;
@@ -0,0 +1,408 @@
+/**
+ * MathFix 分数（有理数）类型 (ES Module)
+ * 基于 BigInt 的分子分母实现精确的有理数运算，适用于三等分、单位换算等无法用有限小数表示的计算
+ */
+
+import {
+  Decimal,
+  DEFAULT_DIVISION_SCALE,
+  gcd,
+  divideRounded,
+  terminatingScale,
+  significantScale,
+  repeatingDecimalParts
+} from './mathfix-decimal.mjs';
+
+// 带分数格式，如 "2 1/4"、"-2 1/4"
+const MIXED_PATTERN = /^([+-])?(\d+)\s+(\d+)\s*\/\s*(\d+)$/;
+
+// 分数格式，如 "1/3"、"-1.5/2"
+const FRACTION_PATTERN = /^([^/]+)\/([^/]+)$/;
+
+/**
+ * BigInt 绝对值
+ * @param {bigint} n 整数
+ * @returns {bigint} 绝对值
+ */
+function bigAbs(n) {
+  return n < BigInt(0) ? -n : n;
+}
+
+/**
+ * 将 Decimal 转换为分子分母
+ * @param {Decimal} decimal 十进制数
+ * @returns {{numerator: bigint, denominator: bigint}}
+ */
+function decimalToRatio(decimal) {
+  return {
+    numerator: decimal.coefficient,
+    denominator: BigInt(10) ** BigInt(decimal.scale)
+  };
+}
+
+/**
+ * 解析输入值为（未约分的）分子分母
+ * @param {Fraction|Decimal|number|bigint|string} value 输入值
+ * @returns {{numerator: bigint, denominator: bigint}}
+ */
+function parseFraction(value) {
+  if (value instanceof Fraction) {
+    return { numerator: value.numerator, denominator: value.denominator };
+  }
+
+  if (typeof value === 'string') {
+    const str = value.trim();
+
+    const mixed = MIXED_PATTERN.exec(str);
+    if (mixed) {
+      const denominator = BigInt(mixed[4]);
+      let numerator = BigInt(mixed[2]) * denominator + BigInt(mixed[3]);
+      if (mixed[1] === '-') {
+        numerator = -numerator;
+      }
+      return { numerator, denominator };
+    }
+
+    const fraction = FRACTION_PATTERN.exec(str);
+    if (fraction) {
+      const top = decimalToRatio(new Decimal(fraction[1]));
+      const bottom = decimalToRatio(new Decimal(fraction[2]));
+      return {
+        numerator: top.numerator * bottom.denominator,
+        denominator: top.denominator * bottom.numerator
+      };
+    }
+  }
+
+  // 数字按其最短十进制表示转换，如 0.1 为 1/10
+  return decimalToRatio(Decimal.from(value));
+}
+
+/**
+ * 分数（有理数）
+ * 分子分母均为 BigInt，始终保持约分且分母为正，实例不可变
+ */
+export class Fraction {
+  /**
+   * @param {Fraction|Decimal|number|bigint|string} numerator 分子，或 "1/3"、"2 1/4"、"0.75" 等字符串
+   * @param {Fraction|Decimal|number|bigint|string} denominator 分母，默认为1
+   */
+  constructor(numerator = 0, denominator = 1) {
+    const top = parseFraction(numerator);
+    const bottom = parseFraction(denominator);
+    assignReduced(this, top.numerator * bottom.denominator, top.denominator * bottom.numerator);
+  }
+
+  /**
+   * 将任意支持的输入转换为 Fraction，已是 Fraction 时直接返回
+   * @param {Fraction|Decimal|number|bigint|string} value 输入值
+   * @returns {Fraction}
+   */
+  static from(value) {
+    return value instanceof Fraction ? value : new Fraction(value);
+  }
+
+  /**
+   * 判断是否为 Fraction 实例
+   * @param {*} value 任意值
+   * @returns {boolean}
+   */
+  static isFraction(value) {
+    return value instanceof Fraction;
+  }
+
+  /**
+   * 由 BigInt 分子分母直接构造
+   * @param {bigint} numerator 分子
+   * @param {bigint} denominator 分母
+   * @returns {Fraction}
+   */
+  static fromParts(numerator, denominator) {
+    return assignReduced(Object.create(Fraction.prototype), numerator, denominator);
+  }
+
+  /**
+   * 精确加法
+   * @param {Fraction|Decimal|number|bigint|string} other 加数
+   * @returns {Fraction}
+   */
+  add(other) {
+    const value = Fraction.from(other);
+    return Fraction.fromParts(
+      this.numerator * value.denominator + value.numerator * this.denominator,
+      this.denominator * value.denominator
+    );
+  }
+
+  /**
+   * 精确减法
+   * @param {Fraction|Decimal|number|bigint|string} other 减数
+   * @returns {Fraction}
+   */
+  subtract(other) {
+    return this.add(Fraction.from(other).negate());
+  }
+
+  /**
+   * 精确乘法
+   * @param {Fraction|Decimal|number|bigint|string} other 乘数
+   * @returns {Fraction}
+   */
+  multiply(other) {
+    const value = Fraction.from(other);
+    return Fraction.fromParts(this.numerator * value.numerator, this.denominator * value.denominator);
+  }
+
+  /**
+   * 精确除法
+   * @param {Fraction|Decimal|number|bigint|string} other 除数
+   * @returns {Fraction}
+   */
+  divide(other) {
+    const value = Fraction.from(other);
+    if (value.isZero()) {
+      throw new Error('除数不能为0');
+    }
+    return Fraction.fromParts(this.numerator * value.denominator, this.denominator * value.numerator);
+  }
+
+  /**
+   * 整数次幂
+   * @param {number} exponent 整数指数
+   * @returns {Fraction}
+   */
+  pow(exponent) {
+    if (!Number.isInteger(exponent)) {
+      throw new Error('Fraction 仅支持整数次幂');
+    }
+    if (exponent < 0) {
+      return this.reciprocal().pow(-exponent);
+    }
+    const e = BigInt(exponent);
+    return Fraction.fromParts(this.numerator ** e, this.denominator ** e);
+  }
+
+  negate() {
+    return Fraction.fromParts(-this.numerator, this.denominator);
+  }
+
+  abs() {
+    return this.isNegative() ? this.negate() : this;
+  }
+
+  /**
+   * 倒数
+   * @returns {Fraction}
+   */
+  reciprocal() {
+    if (this.isZero()) {
+      throw new Error('0 没有倒数');
+    }
+    return Fraction.fromParts(this.denominator, this.numerator);
+  }
+
+  /**
+   * 按舍入模式保留指定小数位数，结果仍为 Fraction
+   * @param {number} scale 保留的小数位数
+   * @param {string} roundingMode 舍入模式
+   * @returns {Fraction}
+   */
+  round(scale = 0, roundingMode) {
+    return Fraction.from(this.toDecimal(scale, roundingMode));
+  }
+
+  /**
+   * 在分母不超过 maxDenominator 的分数中找出最接近的一个（连分数最佳逼近）
+   * @param {number|bigint} maxDenominator 最大分母
+   * @returns {Fraction}
+   */
+  limitDenominator(maxDenominator) {
+    const max = BigInt(maxDenominator);
+    if (max < BigInt(1)) {
+      throw new Error('最大分母必须大于等于1');
+    }
+    if (this.denominator <= max) {
+      return this;
+    }
+
+    let [p0, q0, p1, q1] = [BigInt(0), BigInt(1), BigInt(1), BigInt(0)];
+    let n = bigAbs(this.numerator);
+    let d = this.denominator;
+    for (;;) {
+      const a = n / d;
+      const q2 = q0 + a * q1;
+      if (q2 > max) {
+        break;
+      }
+      [p0, q0, p1, q1] = [p1, q1, p0 + a * p1, q2];
+      [n, d] = [d, n - a * d];
+    }
+
+    // 比较最后一个渐近分数与半渐近分数，取误差较小者
+    const k = (max - q0) / q1;
+    const target = this.abs();
+    const bound1 = Fraction.fromParts(p0 + k * p1, q0 + k * q1);
+    const bound2 = Fraction.fromParts(p1, q1);
+    const best = bound2.subtract(target).abs().compare(bound1.subtract(target).abs()) <= 0 ? bound2 : bound1;
+    return this.isNegative() ? best.negate() : best;
+  }
+
+  /**
+   * 比较大小
+   * @param {Fraction|Decimal|number|bigint|string} other 另一个值
+   * @returns {number} 小于返回-1，等于返回0，大于返回1
+   */
+  compare(other) {
+    const value = Fraction.from(other);
+    const a = this.numerator * value.denominator;
+    const b = value.numerator * this.denominator;
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  lessThanOrEqual(other) {
+    return this.compare(other) <= 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  greaterThanOrEqual(other) {
+    return this.compare(other) >= 0;
+  }
+
+  isZero() {
+    return this.numerator === BigInt(0);
+  }
+
+  isNegative() {
+    return this.numerator < BigInt(0);
+  }
+
+  isInteger() {
+    return this.denominator === BigInt(1);
+  }
+
+  sign() {
+    return this.isZero() ? 0 : this.isNegative() ? -1 : 1;
+  }
+
+  /**
+   * 转换为 Decimal
+   * @param {number} scale 保留的小数位数；未指定时有限小数精确转换，否则保留20位，数量级很小时加长到至少17位有效数字
+   * @param {string} roundingMode 舍入模式
+   * @returns {Decimal}
+   */
+  toDecimal(scale, roundingMode) {
+    if (scale === undefined) {
+      const exact = terminatingScale(this.numerator, this.denominator);
+      scale = exact !== -1
+        ? exact
+        : Math.max(DEFAULT_DIVISION_SCALE, significantScale(this.numerator, this.denominator, 17));
+    }
+    const quotient = divideRounded(
+      this.numerator * BigInt(10) ** BigInt(Math.max(scale, 0)),
+      this.denominator * BigInt(10) ** BigInt(Math.max(-scale, 0)),
+      roundingMode
+    );
+    return Decimal.fromParts(quotient, scale);
+  }
+
+  /**
+   * 转换为 Number（无法精确表示时取最接近的值）
+   * @returns {number}
+   */
+  toNumber() {
+    const n = Number(this.numerator);
+    const d = Number(this.denominator);
+    if (Number.isSafeInteger(n) && Number.isSafeInteger(d)) {
+      return n / d;
+    }
+    // 按分子分母的数量级保留足够的有效数字，极小的值不会被截断为0
+    return this.toDecimal(significantScale(this.numerator, this.denominator)).toNumber();
+  }
+
+  /**
+   * 循环小数表示，如 1/6 为 "0.1(6)"
+   * @param {number} maxDigits 小数部分的最大位数，默认1000，超出时抛出错误
+   * @returns {string}
+   */
+  toRepeatingDecimal(maxDigits) {
+    const parts = repeatingDecimalParts(this.numerator, this.denominator, maxDigits);
+    let result = (parts.negative ? '-' : '') + parts.integer;
+    if (parts.nonRepeating || parts.repeating) {
+      result += '.' + parts.nonRepeating + (parts.repeating ? '(' + parts.repeating + ')' : '');
+    }
+    return result;
+  }
+
+  /**
+   * 带分数表示，如 9/4 为 "2 1/4"
+   * @returns {string}
+   */
+  toMixedString() {
+    const whole = bigAbs(this.numerator) / this.denominator;
+    const rest = bigAbs(this.numerator) % this.denominator;
+    const sign = this.isNegative() ? '-' : '';
+    if (rest === BigInt(0)) {
+      return sign + whole;
+    }
+    if (whole === BigInt(0)) {
+      return sign + rest + '/' + this.denominator;
+    }
+    return sign + whole + ' ' + rest + '/' + this.denominator;
+  }
+
+  /**
+   * 分数表示，如 "3/4"，整数时省略分母
+   * @returns {string}
+   */
+  toString() {
+    return this.isInteger() ? this.numerator.toString() : this.numerator + '/' + this.denominator;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * 写入约分后的分子分母，分母保持为正
+ * @param {Fraction} target 目标实例
+ * @param {bigint} numerator 分子
+ * @param {bigint} denominator 分母
+ * @returns {Fraction} 目标实例
+ */
+function assignReduced(target, numerator, denominator) {
+  if (denominator === BigInt(0)) {
+    throw new Error('分母不能为0');
+  }
+  if (denominator < BigInt(0)) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const divisor = gcd(bigAbs(numerator), denominator);
+  target.numerator = numerator / divisor;
+  target.denominator = denominator / divisor;
+  return target;
+}
+
+/**
+ * 将数字转换为分数
+ * @param {Fraction|Decimal|number|bigint|string} value 数值，如 0.75、"2 1/4"
+ * @param {Object} options 选项
+ * @param {number} options.maxDenominator 最大分母，指定后返回最佳有理逼近，如 toFraction(3.14159, { maxDenominator: 1000 }) 为 355/113
+ * @returns {Fraction}
+ */
+export function toFraction(value, options = {}) {
+  const fraction = Fraction.from(value);
+  return options.maxDenominator !== undefined ? fraction.limitDenominator(options.maxDenominator) : fraction;
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * MathFix 货币金额类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+
+/**
+ * 币种信息
+ */
+export interface CurrencyInfo {
+  /** 最小货币单位对应的小数位数，如 CNY 为 2、JPY 为 0 */
+  minorUnits: number;
+  /** 货币符号 */
+  symbol: string;
+}
+
+/**
+ * 可以作为金额或系数的数值
+ */
+export type MoneyInput = number | string | Decimal | Fraction | bigint;
+
+/**
+ * 金额格式化选项
+ */
+export interface MoneyFormatOptions {
+  /** 是否显示货币符号，默认 true；为 'code' 时在末尾显示币种代码 */
+  symbol?: boolean | 'code';
+  /** 是否使用千分位分隔符，默认 true */
+  thousandsSeparator?: boolean;
+  /** 是否转换为人民币大写（仅支持 CNY） */
+  chineseCapital?: boolean;
+  /** 是否拼写为外文单词，为字符串时指定语言，默认为 'en' */
+  words?: boolean | string;
+}
+
+/**
+ * 内置币种表
+ */
+export const CURRENCIES: Record<string, CurrencyInfo>;
+
+/**
+ * 注册或覆盖币种
+ * @param code 币种代码，如 'MOP'
+ * @param options 币种信息，symbol 默认为币种代码
+ */
+export function registerCurrency(code: string, options: { minorUnits: number; symbol?: string }): void;
+
+/**
+ * 获取币种信息，不支持的币种抛出错误
+ * @param code 币种代码
+ */
+export function getCurrency(code: string): CurrencyInfo & { code: string };
+
+/**
+ * 货币金额，以最小货币单位的 BigInt 整数存储，实例不可变
+ */
+export class Money {
+  /** 币种代码 */
+  readonly currency: string;
+  /** 最小货币单位对应的小数位数 */
+  readonly minorUnits: number;
+  /** 以最小货币单位表示的金额，如 12.34 元为 1234n */
+  readonly amount: bigint;
+
+  /**
+   * @param amount 以主单位表示的金额
+   * @param currency 币种代码
+   * @param options 金额精度超出最小货币单位时的舍入模式，未指定时抛出错误
+   */
+  constructor(amount: MoneyInput, currency: string, options?: { roundingMode?: RoundingMode });
+
+  static fromMinor(minor: number | bigint | string, currency: string): Money;
+  static isMoney(value: unknown): value is Money;
+
+  assertSameCurrency(other: Money): Money;
+  add(other: Money): Money;
+  subtract(other: Money): Money;
+  multiply(factor: MoneyInput, roundingMode?: RoundingMode): Money;
+  divide(divisor: MoneyInput, roundingMode?: RoundingMode): Money;
+  negate(): Money;
+  abs(): Money;
+
+  compare(other: Money): -1 | 0 | 1;
+  equals(other: unknown): boolean;
+  lessThan(other: Money): boolean;
+  lessThanOrEqual(other: Money): boolean;
+  greaterThan(other: Money): boolean;
+  greaterThanOrEqual(other: Money): boolean;
+  isZero(): boolean;
+  isNegative(): boolean;
+  isPositive(): boolean;
+
+  toDecimal(): Decimal;
+  toNumber(): number;
+  format(options?: MoneyFormatOptions): string;
+  toString(): string;
+  toJSON(): { amount: string; currency: string };
+}
+
+/**
+ * 创建货币金额的便捷函数
+ */
+export function money(amount: MoneyInput, currency: string, options?: { roundingMode?: RoundingMode }): Money;
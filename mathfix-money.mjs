@@ -0,0 +1,313 @@
+/**
+ * MathFix 货币金额类型 (ES Module)
+ * 金额以最小货币单位（如分）的整数存储，并携带 ISO 4217 币种代码，避免浮点误差和不同币种混算
+ */
+
+import { Decimal, divideRounded } from './mathfix-decimal.mjs';
+import { Fraction } from './mathfix-fraction.mjs';
+import { getConfig, addThousandsSeparator, toChineseCapital } from './mathfix-core.mjs';
+import { toWords } from './mathfix-words.mjs';
+
+/**
+ * 内置币种表
+ * minorUnits：最小货币单位对应的小数位数；symbol：货币符号
+ */
+export const CURRENCIES = {
+  CNY: { minorUnits: 2, symbol: '¥' },
+  USD: { minorUnits: 2, symbol: '$' },
+  EUR: { minorUnits: 2, symbol: '€' },
+  GBP: { minorUnits: 2, symbol: '£' },
+  HKD: { minorUnits: 2, symbol: 'HK$' },
+  TWD: { minorUnits: 2, symbol: 'NT$' },
+  AUD: { minorUnits: 2, symbol: 'A$' },
+  CAD: { minorUnits: 2, symbol: 'C$' },
+  SGD: { minorUnits: 2, symbol: 'S$' },
+  CHF: { minorUnits: 2, symbol: 'CHF' },
+  INR: { minorUnits: 2, symbol: '₹' },
+  RUB: { minorUnits: 2, symbol: '₽' },
+  JPY: { minorUnits: 0, symbol: '¥' },
+  KRW: { minorUnits: 0, symbol: '₩' },
+  VND: { minorUnits: 0, symbol: '₫' },
+  BHD: { minorUnits: 3, symbol: 'BD' },
+  KWD: { minorUnits: 3, symbol: 'KD' }
+};
+
+/**
+ * 注册或覆盖币种
+ * @param {string} code 币种代码，如 'MOP'
+ * @param {Object} options 币种信息
+ * @param {number} options.minorUnits 最小货币单位对应的小数位数
+ * @param {string} options.symbol 货币符号，默认为币种代码
+ */
+export function registerCurrency(code, options = {}) {
+  if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) {
+    throw new Error('币种代码必须是3位大写字母');
+  }
+  if (!Number.isInteger(options.minorUnits) || options.minorUnits < 0) {
+    throw new Error('minorUnits 必须是非负整数');
+  }
+  CURRENCIES[code] = {
+    minorUnits: options.minorUnits,
+    symbol: options.symbol !== undefined ? options.symbol : code
+  };
+}
+
+/**
+ * 获取币种信息
+ * @param {string} code 币种代码
+ * @returns {{code: string, minorUnits: number, symbol: string}}
+ */
+export function getCurrency(code) {
+  if (!Object.prototype.hasOwnProperty.call(CURRENCIES, code)) {
+    throw new Error('不支持的币种：' + code);
+  }
+  return { code, ...CURRENCIES[code] };
+}
+
+/**
+ * 将数值按舍入模式换算为最小货币单位的整数
+ * @param {Fraction} amount 以主单位表示的金额
+ * @param {number} minorUnits 最小货币单位的小数位数
+ * @param {string} roundingMode 舍入模式，未指定时金额必须恰好是最小货币单位的整数倍
+ * @param {string} currency 币种代码（用于错误信息）
+ * @returns {bigint}
+ */
+function toMinorUnits(amount, minorUnits, roundingMode, currency) {
+  const numerator = amount.numerator * BigInt(10) ** BigInt(minorUnits);
+  if (roundingMode === undefined && numerator % amount.denominator !== BigInt(0)) {
+    throw new Error('金额 ' + amount.toDecimal().toString() + ' 超出 ' + currency + ' 的最小货币单位，请指定舍入模式');
+  }
+  return divideRounded(numerator, amount.denominator, roundingMode);
+}
+
+/**
+ * 货币金额
+ * 以最小货币单位的 BigInt 整数存储，实例不可变
+ */
+export class Money {
+  /**
+   * @param {number|string|Decimal|Fraction|bigint} amount 以主单位表示的金额，如 12.34 元
+   * @param {string} currency 币种代码，如 'CNY'
+   * @param {Object} options 选项
+   * @param {string} options.roundingMode 金额精度超出最小货币单位时的舍入模式，未指定时抛出错误
+   */
+  constructor(amount, currency, options = {}) {
+    const info = getCurrency(currency);
+    this.currency = currency;
+    this.minorUnits = info.minorUnits;
+    this.amount = toMinorUnits(Fraction.from(amount), info.minorUnits, options.roundingMode, currency);
+  }
+
+  /**
+   * 由最小货币单位的整数构造，如 Money.fromMinor(1234, 'CNY') 为 12.34 元
+   * @param {number|bigint|string} minor 最小货币单位数量
+   * @param {string} currency 币种代码
+   * @returns {Money}
+   */
+  static fromMinor(minor, currency) {
+    if (typeof minor === 'number' && !Number.isSafeInteger(minor)) {
+      throw new Error('最小货币单位数量必须是安全整数');
+    }
+    const money = Object.create(Money.prototype);
+    money.currency = currency;
+    money.minorUnits = getCurrency(currency).minorUnits;
+    money.amount = BigInt(minor);
+    return money;
+  }
+
+  /**
+   * 判断是否为 Money 实例
+   * @param {*} value 任意值
+   * @returns {boolean}
+   */
+  static isMoney(value) {
+    return value instanceof Money;
+  }
+
+  /**
+   * 检查另一金额与当前金额币种一致
+   * @param {Money} other 另一金额
+   * @returns {Money}
+   */
+  assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new Error('参数必须是 Money 实例');
+    }
+    if (other.currency !== this.currency) {
+      throw new Error('币种不一致：' + this.currency + ' 与 ' + other.currency);
+    }
+    return other;
+  }
+
+  /**
+   * 加法，币种必须一致
+   * @param {Money} other 加数
+   * @returns {Money}
+   */
+  add(other) {
+    return Money.fromMinor(this.amount + this.assertSameCurrency(other).amount, this.currency);
+  }
+
+  /**
+   * 减法，币种必须一致
+   * @param {Money} other 减数
+   * @returns {Money}
+   */
+  subtract(other) {
+    return Money.fromMinor(this.amount - this.assertSameCurrency(other).amount, this.currency);
+  }
+
+  /**
+   * 乘以汇率、折扣率、数量等系数，结果按舍入模式取整到最小货币单位
+   * @param {number|string|Decimal|Fraction|bigint} factor 系数
+   * @param {string} roundingMode 舍入模式，如果未指定则使用全局配置
+   * @returns {Money}
+   */
+  multiply(factor, roundingMode = getConfig().roundingMode) {
+    if (factor instanceof Money) {
+      throw new Error('金额不能与金额相乘');
+    }
+    const value = Fraction.from(factor);
+    return Money.fromMinor(
+      divideRounded(this.amount * value.numerator, value.denominator, roundingMode),
+      this.currency
+    );
+  }
+
+  /**
+   * 除以系数，结果按舍入模式取整到最小货币单位
+   * @param {number|string|Decimal|Fraction|bigint} divisor 除数
+   * @param {string} roundingMode 舍入模式，如果未指定则使用全局配置
+   * @returns {Money}
+   */
+  divide(divisor, roundingMode) {
+    if (divisor instanceof Money) {
+      throw new Error('金额不能与金额相除');
+    }
+    return this.multiply(Fraction.from(divisor).reciprocal(), roundingMode);
+  }
+
+  negate() {
+    return Money.fromMinor(-this.amount, this.currency);
+  }
+
+  abs() {
+    return this.isNegative() ? this.negate() : this;
+  }
+
+  /**
+   * 比较大小，币种必须一致
+   * @param {Money} other 另一金额
+   * @returns {number} 小于返回-1，等于返回0，大于返回1
+   */
+  compare(other) {
+    const value = this.assertSameCurrency(other).amount;
+    return this.amount < value ? -1 : this.amount > value ? 1 : 0;
+  }
+
+  /**
+   * 判断是否相等，币种不同时返回 false
+   * @param {Money} other 另一金额
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.amount === this.amount;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  lessThanOrEqual(other) {
+    return this.compare(other) <= 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  greaterThanOrEqual(other) {
+    return this.compare(other) >= 0;
+  }
+
+  isZero() {
+    return this.amount === BigInt(0);
+  }
+
+  isNegative() {
+    return this.amount < BigInt(0);
+  }
+
+  isPositive() {
+    return this.amount > BigInt(0);
+  }
+
+  /**
+   * 以主单位表示的精确金额
+   * @returns {Decimal}
+   */
+  toDecimal() {
+    return Decimal.fromParts(this.amount, this.minorUnits);
+  }
+
+  toNumber() {
+    return this.toDecimal().toNumber();
+  }
+
+  /**
+   * 格式化金额
+   * @param {Object} options 格式化选项
+   * @param {boolean|string} options.symbol 是否显示货币符号，默认 true；为 'code' 时显示币种代码
+   * @param {boolean} options.thousandsSeparator 是否使用千分位分隔符，默认 true
+   * @param {boolean} options.chineseCapital 是否转换为人民币大写（仅支持 CNY）
+   * @param {boolean|string} options.words 是否拼写为外文单词，为字符串时指定语言，默认为 'en'
+   * @returns {string} 如 "¥1,234.50"、"-$0.99"、"1,234.50 CNY"
+   */
+  format(options = {}) {
+    if (options.chineseCapital) {
+      if (this.currency !== 'CNY') {
+        throw new Error('人民币大写仅支持 CNY，当前币种为 ' + this.currency);
+      }
+      return toChineseCapital(this.toString());
+    }
+    if (options.words) {
+      return toWords(this.toString(), {
+        locale: typeof options.words === 'string' ? options.words : 'en',
+        currency: this.currency
+      });
+    }
+
+    const digits = this.abs().toString();
+    let result = options.thousandsSeparator === false ? digits : addThousandsSeparator(digits);
+    const symbol = options.symbol === undefined ? true : options.symbol;
+    if (symbol === 'code') {
+      result = result + ' ' + this.currency;
+    } else if (symbol) {
+      result = getCurrency(this.currency).symbol + result;
+    }
+    return (this.isNegative() ? '-' : '') + result;
+  }
+
+  /**
+   * 按最小货币单位补足小数位的金额字符串，如 "12.30"
+   * @returns {string}
+   */
+  toString() {
+    return this.toDecimal().toFixed(this.minorUnits);
+  }
+
+  toJSON() {
+    return { amount: this.toString(), currency: this.currency };
+  }
+}
+
+/**
+ * 创建货币金额的便捷函数
+ * @param {number|string|Decimal|Fraction|bigint} amount 以主单位表示的金额
+ * @param {string} currency 币种代码
+ * @param {Object} options 选项，见 Money 构造函数
+ * @returns {Money}
+ */
+export function money(amount, currency, options) {
+  return new Money(amount, currency, options);
+}
\ No newline at end of file
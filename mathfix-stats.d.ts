@@ -0,0 +1,134 @@
+/**
+ * MathFix 描述统计类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { Numeric } from './mathfix-core';
+
+/**
+ * 分位数插值方法
+ */
+export type QuantileMethod = 'linear' | 'exclusive' | 'lower' | 'higher' | 'nearest' | 'midpoint';
+
+/**
+ * 支持的分位数插值方法列表
+ */
+export const QUANTILE_METHODS: QuantileMethod[];
+
+/**
+ * 方差、标准差选项
+ */
+export interface VarianceOptions {
+  /** 是否计算样本方差（除以 n-1），默认为总体方差（除以 n） */
+  sample?: boolean;
+  /** 结果保留的小数位数 */
+  scale?: number;
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 分位数选项
+ */
+export interface QuantileOptions {
+  /** 插值方法，默认为 'linear'（与 Excel PERCENTILE.INC 一致） */
+  method?: QuantileMethod;
+}
+
+/**
+ * 频数分布中的一组
+ */
+export interface HistogramBin<T> {
+  /** 下边界（包含） */
+  start: T;
+  /** 上边界（不包含，最后一组包含） */
+  end: T;
+  /** 频数 */
+  count: number;
+}
+
+/**
+ * 中位数
+ * @param numbers 数字数组
+ */
+export function median(numbers: number[]): number;
+export function median(numbers: Numeric[]): number | Decimal;
+export function median(numbers: Array<Numeric | Fraction>): number | Decimal | Fraction;
+
+/**
+ * 众数，返回出现次数最多的所有数值（升序）
+ * @param numbers 数字数组
+ */
+export function mode(numbers: number[]): number[];
+export function mode(numbers: Numeric[]): Array<number | Decimal>;
+export function mode(numbers: Array<Numeric | Fraction>): Array<number | Decimal | Fraction>;
+
+/**
+ * 方差
+ * @param numbers 数字数组
+ * @param options 方差选项
+ */
+export function variance(numbers: number[], options?: VarianceOptions): number;
+export function variance(numbers: Numeric[], options?: VarianceOptions): number | Decimal;
+export function variance(numbers: Array<Numeric | Fraction>, options?: VarianceOptions): number | Decimal | Fraction;
+
+/**
+ * 标准差
+ * @param numbers 数字数组
+ * @param options 标准差选项
+ */
+export function stdDev(numbers: number[], options?: VarianceOptions): number;
+export function stdDev(numbers: Numeric[], options?: VarianceOptions): number | Decimal;
+export function stdDev(numbers: Array<Numeric | Fraction>, options?: VarianceOptions): number | Decimal | Fraction;
+
+/**
+ * 分位数
+ * @param numbers 数字数组
+ * @param q 分位，0 到 1 之间
+ * @param options 分位数选项
+ */
+export function quantile(numbers: number[], q: Numeric | Fraction, options?: QuantileOptions): number;
+export function quantile(numbers: Numeric[], q: Numeric | Fraction, options?: QuantileOptions): number | Decimal;
+export function quantile(numbers: Array<Numeric | Fraction>, q: Numeric | Fraction, options?: QuantileOptions): number | Decimal | Fraction;
+
+/**
+ * 百分位数
+ * @param numbers 数字数组
+ * @param p 百分位，0 到 100 之间
+ * @param options 分位数选项
+ */
+export function percentile(numbers: number[], p: Numeric | Fraction, options?: QuantileOptions): number;
+export function percentile(numbers: Numeric[], p: Numeric | Fraction, options?: QuantileOptions): number | Decimal;
+export function percentile(numbers: Array<Numeric | Fraction>, p: Numeric | Fraction, options?: QuantileOptions): number | Decimal | Fraction;
+
+/**
+ * 加权平均值
+ * @param values 数值数组
+ * @param weights 权重数组，长度与数值数组相同，不能为负数
+ * @param options 结果的小数位数和舍入模式
+ */
+export function weightedAverage(
+  values: Array<Numeric | Fraction>,
+  weights: Array<Numeric | Fraction>,
+  options?: { scale?: number; roundingMode?: RoundingMode }
+): number | Decimal | Fraction;
+
+/**
+ * 极差（最大值与最小值之差）
+ * @param numbers 数字数组
+ */
+export function range(numbers: number[]): number;
+export function range(numbers: Numeric[]): number | Decimal;
+export function range(numbers: Array<Numeric | Fraction>): number | Decimal | Fraction;
+
+/**
+ * 频数分布
+ * @param numbers 数字数组
+ * @param bins 分组数（在最小值与最大值之间等宽分组），或升序排列的分组边界，默认为10
+ */
+export function histogram(numbers: number[], bins?: number | number[]): Array<HistogramBin<number>>;
+export function histogram(
+  numbers: Array<Numeric | Fraction>,
+  bins?: number | Array<Numeric | Fraction>
+): Array<HistogramBin<number | Decimal | Fraction>>;
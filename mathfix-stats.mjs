@@ -0,0 +1,339 @@
+/**
+ * MathFix 描述统计 (ES Module)
+ * 基于精确的加减乘除计算中位数、众数、方差、分位数等统计量，结果与电子表格逐位一致
+ */
+
+import { Decimal, DEFAULT_DIVISION_SCALE } from './mathfix-decimal.mjs';
+import { Fraction } from './mathfix-fraction.mjs';
+import { add, subtract, multiply, divide, sqrt, round, max, min } from './mathfix-core.mjs';
+
+/**
+ * 支持的分位数插值方法
+ * linear：线性插值，与 Excel PERCENTILE.INC 一致（默认）
+ * exclusive：排除两端的线性插值，与 Excel PERCENTILE.EXC 一致
+ * lower / higher：取位置两侧较小 / 较大的数据
+ * nearest：取最近的数据，位置恰好居中时取偶数下标
+ * midpoint：取位置两侧数据的平均值
+ */
+export const QUANTILE_METHODS = ['linear', 'exclusive', 'lower', 'higher', 'nearest', 'midpoint'];
+
+/**
+ * 比较两个数值的大小（支持 Number、Decimal、Fraction、BigInt 混合比较）
+ * @param {number|Decimal|Fraction|bigint} a 数值
+ * @param {number|Decimal|Fraction|bigint} b 数值
+ * @returns {number} 小于返回-1，等于返回0，大于返回1
+ */
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return Fraction.from(a).compare(b);
+}
+
+/**
+ * 校验数组并统一数值类型后升序排序，包含 Fraction 时统一为 Fraction，包含 Decimal 或 BigInt 时统一为 Decimal
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @returns {Array<number|Decimal|Fraction>} 排序后的新数组
+ */
+function toSortedValues(numbers) {
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    throw new Error('输入必须是非空数组');
+  }
+
+  let values;
+  if (numbers.some(num => num instanceof Fraction)) {
+    values = numbers.map(num => Fraction.from(num));
+  } else if (numbers.some(num => num instanceof Decimal || typeof num === 'bigint')) {
+    values = numbers.map(num => Decimal.from(num));
+  } else {
+    if (!numbers.every(num => typeof num === 'number' && Number.isFinite(num))) {
+      throw new Error('数组元素必须是有限数字、Decimal、Fraction 或 BigInt');
+    }
+    values = numbers.slice();
+  }
+  return values.sort(compareValues);
+}
+
+/**
+ * 将分数形式的精确结果转换为与数据相同的类型
+ * @param {Fraction} value 精确结果
+ * @param {number|Decimal|Fraction} sample 数据中的任一元素
+ * @returns {number|Decimal|Fraction}
+ */
+function toSameType(value, sample) {
+  if (sample instanceof Fraction) {
+    return value;
+  }
+  return sample instanceof Decimal ? value.toDecimal() : value.toNumber();
+}
+
+/**
+ * 中位数
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @returns {number|Decimal|Fraction} 中位数，偶数个数据时为中间两个数的平均值
+ */
+export function median(numbers) {
+  const sorted = toSortedValues(numbers);
+  const middle = Math.floor(sorted.length / 2);
+  if (sorted.length % 2 === 1) {
+    return sorted[middle];
+  }
+  return divide(add(sorted[middle - 1], sorted[middle]), 2);
+}
+
+/**
+ * 众数
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @returns {Array<number|Decimal|Fraction>} 出现次数最多的所有数值，按升序排列
+ */
+export function mode(numbers) {
+  const sorted = toSortedValues(numbers);
+  const counts = new Map();
+  for (const value of sorted) {
+    const key = String(value);
+    const entry = counts.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      counts.set(key, { value, count: 1 });
+    }
+  }
+
+  let maxCount = 0;
+  counts.forEach(entry => {
+    maxCount = Math.max(maxCount, entry.count);
+  });
+  const result = [];
+  counts.forEach(entry => {
+    if (entry.count === maxCount) {
+      result.push(entry.value);
+    }
+  });
+  return result;
+}
+
+/**
+ * 方差
+ * 在分数上精确累加 Σx 与 Σx²，按 (n·Σx² - (Σx)²) / (n·n) 或 / (n·(n-1)) 计算，
+ * 数据很大时也不会因相减抵消而丢失精度，只在最后转换为数据的类型
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @param {Object} options 选项
+ * @param {boolean} options.sample 是否计算样本方差（除以 n-1），默认为总体方差（除以 n）
+ * @param {number} options.scale 结果保留的小数位数，指定后按舍入模式返回正确舍入的结果
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @returns {number|Decimal|Fraction} 方差
+ */
+export function variance(numbers, options = {}) {
+  const sorted = toSortedValues(numbers);
+  const n = sorted.length;
+  if (options.sample && n < 2) {
+    throw new Error('样本方差至少需要2个数据');
+  }
+
+  let total = new Fraction(0);
+  let squares = new Fraction(0);
+  for (const value of sorted) {
+    const exact = Fraction.from(value);
+    total = total.add(exact);
+    squares = squares.add(exact.multiply(exact));
+  }
+  const numerator = squares.multiply(n).subtract(total.multiply(total));
+  let result = numerator.divide(options.sample ? n * (n - 1) : n * n);
+  if (options.scale !== undefined) {
+    result = round(result, options.scale, { roundingMode: options.roundingMode });
+  }
+  return toSameType(result, sorted[0]);
+}
+
+/**
+ * 标准差
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @param {Object} options 选项，见 variance
+ * @returns {number|Decimal|Fraction} 标准差，Decimal 输入至少保留20位小数
+ */
+export function stdDev(numbers, options = {}) {
+  const value = variance(numbers, { sample: options.sample });
+  let result;
+  if (typeof value === 'number') {
+    result = Math.sqrt(value);
+  } else if (value instanceof Decimal) {
+    // 方差已按数量级保留足够的有效数字，按它的小数位数开方，数据很小时标准差也不会被截断
+    result = value.sqrt(Math.max(DEFAULT_DIVISION_SCALE, value.scale));
+  } else {
+    result = sqrt(value);
+  }
+  if (options.scale !== undefined) {
+    return round(result, options.scale, { roundingMode: options.roundingMode });
+  }
+  return result;
+}
+
+/**
+ * 分位数
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @param {number|Decimal|Fraction} q 分位，0 到 1 之间，如 0.25 为下四分位数
+ * @param {Object} options 选项
+ * @param {string} options.method 插值方法，见 QUANTILE_METHODS，默认为 'linear'
+ * @returns {number|Decimal|Fraction} 分位数
+ */
+export function quantile(numbers, q, options = {}) {
+  const method = options.method || 'linear';
+  if (!QUANTILE_METHODS.includes(method)) {
+    throw new Error('不支持的分位数插值方法：' + method);
+  }
+  const ratio = Fraction.from(q);
+  if (ratio.isNegative() || ratio.greaterThan(1)) {
+    throw new Error('分位必须在0到1之间');
+  }
+
+  const sorted = toSortedValues(numbers);
+  const n = sorted.length;
+  // 在排序后数组中的精确位置（从0开始）
+  const position = method === 'exclusive'
+    ? ratio.multiply(n + 1).subtract(1)
+    : ratio.multiply(n - 1);
+  if (position.isNegative() || position.greaterThan(n - 1)) {
+    throw new Error('分位超出 exclusive 方法的有效范围：数据个数为 ' + n + ' 时分位必须在 1/' + (n + 1) + ' 到 ' + n + '/' + (n + 1) + ' 之间');
+  }
+
+  const index = Number(position.round(0, 'floor').numerator);
+  const weight = position.subtract(index);
+  const lower = sorted[index];
+  if (weight.isZero()) {
+    return lower;
+  }
+  const upper = sorted[index + 1];
+
+  switch (method) {
+    case 'lower':
+      return lower;
+    case 'higher':
+      return upper;
+    case 'nearest':
+      return position.round(0, 'half-even').equals(index) ? lower : upper;
+    case 'midpoint':
+      return divide(add(lower, upper), 2);
+    default:
+      return toSameType(add(lower, multiply(subtract(upper, lower), weight)), lower);
+  }
+}
+
+/**
+ * 百分位数
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @param {number|Decimal|Fraction} p 百分位，0 到 100 之间，如 95 为第95百分位数
+ * @param {Object} options 选项，见 quantile
+ * @returns {number|Decimal|Fraction} 百分位数
+ */
+export function percentile(numbers, p, options = {}) {
+  if (Fraction.from(p).isNegative() || Fraction.from(p).greaterThan(100)) {
+    throw new Error('百分位必须在0到100之间');
+  }
+  return quantile(numbers, Fraction.from(p).divide(100), options);
+}
+
+/**
+ * 加权平均值
+ * @param {Array<number|Decimal|Fraction|bigint>} values 数值数组
+ * @param {Array<number|Decimal|Fraction|bigint>} weights 权重数组，长度与数值数组相同
+ * @param {Object} options 选项
+ * @param {number} options.scale 结果保留的小数位数，指定后按舍入模式返回正确舍入的结果
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @returns {number|Decimal|Fraction} 加权平均值
+ */
+export function weightedAverage(values, weights, options = {}) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error('输入必须是非空数组');
+  }
+  if (!Array.isArray(weights) || weights.length !== values.length) {
+    throw new Error('权重数组的长度必须与数值数组相同');
+  }
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  values.forEach((value, i) => {
+    if (compareValues(weights[i], 0) < 0) {
+      throw new Error('权重不能为负数');
+    }
+    weightedSum = add(weightedSum, multiply(value, weights[i]));
+    totalWeight = add(totalWeight, weights[i]);
+  });
+  if (compareValues(totalWeight, 0) === 0) {
+    throw new Error('权重之和不能为0');
+  }
+  return divide(weightedSum, totalWeight, { scale: options.scale, roundingMode: options.roundingMode });
+}
+
+/**
+ * 极差（最大值与最小值之差）
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @returns {number|Decimal|Fraction} 极差
+ */
+export function range(numbers) {
+  return subtract(max(numbers), min(numbers));
+}
+
+/**
+ * 频数分布
+ * 每组包含下边界、不包含上边界，最后一组同时包含上边界；超出边界范围的数据不计入
+ * @param {Array<number|Decimal|Fraction|bigint>} numbers 数字数组
+ * @param {number|Array<number|Decimal|Fraction|bigint>} bins 分组数（在最小值与最大值之间等宽分组），或升序排列的分组边界，默认为10
+ * @returns {Array<{start: number|Decimal|Fraction, end: number|Decimal|Fraction, count: number}>} 各组的边界和频数
+ */
+export function histogram(numbers, bins = 10) {
+  const sorted = toSortedValues(numbers);
+
+  let edges;
+  if (Array.isArray(bins)) {
+    if (bins.length < 2) {
+      throw new Error('分组边界至少需要2个');
+    }
+    for (let i = 1; i < bins.length; i++) {
+      if (compareValues(bins[i - 1], bins[i]) >= 0) {
+        throw new Error('分组边界必须严格升序排列');
+      }
+    }
+    edges = bins.slice();
+  } else {
+    if (!Number.isInteger(bins) || bins < 1) {
+      throw new Error('分组数必须是正整数');
+    }
+    let low = sorted[0];
+    let high = sorted[sorted.length - 1];
+    // 所有数据相同时，以该值为中心扩展为宽度为1的区间
+    if (compareValues(low, high) === 0) {
+      low = subtract(low, 0.5);
+      high = add(high, 0.5);
+    }
+    const width = subtract(high, low);
+    edges = [];
+    for (let i = 0; i < bins; i++) {
+      edges.push(add(low, divide(multiply(width, i), bins)));
+    }
+    edges.push(high);
+  }
+
+  const result = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    result.push({ start: edges[i], end: edges[i + 1], count: 0 });
+  }
+  const last = result.length - 1;
+  for (const value of sorted) {
+    if (compareValues(value, edges[0]) < 0 || compareValues(value, edges[last + 1]) > 0) {
+      continue;
+    }
+    // 二分查找满足 edges[i] <= value 的最大 i
+    let lowIndex = 0;
+    let highIndex = last;
+    while (lowIndex < highIndex) {
+      const middle = Math.ceil((lowIndex + highIndex) / 2);
+      if (compareValues(edges[middle], value) <= 0) {
+        lowIndex = middle;
+      } else {
+        highIndex = middle - 1;
+      }
+    }
+    result[lowIndex].count++;
+  }
+  return result;
+}
\ No newline at end of file
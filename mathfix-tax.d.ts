@@ -0,0 +1,138 @@
+/**
+ * MathFix 税费计算类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { Numeric } from './mathfix-core';
+
+/**
+ * 税费计算接受的数值
+ */
+export type TaxInput = Numeric | Fraction;
+
+/**
+ * 税率：单个税率，或多项税的税率数组
+ */
+export type TaxRate = TaxInput | TaxInput[];
+
+/**
+ * 发票舍入方式：'line' 为逐行舍入，'total' 为按税率汇总后舍入
+ */
+export type TaxRoundingMethod = 'line' | 'total';
+
+/**
+ * 税费计算选项
+ */
+export interface TaxOptions {
+  /** 多项税是否为复合税率，默认 false（叠加） */
+  compound?: boolean;
+  /** 保留的小数位数，如果未指定则使用全局配置 */
+  precision?: number;
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 税额计算选项
+ */
+export interface TaxAmountOptions extends TaxOptions {
+  /** 金额是否为含税金额，默认 false */
+  inclusive?: boolean;
+}
+
+/**
+ * 发票行
+ */
+export interface InvoiceLine {
+  /** 单价 */
+  price: TaxInput;
+  /** 数量，默认为1 */
+  quantity?: TaxInput;
+  /** 该行税率，未指定时使用发票的默认税率 */
+  rate?: TaxRate;
+}
+
+/**
+ * 发票计算选项
+ */
+export interface InvoiceOptions extends TaxOptions {
+  /** 默认税率 */
+  rate?: TaxRate;
+  /** 舍入方式，默认 'line' */
+  rounding?: TaxRoundingMethod;
+  /** 单价是否为含税价，默认 false */
+  taxIncluded?: boolean;
+}
+
+/**
+ * 不含税金额、税额与含税金额
+ */
+export interface TaxBreakdown<T = number | Decimal | Fraction> {
+  net: T;
+  tax: T;
+  gross: T;
+}
+
+/**
+ * 发票计算结果
+ */
+export interface Invoice<T = number | Decimal | Fraction> extends TaxBreakdown<T> {
+  /** 各行金额 */
+  lines: TaxBreakdown<T>[];
+  /** 按税率汇总的金额 */
+  taxes: Array<TaxBreakdown<T> & { rate: TaxRate }>;
+  /** 各行税额之和减去按税率汇总计算的税额 */
+  roundingDifference: T;
+}
+
+/**
+ * 支持的发票舍入方式
+ */
+export const TAX_ROUNDING_METHODS: TaxRoundingMethod[];
+
+/**
+ * 综合税率，叠加税率为各税率之和，复合税率为 (1 + r1)(1 + r2)... - 1
+ * @param rate 税率或税率数组
+ * @param options 选项
+ */
+export function effectiveTaxRate(rate: number | number[], options?: { compound?: boolean }): number;
+export function effectiveTaxRate(rate: TaxRate, options?: { compound?: boolean }): number | Decimal | Fraction;
+
+/**
+ * 由不含税价计算含税价
+ * @param amount 不含税金额
+ * @param rate 税率（如 0.13 表示 13%），多项税时传入数组
+ * @param options 选项
+ */
+export function addTax(amount: number, rate: number | number[], options?: TaxOptions): number;
+export function addTax(amount: TaxInput, rate: TaxRate, options?: TaxOptions): number | Decimal | Fraction;
+
+/**
+ * 由含税价计算不含税价
+ * @param amount 含税金额
+ * @param rate 税率，多项税时传入数组
+ * @param options 选项
+ */
+export function removeTax(amount: number, rate: number | number[], options?: TaxOptions): number;
+export function removeTax(amount: TaxInput, rate: TaxRate, options?: TaxOptions): number | Decimal | Fraction;
+
+/**
+ * 计算税额
+ * @param amount 金额，options.inclusive 为 true 时为含税金额
+ * @param rate 税率，多项税时传入数组
+ * @param options 选项
+ */
+export function taxAmount(amount: number, rate: number | number[], options?: TaxAmountOptions): number;
+export function taxAmount(amount: TaxInput, rate: TaxRate, options?: TaxAmountOptions): number | Decimal | Fraction;
+
+/**
+ * 计算发票金额，并给出逐行舍入与按总额舍入的税额差
+ * @param lines 发票行
+ * @param options 选项
+ */
+export function calculateInvoice(
+  lines: Array<{ price: number; quantity?: number; rate?: number | number[] }>,
+  options?: InvoiceOptions & { rate?: number | number[] }
+): Invoice<number>;
+export function calculateInvoice(lines: InvoiceLine[], options?: InvoiceOptions): Invoice;
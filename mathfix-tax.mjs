@@ -0,0 +1,231 @@
+/**
+ * MathFix 税费计算 (ES Module)
+ * 含税价与不含税价互算、多税率（叠加或复合）计税，以及按行或按总额舍入的发票计算
+ */
+
+import { Fraction } from './mathfix-fraction.mjs';
+import { add, subtract, multiply, divide, round } from './mathfix-core.mjs';
+
+/**
+ * 支持的发票舍入方式
+ * line：逐行计算并舍入税额，合计为各行之和（默认）
+ * total：按税率汇总不含税金额后再计算并舍入税额
+ */
+export const TAX_ROUNDING_METHODS = ['line', 'total'];
+
+/**
+ * 整理税率参数，单个税率转换为数组
+ * @param {number|Decimal|Fraction|bigint|Array} rate 税率或税率数组
+ * @returns {Array<number|Decimal|Fraction|bigint>}
+ */
+function toRates(rate) {
+  const rates = Array.isArray(rate) ? rate : [rate];
+  if (rates.length === 0) {
+    throw new Error('税率不能为空');
+  }
+  for (const value of rates) {
+    if (value === undefined || value === null) {
+      throw new Error('缺少税率');
+    }
+    if (Fraction.from(value).isNegative()) {
+      throw new Error('税率不能为负数');
+    }
+  }
+  return rates;
+}
+
+/**
+ * 解析舍入选项
+ * @param {Object} options 选项
+ * @returns {{precision: number|undefined, roundingMode: string|undefined}}
+ */
+function roundingOptions(options) {
+  if (options.precision !== undefined && (!Number.isInteger(options.precision) || options.precision < 0)) {
+    throw new Error('精度必须是非负整数');
+  }
+  return { precision: options.precision, roundingMode: options.roundingMode };
+}
+
+/**
+ * 综合税率
+ * 叠加税率为各税率之和；复合税率下每项税以前面各项含税后的金额为税基，综合税率为 (1 + r1)(1 + r2)... - 1
+ * @param {number|Decimal|Fraction|bigint|Array} rate 税率或税率数组
+ * @param {Object} options 选项
+ * @param {boolean} options.compound 是否为复合税率，默认 false（叠加）
+ * @returns {number|Decimal|Fraction} 综合税率
+ */
+export function effectiveTaxRate(rate, options = {}) {
+  const rates = toRates(rate);
+  if (!options.compound) {
+    return rates.reduce((sum, value) => add(sum, value));
+  }
+  return subtract(rates.reduce((product, value) => multiply(product, add(1, value)), 1), 1);
+}
+
+/**
+ * 逐项计算不含税金额应缴的各项税额，每项税额单独舍入
+ * @param {number|Decimal|Fraction|bigint} net 不含税金额
+ * @param {Array} rates 税率数组
+ * @param {boolean} compound 是否为复合税率
+ * @param {{precision: number|undefined, roundingMode: string|undefined}} rounding 舍入选项
+ * @returns {Array<number|Decimal|Fraction>} 各项税额
+ */
+function computeTaxes(net, rates, compound, rounding) {
+  const taxes = [];
+  let base = net;
+  for (const rate of rates) {
+    const tax = round(multiply(base, rate), rounding.precision, rounding);
+    taxes.push(tax);
+    if (compound) {
+      base = add(base, tax);
+    }
+  }
+  return taxes;
+}
+
+/**
+ * 对数组求和
+ * @param {Array<number|Decimal|Fraction>} values 数值
+ * @returns {number|Decimal|Fraction}
+ */
+function sumValues(values) {
+  return values.reduce((sum, value) => add(sum, value), 0);
+}
+
+/**
+ * 由不含税价计算含税价
+ * @param {number|Decimal|Fraction|bigint} amount 不含税金额
+ * @param {number|Decimal|Fraction|bigint|Array} rate 税率（如 0.13 表示 13%），多项税时传入数组
+ * @param {Object} options 选项
+ * @param {boolean} options.compound 多项税是否为复合税率，默认 false（叠加，各项税都以不含税金额为税基）
+ * @param {number} options.precision 保留的小数位数，如果未指定则使用全局配置
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @returns {number|Decimal|Fraction} 含税金额
+ */
+export function addTax(amount, rate, options = {}) {
+  const rounding = roundingOptions(options);
+  const net = round(amount, rounding.precision, rounding);
+  return add(net, sumValues(computeTaxes(net, toRates(rate), options.compound, rounding)));
+}
+
+/**
+ * 由含税价计算不含税价
+ * @param {number|Decimal|Fraction|bigint} amount 含税金额
+ * @param {number|Decimal|Fraction|bigint|Array} rate 税率，多项税时传入数组
+ * @param {Object} options 选项，同 addTax
+ * @returns {number|Decimal|Fraction} 不含税金额
+ */
+export function removeTax(amount, rate, options = {}) {
+  const rounding = roundingOptions(options);
+  const gross = round(amount, rounding.precision, rounding);
+  return round(divide(gross, add(1, effectiveTaxRate(rate, options))), rounding.precision, rounding);
+}
+
+/**
+ * 计算税额
+ * @param {number|Decimal|Fraction|bigint} amount 金额
+ * @param {number|Decimal|Fraction|bigint|Array} rate 税率，多项税时传入数组
+ * @param {Object} options 选项，同 addTax
+ * @param {boolean} options.inclusive 金额是否为含税金额，默认 false；为 true 时税额为含税金额减去不含税金额
+ * @returns {number|Decimal|Fraction} 税额
+ */
+export function taxAmount(amount, rate, options = {}) {
+  const rounding = roundingOptions(options);
+  if (options.inclusive) {
+    const gross = round(amount, rounding.precision, rounding);
+    return subtract(gross, removeTax(gross, rate, options));
+  }
+  const net = round(amount, rounding.precision, rounding);
+  return sumValues(computeTaxes(net, toRates(rate), options.compound, rounding));
+}
+
+/**
+ * 由金额计算不含税金额、税额与含税金额
+ * @param {number|Decimal|Fraction} amount 已舍入的金额
+ * @param {Array} rates 税率数组
+ * @param {Object} options 发票选项
+ * @param {{precision: number|undefined, roundingMode: string|undefined}} rounding 舍入选项
+ * @returns {{net: number|Decimal|Fraction, tax: number|Decimal|Fraction, gross: number|Decimal|Fraction}}
+ */
+function splitAmount(amount, rates, options, rounding) {
+  if (options.taxIncluded) {
+    const net = round(divide(amount, add(1, effectiveTaxRate(rates, options))), rounding.precision, rounding);
+    return { net, tax: subtract(amount, net), gross: amount };
+  }
+  const tax = sumValues(computeTaxes(amount, rates, options.compound, rounding));
+  return { net: amount, tax, gross: add(amount, tax) };
+}
+
+/**
+ * 计算发票金额
+ * 逐行舍入与按总额舍入的税额合计可能相差几分钱，结果中的 roundingDifference 明确给出这一差额
+ * @param {Array<Object>} lines 发票行，如 [{ price: 9.99, quantity: 3, rate: 0.13 }]
+ * @param {number|Decimal|Fraction|bigint} lines[].price 单价
+ * @param {number|Decimal|Fraction|bigint} lines[].quantity 数量，默认为1
+ * @param {number|Decimal|Fraction|bigint|Array} lines[].rate 该行税率，未指定时使用 options.rate
+ * @param {Object} options 选项
+ * @param {number|Decimal|Fraction|bigint|Array} options.rate 默认税率
+ * @param {string} options.rounding 舍入方式：'line'（逐行舍入，默认）或 'total'（按税率汇总后舍入）
+ * @param {boolean} options.taxIncluded 单价是否为含税价，默认 false
+ * @param {boolean} options.compound 多项税是否为复合税率，默认 false
+ * @param {number} options.precision 保留的小数位数，如果未指定则使用全局配置
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @returns {Object} { lines, taxes, net, tax, gross, roundingDifference }
+ *   lines 为各行的 { net, tax, gross }；taxes 为按税率汇总的 { rate, net, tax, gross }；
+ *   roundingDifference 为各行税额之和减去按税率汇总计算的税额
+ */
+export function calculateInvoice(lines, options = {}) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new Error('发票行必须是非空数组');
+  }
+  const method = options.rounding || 'line';
+  if (!TAX_ROUNDING_METHODS.includes(method)) {
+    throw new Error('不支持的舍入方式：' + method);
+  }
+  const rounding = roundingOptions(options);
+
+  const groups = new Map();
+  const results = lines.map(line => {
+    const rates = toRates(line.rate !== undefined ? line.rate : options.rate);
+    const quantity = line.quantity !== undefined ? line.quantity : 1;
+    const amount = round(multiply(line.price, quantity), rounding.precision, rounding);
+    const result = splitAmount(amount, rates, options, rounding);
+
+    const key = rates.map(String).join('+');
+    if (!groups.has(key)) {
+      groups.set(key, { rate: line.rate !== undefined ? line.rate : options.rate, rates, amounts: [], lineTaxes: [] });
+    }
+    groups.get(key).amounts.push(amount);
+    groups.get(key).lineTaxes.push(result.tax);
+    return result;
+  });
+
+  // 按税率汇总后计算的税额，用于 'total' 方式和舍入差额
+  const taxes = [];
+  let lineTax = 0;
+  let totalTax = 0;
+  for (const group of groups.values()) {
+    const summary = splitAmount(sumValues(group.amounts), group.rates, options, rounding);
+    const groupLineTax = sumValues(group.lineTaxes);
+    lineTax = add(lineTax, groupLineTax);
+    totalTax = add(totalTax, summary.tax);
+    if (method === 'total') {
+      taxes.push({ rate: group.rate, ...summary });
+    } else {
+      taxes.push(options.taxIncluded
+        ? { rate: group.rate, net: subtract(summary.gross, groupLineTax), tax: groupLineTax, gross: summary.gross }
+        : { rate: group.rate, net: summary.net, tax: groupLineTax, gross: add(summary.net, groupLineTax) });
+    }
+  }
+
+  const net = sumValues(taxes.map(item => item.net));
+  const tax = sumValues(taxes.map(item => item.tax));
+  return {
+    lines: results,
+    taxes,
+    net,
+    tax,
+    gross: add(net, tax),
+    roundingDifference: subtract(lineTax, totalTax)
+  };
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * MathFix 单位换算类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction } from './mathfix-fraction';
+import { Numeric, FormatOptions } from './mathfix-core';
+
+/**
+ * 单位换算接受的数值
+ */
+export type UnitInput = Numeric | Fraction | string;
+
+/**
+ * 单位信息
+ */
+export interface UnitInfo {
+  /** 单位类型，如 'length'、'mass'、'area'、'volume'、'temperature' */
+  category: string;
+  /** 1 单位等于多少基准单位 */
+  factor: Fraction;
+  /** 换算到基准单位前加上的偏移量，基准值 = (值 + offset) × factor */
+  offset: Fraction;
+  /** 格式化时附加的单位符号 */
+  symbol: string;
+}
+
+/**
+ * 注册单位的选项
+ */
+export interface RegisterUnitOptions {
+  /** 单位类型 */
+  category: string;
+  /** 1 单位等于多少基准单位，推荐使用 '1/3' 等字符串或 Fraction 保证精确 */
+  factor: UnitInput;
+  /** 换算到基准单位前加上的偏移量，默认为0 */
+  offset?: UnitInput;
+  /** 单位符号，默认为单位名称 */
+  symbol?: string;
+  /** 单位别名 */
+  aliases?: string[];
+}
+
+/**
+ * 单位换算选项
+ */
+export interface ConvertOptions {
+  /** 结果保留的小数位数，未指定时不舍入 */
+  precision?: number;
+  /** 舍入模式，如果未指定则使用全局配置 */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 带单位格式化选项
+ */
+export interface FormatUnitOptions extends FormatOptions {
+  /** 先换算到该单位再格式化 */
+  to?: string;
+  /** 数值与单位符号之间的分隔符，默认为空 */
+  separator?: string;
+}
+
+/**
+ * 单位表
+ */
+export const UNITS: Record<string, UnitInfo>;
+
+/**
+ * 注册或覆盖单位
+ * @param name 单位名称
+ * @param options 单位信息
+ */
+export function registerUnit(name: string, options: RegisterUnitOptions): void;
+
+/**
+ * 获取单位信息，支持单位名称和别名
+ * @param unit 单位名称或别名
+ */
+export function getUnit(unit: string): UnitInfo & { name: string };
+
+/**
+ * 单位换算，在分数上精确计算
+ * @param value 数值
+ * @param fromUnit 原单位，如 '斤'
+ * @param toUnit 目标单位，如 'kg'
+ * @param options 选项
+ */
+export function convert(value: number, fromUnit: string, toUnit: string, options?: ConvertOptions): number;
+export function convert(value: Fraction, fromUnit: string, toUnit: string, options?: ConvertOptions): Fraction;
+export function convert(value: Decimal | bigint | string, fromUnit: string, toUnit: string, options?: ConvertOptions): Decimal;
+
+/**
+ * 格式化带单位的数值，通过 format 在数值后附加单位符号
+ * @param value 数值
+ * @param unit 数值的单位
+ * @param options 格式化选项
+ */
+export function formatUnit(value: Numeric | Fraction, unit: string, options?: FormatUnitOptions): string;
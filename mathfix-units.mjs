@@ -0,0 +1,187 @@
+/**
+ * MathFix 单位换算 (ES Module)
+ * 长度、质量、面积、体积、温度等物理单位的精确换算，换算系数以分数表示，支持注册自定义单位
+ */
+
+import { Fraction } from './mathfix-fraction.mjs';
+import { round, format } from './mathfix-core.mjs';
+
+/**
+ * 单位表
+ * category：单位类型，只有同类单位之间可以换算
+ * factor：1 单位等于多少基准单位（长度 m、质量 kg、面积 m²、体积 m³、温度 K）
+ * offset：换算到基准单位前先加上的偏移量，仅温度等非比例单位使用，基准值 = (值 + offset) × factor
+ * symbol：格式化时附加的单位符号
+ */
+export const UNITS = {};
+
+// 单位别名，如 '公斤' 对应 'kg'、'㎡' 对应 'm2'
+const UNIT_ALIASES = {};
+
+/**
+ * 注册或覆盖单位
+ * @param {string} name 单位名称，如 'mu'
+ * @param {Object} options 单位信息
+ * @param {string} options.category 单位类型，如 'length'、'area'
+ * @param {number|string|Decimal|Fraction|bigint} options.factor 1 单位等于多少基准单位，推荐使用 '1/3' 等字符串或 Fraction 保证精确
+ * @param {number|string|Decimal|Fraction|bigint} options.offset 换算到基准单位前加上的偏移量，默认为0
+ * @param {string} options.symbol 单位符号，默认为单位名称
+ * @param {string[]} options.aliases 单位别名
+ */
+export function registerUnit(name, options = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('单位名称必须是非空字符串');
+  }
+  if (typeof options.category !== 'string' || !options.category) {
+    throw new Error('单位类型必须是非空字符串');
+  }
+  if (options.factor === undefined) {
+    throw new Error('缺少单位换算系数');
+  }
+  const factor = Fraction.from(options.factor);
+  if (!factor.greaterThan(0)) {
+    throw new Error('单位换算系数必须大于0');
+  }
+  UNITS[name] = {
+    category: options.category,
+    factor,
+    offset: Fraction.from(options.offset !== undefined ? options.offset : 0),
+    symbol: options.symbol !== undefined ? options.symbol : name
+  };
+  for (const alias of options.aliases || []) {
+    UNIT_ALIASES[alias] = name;
+  }
+}
+
+/**
+ * 批量注册同一类型的单位
+ * @param {string} category 单位类型
+ * @param {Object} table 单位表，值为 [换算系数, 单位符号, 别名]
+ */
+function registerUnits(category, table) {
+  for (const name of Object.keys(table)) {
+    const [factor, symbol, aliases] = table[name];
+    registerUnit(name, { category, factor, symbol, aliases });
+  }
+}
+
+registerUnits('length', {
+  mm: ['1/1000', 'mm', ['毫米']],
+  cm: ['1/100', 'cm', ['厘米']],
+  dm: ['1/10', 'dm', ['分米']],
+  m: [1, 'm', ['米']],
+  km: [1000, 'km', ['千米', '公里']],
+  in: ['0.0254', 'in', ['inch', '英寸']],
+  ft: ['0.3048', 'ft', ['foot', '英尺']],
+  yd: ['0.9144', 'yd', ['yard', '码']],
+  mi: ['1609.344', 'mi', ['mile', '英里']],
+  nmi: [1852, 'nmi', ['海里']],
+  寸: ['1/30', '寸', []],
+  尺: ['1/3', '尺', []],
+  丈: ['10/3', '丈', []],
+  里: [500, '里', []]
+});
+
+registerUnits('mass', {
+  mg: ['1/1000000', 'mg', ['毫克']],
+  g: ['1/1000', 'g', ['克']],
+  kg: [1, 'kg', ['千克', '公斤']],
+  t: [1000, 't', ['吨']],
+  oz: ['0.45359237/16', 'oz', ['ounce', '盎司']],
+  lb: ['0.45359237', 'lb', ['pound', '磅']],
+  钱: ['0.005', '钱', []],
+  两: ['0.05', '两', []],
+  斤: ['0.5', '斤', []]
+});
+
+registerUnits('area', {
+  mm2: ['1/1000000', 'mm²', ['mm²', '㎟', '平方毫米']],
+  cm2: ['1/10000', 'cm²', ['cm²', '㎠', '平方厘米']],
+  m2: [1, 'm²', ['m²', '㎡', '平方米']],
+  ha: [10000, 'ha', ['公顷']],
+  km2: [1000000, 'km²', ['km²', '㎢', '平方千米', '平方公里']],
+  in2: ['0.00064516', 'in²', ['in²', '平方英寸']],
+  ft2: ['0.09290304', 'ft²', ['ft²', '平方英尺']],
+  yd2: ['0.83612736', 'yd²', ['yd²', '平方码']],
+  acre: ['4046.8564224', 'acre', ['英亩']],
+  mi2: ['2589988.110336', 'mi²', ['mi²', '平方英里']],
+  亩: ['2000/3', '亩', []]
+});
+
+registerUnits('volume', {
+  mL: ['1/1000000', 'mL', ['ml', '毫升']],
+  L: ['1/1000', 'L', ['l', '升']],
+  cm3: ['1/1000000', 'cm³', ['cm³', '立方厘米']],
+  m3: [1, 'm³', ['m³', '立方米']],
+  in3: ['0.000016387064', 'in³', ['in³', '立方英寸']],
+  ft3: ['0.028316846592', 'ft³', ['ft³', '立方英尺']],
+  floz: ['0.003785411784/128', 'fl oz', ['fl oz']],
+  pt: ['0.003785411784/8', 'pt', ['pint']],
+  qt: ['0.003785411784/4', 'qt', ['quart']],
+  gal: ['0.003785411784', 'gal', ['gallon', '加仑']]
+});
+
+registerUnit('K', { category: 'temperature', factor: 1, symbol: 'K', aliases: ['开尔文'] });
+registerUnit('C', { category: 'temperature', factor: 1, offset: '273.15', symbol: '°C', aliases: ['°C', '℃', '摄氏度'] });
+registerUnit('F', { category: 'temperature', factor: '5/9', offset: '459.67', symbol: '°F', aliases: ['°F', '℉', '华氏度'] });
+
+/**
+ * 获取单位信息，支持单位名称和别名
+ * @param {string} unit 单位名称或别名
+ * @returns {{name: string, category: string, factor: Fraction, offset: Fraction, symbol: string}}
+ */
+export function getUnit(unit) {
+  const name = Object.prototype.hasOwnProperty.call(UNITS, unit) ? unit : UNIT_ALIASES[unit];
+  if (name === undefined || !Object.prototype.hasOwnProperty.call(UNITS, name)) {
+    throw new Error('不支持的单位：' + unit);
+  }
+  return { name, ...UNITS[name] };
+}
+
+/**
+ * 单位换算，在分数上精确计算
+ * @param {number|string|Decimal|Fraction|bigint} value 数值
+ * @param {string} fromUnit 原单位，如 '斤'
+ * @param {string} toUnit 目标单位，如 'kg'
+ * @param {Object} options 选项
+ * @param {number} options.precision 结果保留的小数位数，未指定时不舍入
+ * @param {string} options.roundingMode 舍入模式，如果未指定则使用全局配置
+ * @returns {number|Decimal|Fraction} 换算结果，参数为 Decimal 或 BigInt 时返回 Decimal，为 Fraction 时返回 Fraction
+ */
+export function convert(value, fromUnit, toUnit, options = {}) {
+  const from = getUnit(fromUnit);
+  const to = getUnit(toUnit);
+  if (from.category !== to.category) {
+    throw new Error('单位类型不一致：' + fromUnit + '（' + from.category + '）与 ' + toUnit + '（' + to.category + '）');
+  }
+
+  const base = Fraction.from(value).add(from.offset).multiply(from.factor);
+  let result = base.divide(to.factor).subtract(to.offset);
+  if (options.precision !== undefined) {
+    result = round(result, options.precision, { roundingMode: options.roundingMode });
+  }
+
+  if (value instanceof Fraction) {
+    return result;
+  }
+  if (typeof value === 'number') {
+    return result.toNumber();
+  }
+  return result.toDecimal();
+}
+
+/**
+ * 格式化带单位的数值，通过 format 在数值后附加单位符号
+ * @param {number|Decimal|Fraction|bigint} value 数值
+ * @param {string} unit 数值的单位
+ * @param {Object} options 格式化选项，同 format，另外支持：
+ * @param {string} options.to 先换算到该单位再格式化
+ * @param {string} options.separator 数值与单位符号之间的分隔符，默认为空
+ * @returns {string} 如 formatUnit(1.5, 'm2') 为 "1.5m²"
+ */
+export function formatUnit(value, unit, options = {}) {
+  const { to, separator = '', ...formatOptions } = options;
+  const target = getUnit(to !== undefined ? to : unit);
+  const number = to !== undefined ? convert(value, unit, to) : value;
+  return format(number, { ...formatOptions, unit: separator + target.symbol, unitPosition: 'suffix' });
+}
\ No newline at end of file
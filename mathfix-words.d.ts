@@ -0,0 +1,68 @@
+/**
+ * MathFix 数字拼写类型定义
+ */
+
+import { Decimal, RoundingMode } from './mathfix-decimal';
+
+/**
+ * 币种名称
+ */
+export interface CurrencyWords {
+  /** 主币名称，[单数, 复数]，如 ['dollar', 'dollars'] */
+  major: [string, string];
+  /** 辅币名称，[单数, 复数]；没有辅币时为 null */
+  minor: [string, string] | null;
+  /** 辅币对应的小数位数，如 USD 为 2、JPY 为 0 */
+  minorUnits: number;
+}
+
+/**
+ * 一种语言的拼写规则
+ */
+export interface WordsRules {
+  /** 非负整数转换为单词 */
+  cardinal: (n: bigint) => string;
+  /** 负号单词，默认 'minus' */
+  minus: string;
+  /** 小数点单词，默认 'point' */
+  point: string;
+  /** 主币与辅币之间的连接词，默认 'and' */
+  and: string;
+  /** 币种名称 */
+  currencies: Record<string, CurrencyWords>;
+}
+
+/**
+ * 拼写选项
+ */
+export interface ToWordsOptions {
+  /** 语言，默认为 'en'；找不到完整区域时退回到语言部分 */
+  locale?: string;
+  /** 币种代码，指定后按金额拼写，如 'USD' */
+  currency?: string;
+  /** 金额超出辅币精度时的舍入模式，默认为 'half-away-from-zero' */
+  roundingMode?: RoundingMode;
+}
+
+/**
+ * 已注册的拼写规则，内置 'en'
+ */
+export const WORDS_LOCALES: Record<string, WordsRules>;
+
+/**
+ * 注册或覆盖一种语言的拼写规则
+ * @param locale 语言代码，如 'fr'、'de'
+ * @param rules 拼写规则，minus、point、and、currencies 可省略
+ */
+export function registerWordsLocale(
+  locale: string,
+  rules: Pick<WordsRules, 'cardinal'> & Partial<WordsRules>
+): void;
+
+/**
+ * 将数字或金额拼写为单词
+ * @param num 数字
+ * @param options 拼写选项
+ * @returns 如 "one thousand two hundred thirty-four dollars and fifty-six cents"
+ */
+export function toWords(num: number | string | bigint | Decimal, options?: ToWordsOptions): string;
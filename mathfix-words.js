@@ -0,0 +1,189 @@
+/**
+ * MathFix 数字拼写
+ * 将数字和金额转换为外文单词（如支票、合同上的英文大写金额），每种语言的规则可以单独注册
+ */
+
+const { Decimal } = require('./mathfix-decimal.js');
+
+const ENGLISH_ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const ENGLISH_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const ENGLISH_SCALES = [
+  '', 'thousand', 'million', 'billion', 'trillion', 'quadrillion', 'quintillion',
+  'sextillion', 'septillion', 'octillion', 'nonillion', 'decillion'
+];
+
+/**
+ * 英文基数词（短级差，如 1234 为 "one thousand two hundred thirty-four"）
+ * @param {bigint} n 非负整数
+ * @returns {string}
+ */
+function englishCardinal(n) {
+  if (n === BigInt(0)) {
+    return ENGLISH_ONES[0];
+  }
+
+  const groups = [];
+  for (let rest = n; rest > BigInt(0); rest /= BigInt(1000)) {
+    groups.push(Number(rest % BigInt(1000)));
+  }
+  if (groups.length > ENGLISH_SCALES.length) {
+    throw new Error('数字过大，超出英文拼写范围');
+  }
+
+  const words = [];
+  for (let i = groups.length - 1; i >= 0; i--) {
+    const group = groups[i];
+    if (group === 0) {
+      continue;
+    }
+    const hundreds = Math.floor(group / 100);
+    const rest = group % 100;
+    if (hundreds > 0) {
+      words.push(ENGLISH_ONES[hundreds], 'hundred');
+    }
+    if (rest >= 20) {
+      words.push(ENGLISH_TENS[Math.floor(rest / 10)] + (rest % 10 ? '-' + ENGLISH_ONES[rest % 10] : ''));
+    } else if (rest > 0) {
+      words.push(ENGLISH_ONES[rest]);
+    }
+    if (ENGLISH_SCALES[i]) {
+      words.push(ENGLISH_SCALES[i]);
+    }
+  }
+  return words.join(' ');
+}
+
+/**
+ * 各语言的拼写规则
+ * cardinal：非负整数（BigInt）转换为单词
+ * minus / point / and：负号、小数点、主辅币之间的连接词
+ * currencies：币种名称，[单数, 复数]，minorUnits 为辅币对应的小数位数
+ */
+const WORDS_LOCALES = {
+  en: {
+    cardinal: englishCardinal,
+    minus: 'minus',
+    point: 'point',
+    and: 'and',
+    currencies: {
+      USD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'], minorUnits: 2 },
+      EUR: { major: ['euro', 'euros'], minor: ['cent', 'cents'], minorUnits: 2 },
+      GBP: { major: ['pound', 'pounds'], minor: ['penny', 'pence'], minorUnits: 2 },
+      CNY: { major: ['yuan', 'yuan'], minor: ['fen', 'fen'], minorUnits: 2 },
+      HKD: { major: ['Hong Kong dollar', 'Hong Kong dollars'], minor: ['cent', 'cents'], minorUnits: 2 },
+      AUD: { major: ['Australian dollar', 'Australian dollars'], minor: ['cent', 'cents'], minorUnits: 2 },
+      CAD: { major: ['Canadian dollar', 'Canadian dollars'], minor: ['cent', 'cents'], minorUnits: 2 },
+      SGD: { major: ['Singapore dollar', 'Singapore dollars'], minor: ['cent', 'cents'], minorUnits: 2 },
+      CHF: { major: ['franc', 'francs'], minor: ['centime', 'centimes'], minorUnits: 2 },
+      JPY: { major: ['yen', 'yen'], minor: null, minorUnits: 0 },
+      KRW: { major: ['won', 'won'], minor: null, minorUnits: 0 }
+    }
+  }
+};
+
+/**
+ * 注册或覆盖一种语言的拼写规则
+ * @param {string} locale 语言代码，如 'fr'、'de'
+ * @param {Object} rules 拼写规则
+ * @param {Function} rules.cardinal 非负整数（BigInt）转换为单词的函数
+ * @param {string} rules.minus 负号单词
+ * @param {string} rules.point 小数点单词
+ * @param {string} rules.and 主币与辅币之间的连接词
+ * @param {Object} rules.currencies 币种名称，如 { EUR: { major: ['euro', 'euros'], minor: ['centime', 'centimes'], minorUnits: 2 } }
+ */
+function registerWordsLocale(locale, rules = {}) {
+  if (typeof locale !== 'string' || !locale) {
+    throw new Error('语言代码必须是非空字符串');
+  }
+  if (typeof rules.cardinal !== 'function') {
+    throw new Error('拼写规则必须包含 cardinal 函数');
+  }
+  WORDS_LOCALES[locale] = {
+    minus: 'minus',
+    point: 'point',
+    and: 'and',
+    currencies: {},
+    ...rules
+  };
+}
+
+/**
+ * 查找语言的拼写规则，找不到完整区域时退回到语言部分（如 'en-US' 使用 'en'）
+ * @param {string} locale 语言代码
+ * @returns {Object} 拼写规则
+ */
+function getWordsRules(locale) {
+  if (Object.prototype.hasOwnProperty.call(WORDS_LOCALES, locale)) {
+    return WORDS_LOCALES[locale];
+  }
+  const language = locale.split('-')[0];
+  if (Object.prototype.hasOwnProperty.call(WORDS_LOCALES, language)) {
+    return WORDS_LOCALES[language];
+  }
+  throw new Error('不支持的拼写语言：' + locale);
+}
+
+/**
+ * 按数量选择单数或复数
+ * @param {string[]} names [单数, 复数]
+ * @param {bigint} count 数量
+ * @returns {string}
+ */
+function pluralize(names, count) {
+  return count === BigInt(1) ? names[0] : names[1];
+}
+
+/**
+ * 将数字或金额拼写为单词
+ * @param {number|string|bigint|Decimal} num 数字
+ * @param {Object} options 选项
+ * @param {string} options.locale 语言，默认为 'en'
+ * @param {string} options.currency 币种代码，指定后按金额拼写，如 'USD'
+ * @param {string} options.roundingMode 金额超出辅币精度时的舍入模式，默认为 'half-away-from-zero'
+ * @returns {string} 如 "one thousand two hundred thirty-four dollars and fifty-six cents"
+ */
+function toWords(num, options = {}) {
+  const rules = getWordsRules(options.locale || 'en');
+  const value = Decimal.from(num);
+  const sign = value.isNegative() ? rules.minus + ' ' : '';
+
+  if (!options.currency) {
+    const [integerPart, decimalPart] = value.abs().toString().split('.');
+    let result = rules.cardinal(BigInt(integerPart));
+    if (decimalPart) {
+      result += ' ' + rules.point + ' ' + decimalPart.split('').map(digit => rules.cardinal(BigInt(digit))).join(' ');
+    }
+    return sign + result;
+  }
+
+  const currency = rules.currencies[options.currency];
+  if (!currency) {
+    throw new Error('拼写规则中没有币种：' + options.currency);
+  }
+  const [majorText, minorText = '0'] = value.abs()
+    .toFixed(currency.minorUnits, options.roundingMode || 'half-away-from-zero')
+    .split('.');
+  const major = BigInt(majorText);
+  const minor = BigInt(minorText);
+  if (major === BigInt(0) && minor === BigInt(0)) {
+    return rules.cardinal(major) + ' ' + pluralize(currency.major, major);
+  }
+
+  const parts = [];
+  if (major > BigInt(0)) {
+    parts.push(rules.cardinal(major) + ' ' + pluralize(currency.major, major));
+  }
+  if (minor > BigInt(0)) {
+    parts.push(rules.cardinal(minor) + ' ' + pluralize(currency.minor, minor));
+  }
+  return sign + parts.join(' ' + rules.and + ' ');
+}
+
+module.exports = {
+  toWords,
+  registerWordsLocale,
+  WORDS_LOCALES
+};
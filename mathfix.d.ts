@@ -8,15 +8,196 @@ export {
   FormatOptions,
   setConfig,
   getConfig,
+  withConfig,
   addThousandsSeparator
 } from './mathfix-core';
 
+import { Decimal, RoundingMode } from './mathfix-decimal';
+import { Fraction, toFraction } from './mathfix-fraction';
+import {
+  Numeric,
+  RoundOptions,
+  DivideOptions,
+  DivmodOptions,
+  AllocateOptions,
+  ParseOptions,
+  ChineseNumberOptions,
+  ChineseCapitalOptions
+} from './mathfix-core';
+
+export { Decimal, DecimalInput, RoundingMode, ROUNDING_MODES } from './mathfix-decimal';
+export { Fraction, FractionInput, ToFractionOptions, toFraction } from './mathfix-fraction';
+export {
+  Numeric,
+  RoundOptions,
+  DivideOptions,
+  DivmodOptions,
+  AllocateOptions,
+  ParseOptions,
+  ChineseNumberOptions,
+  ChineseCapitalOptions
+} from './mathfix-core';
+
+import { evaluate } from './mathfix-expression';
+import { Money, money, CurrencyInfo, registerCurrency, getCurrency } from './mathfix-money';
+import { toWords, registerWordsLocale, WordsRules, ToWordsOptions } from './mathfix-words';
+import {
+  median,
+  mode,
+  variance,
+  stdDev,
+  quantile,
+  percentile,
+  weightedAverage,
+  range,
+  histogram,
+  QuantileMethod
+} from './mathfix-stats';
+import {
+  npv,
+  xnpv,
+  irr,
+  xirr,
+  mirr,
+  pv,
+  fv,
+  pmt,
+  paybackPeriod,
+  discountedPaybackPeriod,
+  amortizationSchedule,
+  AmortizationMethod
+} from './mathfix-finance';
+import {
+  addTax,
+  removeTax,
+  taxAmount,
+  effectiveTaxRate,
+  calculateInvoice,
+  TaxRoundingMethod
+} from './mathfix-tax';
+import {
+  convert,
+  formatUnit,
+  registerUnit,
+  getUnit,
+  UnitInfo
+} from './mathfix-units';
+import {
+  CurrencyConverter,
+  currencyConverter,
+  createTableRateProvider,
+  createFileRateProvider
+} from './mathfix-currency';
+
+export { evaluate, EvaluateOptions } from './mathfix-expression';
+export {
+  Money,
+  money,
+  MoneyInput,
+  MoneyFormatOptions,
+  CurrencyInfo,
+  CURRENCIES,
+  registerCurrency,
+  getCurrency
+} from './mathfix-money';
+export {
+  toWords,
+  registerWordsLocale,
+  WORDS_LOCALES,
+  WordsRules,
+  ToWordsOptions,
+  CurrencyWords
+} from './mathfix-words';
+export {
+  median,
+  mode,
+  variance,
+  stdDev,
+  quantile,
+  percentile,
+  weightedAverage,
+  range,
+  histogram,
+  QUANTILE_METHODS,
+  QuantileMethod,
+  VarianceOptions,
+  QuantileOptions,
+  HistogramBin
+} from './mathfix-stats';
+export {
+  npv,
+  xnpv,
+  irr,
+  xirr,
+  mirr,
+  pv,
+  fv,
+  pmt,
+  paybackPeriod,
+  discountedPaybackPeriod,
+  amortizationSchedule,
+  AMORTIZATION_METHODS,
+  FinanceInput,
+  CashFlowDate,
+  SolverOptions,
+  AmortizationMethod,
+  AmortizationOptions,
+  AmortizationPeriod,
+  AmortizationSchedule,
+  Prepayment
+} from './mathfix-finance';
+export {
+  addTax,
+  removeTax,
+  taxAmount,
+  effectiveTaxRate,
+  calculateInvoice,
+  TAX_ROUNDING_METHODS,
+  TaxInput,
+  TaxRate,
+  TaxRoundingMethod,
+  TaxOptions,
+  TaxAmountOptions,
+  InvoiceLine,
+  InvoiceOptions,
+  TaxBreakdown,
+  Invoice
+} from './mathfix-tax';
+export {
+  convert,
+  formatUnit,
+  registerUnit,
+  getUnit,
+  UNITS,
+  UnitInput,
+  UnitInfo,
+  RegisterUnitOptions,
+  ConvertOptions,
+  FormatUnitOptions
+} from './mathfix-units';
+export {
+  CurrencyConverter,
+  currencyConverter,
+  createTableRateProvider,
+  createFileRateProvider,
+  ExchangeRate,
+  RateCallback,
+  RateProvider,
+  RateTable,
+  CurrencyConverterOptions,
+  ConversionResult
+} from './mathfix-currency';
+
 /**
  * 格式化选项接口
  */
 export interface FormatOptions {
   /** 小数位数 */
   precision?: number;
+  /** 舍入模式 */
+  roundingMode?: RoundingMode;
+  /** 舍入增量，如 0.05 */
+  roundingIncrement?: number | string;
   /** 是否使用千分位分隔符 */
   thousandsSeparator?: boolean;
   /** 单位 */
@@ -29,6 +210,12 @@ export interface FormatOptions {
   chineseNumber?: boolean;
   /** 是否转换为人民币大写 */
   chineseCapital?: boolean;
+  /** 是否拼写为外文单词，为对象时作为 toWords 的选项，如 { currency: 'USD' } */
+  words?: boolean | ToWordsOptions;
+  /** 区域设置，如 'de-DE'、'en-IN'，按该区域的分组、小数点、负号和数字字符格式化 */
+  locale?: string;
+  /** 指定区域时是否分组，默认 true */
+  useGrouping?: boolean;
 }
 
 /**
@@ -43,6 +230,8 @@ export interface MathFixConfig {
   thousandsSeparatorChar?: string;
   /** 小数点分隔符 */
   decimalSeparator?: string;
+  /** 舍入模式 */
+  roundingMode?: RoundingMode;
   /** 单位 */
   unit?: string;
   /** 单位位置 */
@@ -53,6 +242,8 @@ export interface MathFixConfig {
   chineseNumber?: boolean;
   /** 是否转换为人民币大写 */
   chineseCapital?: boolean;
+  /** 区域设置，如 'de-DE'，设为空字符串时恢复默认格式 */
+  locale?: string;
 }
 
 // 重新导出核心函数类型
@@ -70,9 +261,20 @@ export {
   max,
   min,
   sum,
+  addEach,
+  subtractEach,
+  multiplyEach,
+  divideEach,
+  sumProduct,
+  dot,
+  cumulativeSum,
+  diff,
   abs,
   ceil,
   floor,
+  negate,
+  compare,
+  clamp,
   compoundInterest
 } from './mathfix-core';
 
@@ -82,15 +284,20 @@ export {
  * @param num 数字
  * @returns 小数位数
  */
-export function getDecimalPlaces(num: number): number;
+export function getDecimalPlaces(num: Numeric): number;
 
 /**
  * 精确加法
  * @param a 加数
  * @param b 被加数
+ * @param rest 更多加数
  * @returns 精确的和
  */
-export function add(a: number, b: number): number;
+export function add(a: number, b: number, ...rest: number[]): number;
+export function add(a: Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function add(a: Numeric | Fraction, b: Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function add(a: Numeric, b: Numeric, ...rest: Numeric[]): Decimal;
+export function add(a: Numeric | Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): number | Decimal | Fraction;
 
 /**
  * 精确减法
@@ -99,14 +306,22 @@ export function add(a: number, b: number): number;
  * @returns 精确的差
  */
 export function subtract(a: number, b: number): number;
+export function subtract(a: Fraction, b: Numeric | Fraction): Fraction;
+export function subtract(a: Numeric | Fraction, b: Fraction): Fraction;
+export function subtract(a: Numeric, b: Numeric): Decimal;
 
 /**
  * 精确乘法
  * @param a 乘数
  * @param b 被乘数
+ * @param rest 更多乘数
  * @returns 精确的积
  */
-export function multiply(a: number, b: number): number;
+export function multiply(a: number, b: number, ...rest: number[]): number;
+export function multiply(a: Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function multiply(a: Numeric | Fraction, b: Fraction, ...rest: Array<Numeric | Fraction>): Fraction;
+export function multiply(a: Numeric, b: Numeric, ...rest: Numeric[]): Decimal;
+export function multiply(a: Numeric | Fraction, b: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): number | Decimal | Fraction;
 
 /**
  * 精确除法
@@ -114,15 +329,65 @@ export function multiply(a: number, b: number): number;
  * @param b 除数
  * @returns 精确的商
  */
-export function divide(a: number, b: number): number;
+export function divide(a: number, b: number, options?: DivideOptions): number;
+export function divide(a: Fraction, b: Numeric | Fraction, options?: DivideOptions): Fraction;
+export function divide(a: Numeric | Fraction, b: Fraction, options?: DivideOptions): Fraction;
+export function divide(a: Numeric, b: Numeric, options?: DivideOptions): Decimal;
+
+/**
+ * 精确整除与取余，余数满足 a = b * 商 + 余数
+ * @param a 被除数
+ * @param b 除数
+ * @param options 商的取整方式，默认 'down'（向零截断）
+ * @returns [商, 余数]
+ */
+export function divmod(a: number, b: number, options?: DivmodOptions): [number, number];
+export function divmod(a: Fraction, b: Numeric | Fraction, options?: DivmodOptions): [Fraction, Fraction];
+export function divmod(a: Numeric | Fraction, b: Fraction, options?: DivmodOptions): [Fraction, Fraction];
+export function divmod(a: Numeric, b: Numeric, options?: DivmodOptions): [Decimal, Decimal];
 
 /**
- * 四舍五入到指定小数位数
+ * 精确整除
+ * @param a 被除数
+ * @param b 除数
+ * @param options 商的取整方式
+ * @returns 整数商
+ */
+export function intDivide(a: number, b: number, options?: DivmodOptions): number;
+export function intDivide(a: Fraction, b: Numeric | Fraction, options?: DivmodOptions): Fraction;
+export function intDivide(a: Numeric | Fraction, b: Fraction, options?: DivmodOptions): Fraction;
+export function intDivide(a: Numeric, b: Numeric, options?: DivmodOptions): Decimal;
+
+/**
+ * 精确取余
+ * @param a 被除数
+ * @param b 除数
+ * @param options 商的取整方式
+ * @returns 余数
+ */
+export function mod(a: number, b: number, options?: DivmodOptions): number;
+export function mod(a: Fraction, b: Numeric | Fraction, options?: DivmodOptions): Fraction;
+export function mod(a: Numeric | Fraction, b: Fraction, options?: DivmodOptions): Fraction;
+export function mod(a: Numeric, b: Numeric, options?: DivmodOptions): Decimal;
+
+/**
+ * 将除法结果表示为循环小数，如 "0.(3)"、"0.1(6)"
+ * @param a 被除数
+ * @param b 除数
+ * @param options 选项
+ * @returns 循环小数字符串
+ */
+export function toRepeatingDecimal(a: Numeric | Fraction, b: Numeric | Fraction, options?: { maxDigits?: number }): string;
+
+/**
+ * 按舍入模式保留指定小数位数
  * @param num 数字
  * @param precision 保留的小数位数，如果未指定则使用全局配置
- * @returns 四舍五入后的数字
+ * @returns 舍入后的数字
  */
-export function round(num: number, precision?: number): number;
+export function round(num: number, precision?: number, options?: RoundingMode | RoundOptions): number;
+export function round(num: Fraction, precision?: number, options?: RoundingMode | RoundOptions): Fraction;
+export function round(num: Numeric, precision?: number, options?: RoundingMode | RoundOptions): Decimal;
 
 /**
  * 格式化数字，移除多余的小数位
@@ -131,6 +396,7 @@ export function round(num: number, precision?: number): number;
  * @returns 格式化后的数字或字符串
  */
 export function format(num: number, options?: FormatOptions): string | number;
+export function format(num: Numeric | Fraction, options?: FormatOptions): string | Decimal;
 
 /**
  * 精确幂运算
@@ -139,6 +405,8 @@ export function format(num: number, options?: FormatOptions): string | number;
  * @returns 精确的幂
  */
 export function power(base: number, exponent: number): number;
+export function power(base: Fraction, exponent: number): Fraction;
+export function power(base: Numeric, exponent: number): Decimal;
 
 /**
  * 精确开方
@@ -147,6 +415,8 @@ export function power(base: number, exponent: number): number;
  * @returns 精确的根
  */
 export function sqrt(num: number, root?: number): number;
+export function sqrt(num: Fraction, root?: number): Fraction;
+export function sqrt(num: Numeric, root?: number): Decimal;
 
 /**
  * 百分比计算
@@ -155,6 +425,9 @@ export function sqrt(num: number, root?: number): number;
  * @returns 百分比对应的数值
  */
 export function percentage(value: number, percentage: number): number;
+export function percentage(value: Fraction, percentage: Numeric | Fraction): Fraction;
+export function percentage(value: Numeric | Fraction, percentage: Fraction): Fraction;
+export function percentage(value: Numeric, percentage: Numeric): Decimal;
 
 /**
  * 计算百分比增长率
@@ -163,6 +436,9 @@ export function percentage(value: number, percentage: number): number;
  * @returns 增长率百分比
  */
 export function percentageChange(oldValue: number, newValue: number): number;
+export function percentageChange(oldValue: Fraction, newValue: Numeric | Fraction): Fraction;
+export function percentageChange(oldValue: Numeric | Fraction, newValue: Fraction): Fraction;
+export function percentageChange(oldValue: Numeric, newValue: Numeric): Decimal;
 
 /**
  * 计算平均值
@@ -170,6 +446,8 @@ export function percentageChange(oldValue: number, newValue: number): number;
  * @returns 平均值
  */
 export function average(numbers: number[]): number;
+export function average(numbers: Numeric[]): Decimal;
+export function average(numbers: Array<Numeric | Fraction>): Fraction;
 
 /**
  * 计算数组中的最大值
@@ -177,6 +455,8 @@ export function average(numbers: number[]): number;
  * @returns 最大值
  */
 export function max(numbers: number[]): number;
+export function max(numbers: Numeric[]): Decimal;
+export function max(numbers: Array<Numeric | Fraction>): Fraction;
 
 /**
  * 计算数组中的最小值
@@ -184,6 +464,8 @@ export function max(numbers: number[]): number;
  * @returns 最小值
  */
 export function min(numbers: number[]): number;
+export function min(numbers: Numeric[]): Decimal;
+export function min(numbers: Array<Numeric | Fraction>): Fraction;
 
 /**
  * 计算数组元素的和
@@ -191,6 +473,78 @@ export function min(numbers: number[]): number;
  * @returns 总和
  */
 export function sum(numbers: number[]): number;
+export function sum(numbers: Numeric[]): Decimal;
+export function sum(numbers: Array<Numeric | Fraction>): Fraction;
+
+/**
+ * 逐元素精确加法
+ * @param a 数组，或与 b 的每个元素相加的数字
+ * @param b 长度相同的数组，或与 a 的每个元素相加的数字
+ * @returns 各元素的和
+ */
+export function addEach(a: number[] | number, b: number[] | number): number[];
+export function addEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction): Array<number | Decimal | Fraction>;
+
+/**
+ * 逐元素精确减法
+ * @param a 被减数数组或数字
+ * @param b 减数数组或数字
+ * @returns 各元素的差
+ */
+export function subtractEach(a: number[] | number, b: number[] | number): number[];
+export function subtractEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction): Array<number | Decimal | Fraction>;
+
+/**
+ * 逐元素精确乘法
+ * @param a 数组，或与 b 的每个元素相乘的数字
+ * @param b 长度相同的数组，或与 a 的每个元素相乘的数字
+ * @returns 各元素的积
+ */
+export function multiplyEach(a: number[] | number, b: number[] | number): number[];
+export function multiplyEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction): Array<number | Decimal | Fraction>;
+
+/**
+ * 逐元素精确除法
+ * @param a 被除数数组或数字
+ * @param b 除数数组或数字
+ * @param options 除法选项
+ * @returns 各元素的商
+ */
+export function divideEach(a: number[] | number, b: number[] | number, options?: DivideOptions): number[];
+export function divideEach(a: Array<Numeric | Fraction> | Numeric | Fraction, b: Array<Numeric | Fraction> | Numeric | Fraction, options?: DivideOptions): Array<number | Decimal | Fraction>;
+
+/**
+ * 多个数组对应元素乘积之和，与 Excel 的 SUMPRODUCT 相同
+ * @param arrays 长度相同的非空数组
+ * @returns 乘积之和
+ */
+export function sumProduct(...arrays: number[][]): number;
+export function sumProduct(...arrays: Array<Array<Numeric | Fraction>>): number | Decimal | Fraction;
+
+/**
+ * 向量点积
+ * @param a 向量
+ * @param b 长度相同的向量
+ * @returns 点积
+ */
+export function dot(a: number[], b: number[]): number;
+export function dot(a: Array<Numeric | Fraction>, b: Array<Numeric | Fraction>): number | Decimal | Fraction;
+
+/**
+ * 累计求和
+ * @param numbers 数字数组
+ * @returns 每个位置为到该元素为止的累计和
+ */
+export function cumulativeSum(numbers: number[]): number[];
+export function cumulativeSum(numbers: Array<Numeric | Fraction>): Array<number | Decimal | Fraction>;
+
+/**
+ * 相邻元素的差
+ * @param numbers 数字数组
+ * @returns 后一个元素减去前一个元素，长度比输入少1
+ */
+export function diff(numbers: number[]): number[];
+export function diff(numbers: Array<Numeric | Fraction>): Array<number | Decimal | Fraction>;
 
 /**
  * 绝对值
@@ -198,6 +552,8 @@ export function sum(numbers: number[]): number;
  * @returns 绝对值
  */
 export function abs(num: number): number;
+export function abs(num: Fraction): Fraction;
+export function abs(num: Numeric): Decimal;
 
 /**
  * 向上取整
@@ -205,6 +561,8 @@ export function abs(num: number): number;
  * @returns 向上取整后的数字
  */
 export function ceil(num: number): number;
+export function ceil(num: Fraction): Fraction;
+export function ceil(num: Numeric): Decimal;
 
 /**
  * 向下取整
@@ -212,6 +570,38 @@ export function ceil(num: number): number;
  * @returns 向下取整后的数字
  */
 export function floor(num: number): number;
+export function floor(num: Fraction): Fraction;
+export function floor(num: Numeric): Decimal;
+
+/**
+ * 取相反数
+ * @param num 数字
+ * @returns 相反数，0 取反仍为 0
+ */
+export function negate(num: number): number;
+export function negate(num: Fraction): Fraction;
+export function negate(num: Numeric): Decimal;
+
+/**
+ * 精确比较大小
+ * @param a 数字
+ * @param b 数字
+ * @returns a 小于 b 返回-1，等于返回0，大于返回1
+ */
+export function compare(a: Numeric | Fraction, b: Numeric | Fraction): -1 | 0 | 1;
+
+/**
+ * 将数字限制在 [min, max] 范围内
+ * @param num 数字
+ * @param min 最小值
+ * @param max 最大值
+ * @returns 限制后的数字，类型与参数中精度最高的类型一致
+ */
+export function clamp(num: number, min: number, max: number): number;
+export function clamp(num: Fraction, min: Numeric | Fraction, max: Numeric | Fraction): Fraction;
+export function clamp(num: Numeric | Fraction, min: Fraction, max: Numeric | Fraction): Fraction;
+export function clamp(num: Numeric | Fraction, min: Numeric | Fraction, max: Fraction): Fraction;
+export function clamp(num: Numeric, min: Numeric, max: Numeric): Decimal;
 
 /**
  * 计算复利
@@ -222,13 +612,50 @@ export function floor(num: number): number;
  * @returns 复利后的金额
  */
 export function compoundInterest(principal: number, rate: number, time: number, compound?: number): number;
+export function compoundInterest(principal: Fraction, rate: Numeric | Fraction, time: number, compound?: number): Fraction;
+export function compoundInterest(principal: Numeric | Fraction, rate: Fraction, time: number, compound?: number): Fraction;
+export function compoundInterest(principal: Numeric, rate: Numeric, time: number, compound?: number): Decimal;
+
+/**
+ * 按比例分配金额，各份之和严格等于总额（最大余数法，余数相同时下标小的优先）
+ * @param total 总额，小数位数不能超过 precision
+ * @param ratios 分配比例
+ * @param options 分配选项
+ * @returns 各份金额
+ */
+export function allocate(total: number, ratios: number[], options?: AllocateOptions): number[];
+export function allocate(total: Numeric, ratios: Numeric[], options?: AllocateOptions): Decimal[];
+export function allocate(total: Numeric | Fraction, ratios: Array<Numeric | Fraction>, options?: AllocateOptions): Fraction[];
+
+/**
+ * 将总额平均分成 n 份，各份之和严格等于总额
+ * @param total 总额
+ * @param n 份数
+ * @param options 分配选项
+ * @returns 各份金额
+ */
+export function splitEvenly(total: number, n: number, options?: AllocateOptions): number[];
+export function splitEvenly(total: Numeric, n: number, options?: AllocateOptions): Decimal[];
+export function splitEvenly(total: Fraction, n: number, options?: AllocateOptions): Fraction[];
 
 /**
  * 为数字字符串添加千分位分隔符
  * @param numStr 数字字符串
+ * @param locale 区域设置，指定时按该区域的分组规则和符号格式化，如果未指定则使用全局配置
  * @returns 添加千分位分隔符后的字符串
  */
-export function addThousandsSeparator(numStr: string): string;
+export function addThousandsSeparator(numStr: string, locale?: string): string;
+
+/**
+ * 将格式化后的字符串解析为精确数字，是 format 的逆操作
+ * 支持千分位分隔符、自定义小数点、区域格式、单位与货币符号、括号负数、百分号和全角字符
+ * 分组位置不正确、包含多个小数点等含义不明确的输入会抛出错误
+ * @param str 待解析的字符串，如 "¥1,234.56"、"1.234,56 €"、"12.5%"
+ * @param options 解析选项
+ * @returns 解析结果，有效数字超过15位或指定 decimal 时返回 Decimal
+ */
+export function parse(str: string, options: ParseOptions & { decimal: true }): Decimal;
+export function parse(str: string, options?: ParseOptions): number | Decimal;
 
 /**
  * 设置全局配置
@@ -243,18 +670,32 @@ export function setConfig(newConfig: Partial<MathFixConfig>): void;
 export function getConfig(): MathFixConfig;
 
 /**
- * 将数字转换为中文大写数字
- * @param num 数字
- * @returns 中文大写数字字符串
+ * 在临时配置下执行函数，结束后（包括抛出错误时）自动恢复
+ * Node.js 中通过 AsyncLocalStorage 使配置在 fn 内的 await 之后仍然生效，其他环境只作用于 fn 的同步部分
+ * 只覆盖全局配置，MathFix.create 创建的实例仍使用实例配置，需要时请调用实例的 withConfig
+ * @param options 临时配置，未指定的配置项取自当前配置
+ * @param fn 要执行的函数，可以是 async 函数
+ * @returns fn 的返回值
+ */
+export function withConfig<R>(options: Partial<MathFixConfig>, fn: () => R): R;
+
+/**
+ * 将数字转换为中文数字
+ * 整数部分按万进制分节（万、亿、兆……载），支持任意长度的整数字符串和 BigInt
+ * @param num 数字，字符串可以包含千分位分隔符
+ * @param options 转换选项
+ * @returns 中文数字字符串
  */
-export function toChineseNumber(num: number): string;
+export function toChineseNumber(num: number | string | bigint | Decimal, options?: ChineseNumberOptions): string;
 
 /**
  * 将数字转换为人民币大写
- * @param num 数字
+ * 整数部分按万进制分节，支持兆、京等大额；超出角分（或厘）的小数按舍入模式舍入
+ * @param num 金额，字符串可以包含千分位分隔符
+ * @param options 转换选项
  * @returns 人民币大写字符串
  */
-export function toChineseCapital(num: number): string;
+export function toChineseCapital(num: number | string | bigint | Decimal, options?: ChineseCapitalOptions): string;
 
 /**
  * 根据配置添加单位和格式化
@@ -264,38 +705,366 @@ export function toChineseCapital(num: number): string;
  */
 export function addUnitAndFormat(num: number, options: Partial<MathFixConfig>): string;
 
+/**
+ * 链式调用选项
+ */
+export interface ChainOptions {
+  /** 计算模式：'number'（默认）、'decimal'（转换为 Decimal）、'fraction'（转换为 Fraction） */
+  mode?: 'number' | 'decimal' | 'fraction';
+  /** 链路使用的配置对象，由 MathFix.create 创建的实例传入，未指定时使用全局配置 */
+  config?: MathFixConfig;
+  /** 是否记录每一步运算（追踪模式） */
+  trace?: boolean;
+  /** 是否创建不可变链路，每个运算方法返回新的实例 */
+  immutable?: boolean;
+}
+
+/**
+ * 追踪记录中的值，Decimal、Fraction 和 BigInt 转换为字符串
+ */
+export type TraceValue = number | string | { [key: string]: unknown };
+
+/**
+ * 追踪记录中实际使用的舍入方式
+ */
+export interface TraceRounding {
+  precision: number;
+  roundingMode: RoundingMode;
+  increment?: number | string | Decimal;
+}
+
+/**
+ * 追踪记录中的一步运算
+ */
+export interface TraceStep {
+  /** 运算名称，如 'multiply'、'round' */
+  operation: string;
+  /** 除当前值以外的参数 */
+  operands: TraceValue[];
+  /** 运算前的值 */
+  input: TraceValue;
+  /** 运算结果 */
+  result: TraceValue;
+  /** 舍入类运算实际使用的精度和舍入模式 */
+  rounding?: TraceRounding;
+}
+
+/**
+ * 链式调用的追踪记录
+ */
+export interface ChainTrace {
+  initial: TraceValue;
+  steps: TraceStep[];
+  result: TraceValue;
+}
+
 /**
  * 链式调用类
  */
 export class MathFixChain {
-  value: number;
+  value: number | Decimal | Fraction;
+  config: MathFixConfig | null;
+  
+  constructor(value?: Numeric | Fraction | string, options?: ChainOptions);
   
-  constructor(value?: number);
+  invoke<A extends unknown[], R>(fn: (...args: A) => R, ...args: A): R;
+  perform(operation: string, fn: (...args: any[]) => unknown, args: unknown[], rounding?: TraceRounding): MathFixChain;
   
-  add(num: number): MathFixChain;
-  subtract(num: number): MathFixChain;
-  multiply(num: number): MathFixChain;
-  divide(num: number): MathFixChain;
+  add(num: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): MathFixChain;
+  subtract(num: Numeric | Fraction): MathFixChain;
+  multiply(num: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): MathFixChain;
+  divide(num: Numeric | Fraction, options?: DivideOptions): MathFixChain;
+  intDivide(num: Numeric | Fraction, options?: DivmodOptions): MathFixChain;
+  mod(num: Numeric | Fraction, options?: DivmodOptions): MathFixChain;
   power(exponent: number): MathFixChain;
   sqrt(root?: number): MathFixChain;
   abs(): MathFixChain;
   ceil(): MathFixChain;
   floor(): MathFixChain;
-  round(precision?: number): MathFixChain;
+  round(precision?: number, options?: RoundingMode | RoundOptions): MathFixChain;
+  negate(): MathFixChain;
+  percentage(percent: Numeric | Fraction): MathFixChain;
+  percentageChange(newValue: Numeric | Fraction): MathFixChain;
+  min(...values: Array<Numeric | Fraction>): MathFixChain;
+  max(...values: Array<Numeric | Fraction>): MathFixChain;
+  clamp(min: Numeric | Fraction, max: Numeric | Fraction): MathFixChain;
+  compoundInterest(rate: Numeric | Fraction, time: number, compound?: number): MathFixChain;
   format(options?: FormatOptions): MathFixChain;
+  allocate(ratios: Array<Numeric | Fraction>, options?: AllocateOptions): Array<number | Decimal | Fraction>;
+  splitEvenly(n: number, options?: AllocateOptions): Array<number | Decimal | Fraction>;
+  divmod(num: Numeric | Fraction, options?: DivmodOptions): [number | Decimal | Fraction, number | Decimal | Fraction];
+  toRepeatingDecimal(num?: Numeric | Fraction, options?: { maxDigits?: number }): string;
+  
+  compare(num: Numeric | Fraction): -1 | 0 | 1;
+  equals(num: Numeric | Fraction): boolean;
+  lessThan(num: Numeric | Fraction): boolean;
+  lessThanOrEqual(num: Numeric | Fraction): boolean;
+  greaterThan(num: Numeric | Fraction): boolean;
+  greaterThanOrEqual(num: Numeric | Fraction): boolean;
+  
+  /** 获取追踪记录，未开启追踪模式时抛出错误 */
+  getTrace(): ChainTrace;
+  /** 以文字说明计算过程，如 "100 × 1.13 = 113 → round(2) = 113" */
+  explain(): string;
+  /** 追踪模式下为追踪记录，否则为当前值 */
+  toJSON(): ChainTrace | TraceValue;
   
-  valueOf(): number;
+  valueOf(): number | Decimal | Fraction;
+  toNumber(): number;
   toString(): string;
+  /** 格式化结果为字符串，不改变链路的值 */
+  toFormatted(options?: FormatOptions): string;
+  
+  static chain(value: Numeric | Fraction | string | undefined, options: ChainOptions & { immutable: true }): ImmutableMathFixChain;
+  static chain(value?: Numeric | Fraction | string, options?: ChainOptions): MathFixChain;
+}
+
+/**
+ * 不可变链式调用类，每个运算方法都返回新的实例
+ */
+export class ImmutableMathFixChain extends MathFixChain {
+  readonly value: number | Decimal | Fraction;
+  
+  perform(operation: string, fn: (...args: any[]) => unknown, args: unknown[], rounding?: TraceRounding): ImmutableMathFixChain;
   
-  static chain(value?: number): MathFixChain;
+  add(num: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): ImmutableMathFixChain;
+  subtract(num: Numeric | Fraction): ImmutableMathFixChain;
+  multiply(num: Numeric | Fraction, ...rest: Array<Numeric | Fraction>): ImmutableMathFixChain;
+  divide(num: Numeric | Fraction, options?: DivideOptions): ImmutableMathFixChain;
+  intDivide(num: Numeric | Fraction, options?: DivmodOptions): ImmutableMathFixChain;
+  mod(num: Numeric | Fraction, options?: DivmodOptions): ImmutableMathFixChain;
+  power(exponent: number): ImmutableMathFixChain;
+  sqrt(root?: number): ImmutableMathFixChain;
+  abs(): ImmutableMathFixChain;
+  ceil(): ImmutableMathFixChain;
+  floor(): ImmutableMathFixChain;
+  round(precision?: number, options?: RoundingMode | RoundOptions): ImmutableMathFixChain;
+  negate(): ImmutableMathFixChain;
+  percentage(percent: Numeric | Fraction): ImmutableMathFixChain;
+  percentageChange(newValue: Numeric | Fraction): ImmutableMathFixChain;
+  min(...values: Array<Numeric | Fraction>): ImmutableMathFixChain;
+  max(...values: Array<Numeric | Fraction>): ImmutableMathFixChain;
+  clamp(min: Numeric | Fraction, max: Numeric | Fraction): ImmutableMathFixChain;
+  compoundInterest(rate: Numeric | Fraction, time: number, compound?: number): ImmutableMathFixChain;
+  /** 不可变链路不支持 format()，调用时抛出错误，请使用 toFormatted() */
+  format(options?: FormatOptions): never;
 }
 
 /**
  * 创建链式调用实例的便捷函数
  * @param value 初始值
+ * @param options 链式调用选项
  * @returns 链式调用实例
  */
-export function chain(value?: number): MathFixChain;
+export function chain(value: Numeric | Fraction | string | undefined, options: ChainOptions & { immutable: true }): ImmutableMathFixChain;
+export function chain(value?: Numeric | Fraction | string, options?: ChainOptions): MathFixChain;
+
+/**
+ * 公式可以使用的链式运算
+ */
+export type FormulaOperation =
+  | 'add' | 'subtract' | 'multiply' | 'divide' | 'intDivide' | 'mod' | 'power' | 'sqrt'
+  | 'abs' | 'ceil' | 'floor' | 'round' | 'negate' | 'percentage' | 'percentageChange'
+  | 'min' | 'max' | 'clamp' | 'compoundInterest' | 'format';
+
+/**
+ * 公式中的数值参数：常量，或表示变量名的字符串
+ */
+export type FormulaOperand = Numeric | Fraction | string;
+
+/**
+ * 记录公式步骤的构建器，字符串参数表示变量
+ */
+export interface FormulaBuilder {
+  add(num: FormulaOperand, ...rest: FormulaOperand[]): FormulaBuilder;
+  subtract(num: FormulaOperand): FormulaBuilder;
+  multiply(num: FormulaOperand, ...rest: FormulaOperand[]): FormulaBuilder;
+  divide(num: FormulaOperand, options?: DivideOptions): FormulaBuilder;
+  intDivide(num: FormulaOperand, options?: DivmodOptions): FormulaBuilder;
+  mod(num: FormulaOperand, options?: DivmodOptions): FormulaBuilder;
+  power(exponent: number | string): FormulaBuilder;
+  sqrt(root?: number | string): FormulaBuilder;
+  abs(): FormulaBuilder;
+  ceil(): FormulaBuilder;
+  floor(): FormulaBuilder;
+  round(precision?: number | string, options?: RoundingMode | RoundOptions): FormulaBuilder;
+  negate(): FormulaBuilder;
+  percentage(percent: FormulaOperand): FormulaBuilder;
+  percentageChange(newValue: FormulaOperand): FormulaBuilder;
+  min(...values: FormulaOperand[]): FormulaBuilder;
+  max(...values: FormulaOperand[]): FormulaBuilder;
+  clamp(min: FormulaOperand, max: FormulaOperand): FormulaBuilder;
+  compoundInterest(rate: FormulaOperand, time: number | string, compound?: number | string): FormulaBuilder;
+  format(options?: FormatOptions): FormulaBuilder;
+}
+
+/**
+ * 公式的 JSON 表示，Decimal、Fraction 和 BigInt 常量保存为 { type, value }
+ */
+export interface FormulaJSON {
+  input: string;
+  mode?: 'number' | 'decimal' | 'fraction';
+  steps: Array<{ operation: FormulaOperation; args?: unknown[] }>;
+}
+
+/**
+ * 公式选项
+ */
+export interface FormulaOptions {
+  /** 初始值对应的变量名，默认为 'value' */
+  input?: string;
+  /** 计算模式，同 chain 的 mode 选项 */
+  mode?: 'number' | 'decimal' | 'fraction';
+  /** 公式使用的配置对象，由 MathFix.create 创建的实例传入，未指定时使用计算时的当前配置 */
+  config?: MathFixConfig;
+}
+
+/**
+ * 公式的变量值
+ */
+export type FormulaVariables = Record<string, Numeric | Fraction>;
+
+/**
+ * 可重复使用的公式
+ */
+export interface Formula {
+  /** 计算公式，传入变量对象或直接传入初始值 */
+  (variables: FormulaVariables | Numeric | Fraction): number | Decimal | Fraction | string;
+  /** 批量计算 */
+  map(rows: Array<FormulaVariables | Numeric | Fraction>): Array<number | Decimal | Fraction | string>;
+  /** 导出为 JSON */
+  toJSON(): FormulaJSON;
+  readonly input: string;
+  readonly mode?: 'number' | 'decimal' | 'fraction';
+  /** 公式用到的变量名，第一个为初始值变量 */
+  readonly variables: readonly string[];
+}
+
+/**
+ * 定义可重复使用的公式
+ * @param definition 构建函数，如 x => x.multiply('qty').subtract('discount').round(2)；或公式的 JSON（对象或字符串）
+ * @param options 公式选项
+ * @returns 公式函数
+ */
+export function formula(definition: ((x: FormulaBuilder) => unknown) | FormulaJSON | string, options?: FormulaOptions): Formula;
+
+/**
+ * 拥有独立配置的 MathFix 实例
+ */
+export interface MathFixInstance {
+  add: typeof add;
+  subtract: typeof subtract;
+  multiply: typeof multiply;
+  divide: typeof divide;
+  divmod: typeof divmod;
+  intDivide: typeof intDivide;
+  mod: typeof mod;
+  toRepeatingDecimal: typeof toRepeatingDecimal;
+  round: typeof round;
+  format: typeof format;
+  getDecimalPlaces: typeof getDecimalPlaces;
+  power: typeof power;
+  sqrt: typeof sqrt;
+  percentage: typeof percentage;
+  percentageChange: typeof percentageChange;
+  average: typeof average;
+  max: typeof max;
+  min: typeof min;
+  sum: typeof sum;
+  addEach: typeof addEach;
+  subtractEach: typeof subtractEach;
+  multiplyEach: typeof multiplyEach;
+  divideEach: typeof divideEach;
+  sumProduct: typeof sumProduct;
+  dot: typeof dot;
+  cumulativeSum: typeof cumulativeSum;
+  diff: typeof diff;
+  abs: typeof abs;
+  ceil: typeof ceil;
+  floor: typeof floor;
+  negate: typeof negate;
+  compare: typeof compare;
+  clamp: typeof clamp;
+  compoundInterest: typeof compoundInterest;
+  allocate: typeof allocate;
+  splitEvenly: typeof splitEvenly;
+  /** 只修改该实例的配置 */
+  setConfig: typeof setConfig;
+  /** 返回该实例的配置 */
+  getConfig: typeof getConfig;
+  /** 临时覆盖该实例的配置，不影响全局配置和其他实例 */
+  withConfig: typeof withConfig;
+  addThousandsSeparator: typeof addThousandsSeparator;
+  parse: typeof parse;
+  toChineseNumber: typeof toChineseNumber;
+  toChineseCapital: typeof toChineseCapital;
+  addUnitAndFormat: typeof addUnitAndFormat;
+  toFraction: typeof toFraction;
+  evaluate: typeof evaluate;
+  toWords: typeof toWords;
+  median: typeof median;
+  mode: typeof mode;
+  variance: typeof variance;
+  stdDev: typeof stdDev;
+  quantile: typeof quantile;
+  percentile: typeof percentile;
+  weightedAverage: typeof weightedAverage;
+  range: typeof range;
+  histogram: typeof histogram;
+  npv: typeof npv;
+  xnpv: typeof xnpv;
+  irr: typeof irr;
+  xirr: typeof xirr;
+  mirr: typeof mirr;
+  pv: typeof pv;
+  fv: typeof fv;
+  paybackPeriod: typeof paybackPeriod;
+  discountedPaybackPeriod: typeof discountedPaybackPeriod;
+  pmt: typeof pmt;
+  amortizationSchedule: typeof amortizationSchedule;
+  addTax: typeof addTax;
+  removeTax: typeof removeTax;
+  taxAmount: typeof taxAmount;
+  effectiveTaxRate: typeof effectiveTaxRate;
+  calculateInvoice: typeof calculateInvoice;
+  convert: typeof convert;
+  formatUnit: typeof formatUnit;
+  Decimal: typeof Decimal;
+  ROUNDING_MODES: RoundingMode[];
+  Fraction: typeof Fraction;
+  Money: typeof Money;
+  money: typeof money;
+  CURRENCIES: Record<string, CurrencyInfo>;
+  registerCurrency: typeof registerCurrency;
+  getCurrency: typeof getCurrency;
+  registerWordsLocale: typeof registerWordsLocale;
+  WORDS_LOCALES: Record<string, WordsRules>;
+  QUANTILE_METHODS: QuantileMethod[];
+  AMORTIZATION_METHODS: AmortizationMethod[];
+  TAX_ROUNDING_METHODS: TaxRoundingMethod[];
+  registerUnit: typeof registerUnit;
+  getUnit: typeof getUnit;
+  UNITS: Record<string, UnitInfo>;
+  CurrencyConverter: typeof CurrencyConverter;
+  currencyConverter: typeof currencyConverter;
+  createTableRateProvider: typeof createTableRateProvider;
+  createFileRateProvider: typeof createFileRateProvider;
+  MathFixChain: typeof MathFixChain;
+  ImmutableMathFixChain: typeof ImmutableMathFixChain;
+  /** 使用实例配置的链式调用 */
+  chain: typeof chain;
+  /** 使用实例配置的公式 */
+  formula: typeof formula;
+  /** 以该实例的配置为基础创建新实例 */
+  create: typeof create;
+}
+
+/**
+ * 创建拥有独立配置的 MathFix 实例，实例之间以及实例与全局配置之间互不影响
+ * @param options 实例配置，未指定的配置项取自创建时的全局配置
+ * @returns 包含全部核心函数以及 chain()、create() 的实例
+ */
+export function create(options?: MathFixConfig): MathFixInstance;
 
 /**
  * MathFix 工具对象（浏览器环境下的全局对象）
@@ -307,6 +1076,10 @@ declare global {
       subtract: typeof subtract;
       multiply: typeof multiply;
       divide: typeof divide;
+      divmod: typeof divmod;
+      intDivide: typeof intDivide;
+      mod: typeof mod;
+      toRepeatingDecimal: typeof toRepeatingDecimal;
       round: typeof round;
       format: typeof format;
       getDecimalPlaces: typeof getDecimalPlaces;
@@ -318,21 +1091,89 @@ declare global {
       max: typeof max;
       min: typeof min;
       sum: typeof sum;
+      addEach: typeof addEach;
+      subtractEach: typeof subtractEach;
+      multiplyEach: typeof multiplyEach;
+      divideEach: typeof divideEach;
+      sumProduct: typeof sumProduct;
+      dot: typeof dot;
+      cumulativeSum: typeof cumulativeSum;
+      diff: typeof diff;
       abs: typeof abs;
       ceil: typeof ceil;
       floor: typeof floor;
+      negate: typeof negate;
+      compare: typeof compare;
+      clamp: typeof clamp;
       compoundInterest: typeof compoundInterest;
+      allocate: typeof allocate;
+      splitEvenly: typeof splitEvenly;
       // 配置功能
       setConfig: typeof setConfig;
       getConfig: typeof getConfig;
+      withConfig: typeof withConfig;
       addThousandsSeparator: typeof addThousandsSeparator;
+      parse: typeof parse;
       toChineseNumber: typeof toChineseNumber;
       toChineseCapital: typeof toChineseCapital;
       addUnitAndFormat: typeof addUnitAndFormat;
+      evaluate: typeof evaluate;
+      Decimal: typeof Decimal;
+      ROUNDING_MODES: RoundingMode[];
+      Fraction: typeof Fraction;
+      toFraction: typeof toFraction;
+      Money: typeof Money;
+      money: typeof money;
+      CURRENCIES: Record<string, CurrencyInfo>;
+      registerCurrency: typeof registerCurrency;
+      getCurrency: typeof getCurrency;
+      toWords: typeof toWords;
+      registerWordsLocale: typeof registerWordsLocale;
+      WORDS_LOCALES: Record<string, WordsRules>;
+      median: typeof median;
+      mode: typeof mode;
+      variance: typeof variance;
+      stdDev: typeof stdDev;
+      quantile: typeof quantile;
+      percentile: typeof percentile;
+      weightedAverage: typeof weightedAverage;
+      range: typeof range;
+      histogram: typeof histogram;
+      npv: typeof npv;
+      xnpv: typeof xnpv;
+      irr: typeof irr;
+      xirr: typeof xirr;
+      mirr: typeof mirr;
+      pv: typeof pv;
+      fv: typeof fv;
+      paybackPeriod: typeof paybackPeriod;
+      discountedPaybackPeriod: typeof discountedPaybackPeriod;
+      pmt: typeof pmt;
+      amortizationSchedule: typeof amortizationSchedule;
+      addTax: typeof addTax;
+      removeTax: typeof removeTax;
+      taxAmount: typeof taxAmount;
+      effectiveTaxRate: typeof effectiveTaxRate;
+      calculateInvoice: typeof calculateInvoice;
+      convert: typeof convert;
+      formatUnit: typeof formatUnit;
+      QUANTILE_METHODS: QuantileMethod[];
+      AMORTIZATION_METHODS: AmortizationMethod[];
+      TAX_ROUNDING_METHODS: TaxRoundingMethod[];
+      registerUnit: typeof registerUnit;
+      getUnit: typeof getUnit;
+      UNITS: Record<string, UnitInfo>;
+      CurrencyConverter: typeof CurrencyConverter;
+      currencyConverter: typeof currencyConverter;
+      createTableRateProvider: typeof createTableRateProvider;
+      createFileRateProvider: typeof createFileRateProvider;
       
       // 链式调用
       MathFixChain: typeof MathFixChain;
+      ImmutableMathFixChain: typeof ImmutableMathFixChain;
       chain: typeof chain;
+      formula: typeof formula;
+      create: typeof create;
     };
   }
 }
\ No newline at end of file
@@ -9,6 +9,10 @@ const {
   subtract,
   multiply,
   divide,
+  divmod,
+  intDivide,
+  mod,
+  toRepeatingDecimal,
   round,
   format,
   getDecimalPlaces,
@@ -20,97 +24,882 @@ const {
   max,
   min,
   sum,
+  addEach,
+  subtractEach,
+  multiplyEach,
+  divideEach,
+  sumProduct,
+  dot,
+  cumulativeSum,
+  diff,
   abs,
   ceil,
   floor,
+  negate,
+  compare,
+  clamp,
   compoundInterest,
+  allocate,
+  splitEvenly,
   setConfig,
   getConfig,
+  withConfig,
   addThousandsSeparator,
+  parse,
   toChineseNumber,
   toChineseCapital,
-  addUnitAndFormat
+  addUnitAndFormat,
+  Decimal,
+  ROUNDING_MODES,
+  Fraction,
+  toFraction,
+  createConfig,
+  runWithConfig,
+  withScopedConfig
 } = require('./mathfix-core.js');
 
+// 引入表达式求值
+const { evaluate, isIdentifier } = require('./mathfix-expression.js');
+
+// 引入货币金额类型
+const { Money, money, CURRENCIES, registerCurrency, getCurrency } = require('./mathfix-money.js');
+
+// 引入数字拼写
+const { toWords, registerWordsLocale, WORDS_LOCALES } = require('./mathfix-words.js');
+
+// 引入描述统计
+const {
+  median,
+  mode,
+  variance,
+  stdDev,
+  quantile,
+  percentile,
+  weightedAverage,
+  range,
+  histogram,
+  QUANTILE_METHODS
+} = require('./mathfix-stats.js');
+
+// 引入财务函数
+const {
+  npv,
+  xnpv,
+  irr,
+  xirr,
+  mirr,
+  pv,
+  fv,
+  pmt,
+  paybackPeriod,
+  discountedPaybackPeriod,
+  amortizationSchedule,
+  AMORTIZATION_METHODS
+} = require('./mathfix-finance.js');
+
+// 引入税费计算函数
+const {
+  addTax,
+  removeTax,
+  taxAmount,
+  effectiveTaxRate,
+  calculateInvoice,
+  TAX_ROUNDING_METHODS
+} = require('./mathfix-tax.js');
+
+// 引入单位换算函数
+const {
+  convert,
+  formatUnit,
+  registerUnit,
+  getUnit,
+  UNITS
+} = require('./mathfix-units.js');
+
+// 引入货币兑换
+const {
+  CurrencyConverter,
+  currencyConverter,
+  createTableRateProvider,
+  createFileRateProvider
+} = require('./mathfix-currency.js');
+
+// MathFixChain 支持的计算模式
+const CHAIN_MODES = ['number', 'decimal', 'fraction'];
+
+// 追踪说明中以运算符表示的运算
+const TRACE_OPERATORS = {
+  add: '+',
+  subtract: '-',
+  multiply: '×',
+  divide: '÷',
+  power: '^'
+};
+
+// 追踪说明中可以有多个操作数的运算
+const TRACE_VARIADIC_OPERATIONS = ['add', 'multiply'];
+
+/**
+ * 将追踪记录中的值转换为可序列化的形式，Decimal 和 Fraction 转换为字符串
+ * @param {*} value 值
+ * @returns {*}
+ */
+function toTraceValue(value) {
+  if (value instanceof Decimal || value instanceof Fraction || typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'object' && value !== null) {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = toTraceValue(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * 追踪说明中值的文字表示，字符串结果加引号，选项对象输出为 JSON
+ * @param {*} value 值
+ * @returns {string}
+ */
+function describeTraceValue(value) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'object' && value !== null && !(value instanceof Decimal) && !(value instanceof Fraction)) {
+    return JSON.stringify(toTraceValue(value));
+  }
+  return String(value);
+}
+
+/**
+ * 单步运算的文字说明
+ * @param {Object} step 追踪记录中的一步
+ * @returns {string} 如 "100 × 1.13 = 113"、"round(2) = 113"
+ */
+function explainStep(step) {
+  const result = describeTraceValue(step.result);
+  const operator = TRACE_OPERATORS[step.operation];
+  if (operator) {
+    // add、multiply 可以有多个操作数，其他运算只有第一个参数是操作数
+    const operands = TRACE_VARIADIC_OPERATIONS.includes(step.operation) ? step.operands : step.operands.slice(0, 1);
+    const expression = [step.input, ...operands].map(describeTraceValue).join(' ' + operator + ' ');
+    if (step.rounding) {
+      return expression + ' ≈ ' + result + ' (scale ' + step.rounding.precision + ', ' + step.rounding.roundingMode + ')';
+    }
+    return expression + ' = ' + result;
+  }
+  return step.operation + '(' + step.operands.map(describeTraceValue).join(', ') + ') = ' + result;
+}
+
 /**
  * 链式调用类
+ * 初始值为 Decimal 或 BigInt 时，整个链路都使用 Decimal 精确计算；为 Fraction 时使用分数精确计算
  */
 class MathFixChain {
-  constructor(value = 0) {
-    this.value = value;
+  /**
+   * @param {number|Decimal|Fraction|bigint|string} value 初始值
+   * @param {Object} options 选项
+   * @param {string} options.mode 计算模式：'number'（默认）、'decimal'（转换为 Decimal）、'fraction'（转换为 Fraction）
+   * @param {Object} options.config 链路使用的配置对象，由 MathFix.create 创建的实例传入，未指定时使用全局配置
+   * @param {boolean} options.trace 是否记录每一步运算（追踪模式），用于审计和复现计算过程
+   * @param {boolean} options.immutable 是否创建不可变链路，由 chain() 和 MathFixChain.chain() 处理，见 ImmutableMathFixChain
+   */
+  constructor(value = 0, options = {}) {
+    if (options.mode !== undefined && !CHAIN_MODES.includes(options.mode)) {
+      throw new Error('不支持的计算模式：' + options.mode + '，可选值为 ' + CHAIN_MODES.join('、'));
+    }
+    this.config = options.config || null;
+    if (options.mode === 'fraction') {
+      this.value = Fraction.from(value);
+    } else if (options.mode === 'decimal') {
+      this.value = Decimal.from(value);
+    } else {
+      this.value = value;
+    }
+    this.initial = this.value;
+    this.steps = options.trace ? [] : null;
   }
 
-  // 基础运算方法（支持链式调用）
-  add(num) {
-    this.value = add(this.value, num);
+  /**
+   * 在链路的配置下调用核心函数
+   * @param {Function} fn 核心函数
+   * @param {...*} args 函数参数
+   * @returns {*} 函数的返回值
+   */
+  invoke(fn, ...args) {
+    return runWithConfig(this.config, fn, ...args);
+  }
+
+  /**
+   * 以当前值为第一个参数执行一步运算，追踪模式下记录运算名称、参数、输入、结果和实际使用的舍入方式
+   * @param {string} operation 运算名称
+   * @param {Function} fn 核心函数
+   * @param {Array} args 除当前值以外的参数
+   * @param {Object} rounding 该步运算实际使用的舍入方式 { precision, roundingMode, increment }
+   * @returns {MathFixChain}
+   */
+  perform(operation, fn, args, rounding) {
+    const input = this.value;
+    this.value = this.invoke(fn, input, ...args);
+    if (this.steps) {
+      // 去掉末尾未传的可选参数
+      const operands = args.slice();
+      while (operands.length > 0 && operands[operands.length - 1] === undefined) {
+        operands.pop();
+      }
+      const step = { operation, operands, input, result: this.value };
+      if (rounding) {
+        step.rounding = rounding;
+      }
+      this.steps.push(step);
+    }
     return this;
   }
 
+  /**
+   * 解析舍入选项在当前配置下实际使用的精度和舍入模式
+   * @param {number} precision 小数位数，未指定时使用配置中的默认精度
+   * @param {string|Object} options 舍入模式字符串或选项对象
+   * @returns {Object|undefined} 非追踪模式下返回 undefined
+   */
+  resolveRounding(precision, options) {
+    if (!this.steps) {
+      return undefined;
+    }
+    const config = this.invoke(getConfig);
+    const opts = typeof options === 'string' ? { roundingMode: options } : (options || {});
+    const rounding = {
+      precision: precision !== undefined ? precision : config.defaultPrecision,
+      roundingMode: opts.roundingMode !== undefined ? opts.roundingMode : config.roundingMode
+    };
+    if (opts.increment !== undefined) {
+      rounding.increment = opts.increment;
+    }
+    return rounding;
+  }
+
+  // 基础运算方法（支持链式调用）
+  // 可以一次加上多个数，如 add(0.2, 0.3)
+  add(num, ...rest) {
+    return this.perform('add', add, [num, ...rest]);
+  }
+
   subtract(num) {
-    this.value = subtract(this.value, num);
-    return this;
+    return this.perform('subtract', subtract, [num]);
   }
 
-  multiply(num) {
-    this.value = multiply(this.value, num);
-    return this;
+  multiply(num, ...rest) {
+    return this.perform('multiply', multiply, [num, ...rest]);
   }
 
-  divide(num) {
-    this.value = divide(this.value, num);
-    return this;
+  divide(num, options) {
+    const rounding = options && options.scale !== undefined ? this.resolveRounding(options.scale, options) : undefined;
+    return this.perform('divide', divide, [num, options], rounding);
+  }
+
+  intDivide(num, options) {
+    return this.perform('intDivide', intDivide, [num, options]);
+  }
+
+  mod(num, options) {
+    return this.perform('mod', mod, [num, options]);
   }
 
   power(exponent) {
-    this.value = power(this.value, exponent);
-    return this;
+    return this.perform('power', power, [exponent]);
   }
 
   sqrt(root = 2) {
-    this.value = sqrt(this.value, root);
-    return this;
+    return this.perform('sqrt', sqrt, [root]);
   }
 
   abs() {
-    this.value = abs(this.value);
-    return this;
+    return this.perform('abs', abs, []);
   }
 
   ceil() {
-    this.value = ceil(this.value);
-    return this;
+    return this.perform('ceil', ceil, [], this.steps ? { precision: 0, roundingMode: 'ceiling' } : undefined);
   }
 
   floor() {
-    this.value = floor(this.value);
-    return this;
+    return this.perform('floor', floor, [], this.steps ? { precision: 0, roundingMode: 'floor' } : undefined);
   }
 
-  round(precision = 2) {
-    this.value = round(this.value, precision);
-    return this;
+  round(precision = 2, options) {
+    // 追踪模式下记录实际使用的舍入模式
+    const rounding = this.resolveRounding(precision, options);
+    return this.perform('round', round, [precision, options], rounding);
+  }
+
+  negate() {
+    return this.perform('negate', negate, []);
+  }
+
+  // 当前值的百分比，如 chain(200).percentage(15) 为 30
+  percentage(percent) {
+    return this.perform('percentage', percentage, [percent]);
+  }
+
+  // 以当前值为原值，计算到新值的百分比增长率
+  percentageChange(newValue) {
+    return this.perform('percentageChange', percentageChange, [newValue]);
+  }
+
+  // 当前值与参数中的最小值、最大值
+  min(...values) {
+    return this.perform('min', (value, ...others) => min([value, ...others]), values);
+  }
+
+  max(...values) {
+    return this.perform('max', (value, ...others) => max([value, ...others]), values);
+  }
+
+  clamp(minValue, maxValue) {
+    return this.perform('clamp', clamp, [minValue, maxValue]);
+  }
+
+  // 以当前值为本金计算复利
+  compoundInterest(rate, time, compound) {
+    return this.perform('compoundInterest', compoundInterest, [rate, time, compound]);
   }
 
   format(options) {
-    const result = format(this.value, options);
     // 如果format返回字符串，保持为字符串；如果返回数字，保持为数字
-    this.value = result;
+    const opts = options || {};
+    const rounding = opts.precision !== undefined || opts.roundingIncrement !== undefined
+      ? this.resolveRounding(opts.precision, { roundingMode: opts.roundingMode, increment: opts.roundingIncrement })
+      : undefined;
+    this.perform('format', format, [options], rounding);
+    // 值可能已替换为格式化字符串，见 toNumber
+    this.formatted = true;
     return this;
   }
 
+  /**
+   * 获取追踪记录，值中的 Decimal、Fraction 转换为字符串，可直接序列化为 JSON
+   * @returns {{initial: number|string, steps: Array<Object>, result: number|string}}
+   */
+  getTrace() {
+    if (!this.steps) {
+      throw new Error('未开启追踪模式，请使用 chain(value, { trace: true })');
+    }
+    return {
+      initial: toTraceValue(this.initial),
+      steps: this.steps.map(step => {
+        const item = {
+          operation: step.operation,
+          operands: step.operands.map(toTraceValue),
+          input: toTraceValue(step.input),
+          result: toTraceValue(step.result)
+        };
+        if (step.rounding) {
+          item.rounding = { ...step.rounding };
+        }
+        return item;
+      }),
+      result: toTraceValue(this.value)
+    };
+  }
+
+  /**
+   * 以易读的文字说明计算过程，如 "100 × 1.13 = 113 → round(2) = 113"
+   * @returns {string}
+   */
+  explain() {
+    if (!this.steps) {
+      throw new Error('未开启追踪模式，请使用 chain(value, { trace: true })');
+    }
+    if (this.steps.length === 0) {
+      return describeTraceValue(this.initial);
+    }
+    const parts = this.steps.map(explainStep);
+    // 第一步为函数形式时先写出初始值
+    if (!TRACE_OPERATORS[this.steps[0].operation]) {
+      parts.unshift(describeTraceValue(this.initial));
+    }
+    return parts.join(' → ');
+  }
+
+  toJSON() {
+    return this.steps ? this.getTrace() : toTraceValue(this.value);
+  }
+
+  /**
+   * 按比例分配当前值，结束链式调用
+   * @param {Array<number|Decimal|Fraction|bigint>} ratios 分配比例
+   * @param {Object} options 选项，见 allocate
+   * @returns {Array<number|Decimal|Fraction>} 各份金额，之和严格等于当前值
+   */
+  allocate(ratios, options) {
+    return this.invoke(allocate, this.value, ratios, options);
+  }
+
+  /**
+   * 将当前值平均分成 n 份，结束链式调用
+   * @param {number} n 份数
+   * @param {Object} options 选项，见 allocate
+   * @returns {Array<number|Decimal|Fraction>} 各份金额，之和严格等于当前值
+   */
+  splitEvenly(n, options) {
+    return this.invoke(splitEvenly, this.value, n, options);
+  }
+
+  /**
+   * 精确整除与取余，结束链式调用
+   * @param {number|Decimal|Fraction|bigint} num 除数
+   * @param {Object} options 选项，见 divmod
+   * @returns {Array<number|Decimal|Fraction>} [商, 余数]
+   */
+  divmod(num, options) {
+    return this.invoke(divmod, this.value, num, options);
+  }
+
+  /**
+   * 当前值除以除数的循环小数表示，结束链式调用
+   * @param {number|Decimal|Fraction|bigint} num 除数，默认为1
+   * @param {Object} options 选项，见 toRepeatingDecimal
+   * @returns {string}
+   */
+  toRepeatingDecimal(num = 1, options) {
+    return this.invoke(toRepeatingDecimal, this.value, num, options);
+  }
+
+  // 比较方法（结束链式调用）
+  compare(num) {
+    return this.invoke(compare, this.value, num);
+  }
+
+  equals(num) {
+    return this.compare(num) === 0;
+  }
+
+  lessThan(num) {
+    return this.compare(num) < 0;
+  }
+
+  lessThanOrEqual(num) {
+    return this.compare(num) <= 0;
+  }
+
+  greaterThan(num) {
+    return this.compare(num) > 0;
+  }
+
+  greaterThanOrEqual(num) {
+    return this.compare(num) >= 0;
+  }
+
   // 获取最终结果
   valueOf() {
     return this.value;
   }
 
+  /**
+   * 以 Number 返回结果，Decimal 和 Fraction 取最接近的值
+   * format() 把值替换为格式化字符串后无法再转换，会抛出错误
+   * @returns {number}
+   */
+  toNumber() {
+    if (this.formatted && typeof this.value === 'string') {
+      throw new Error('链式调用的值已被 format() 替换为格式化字符串 "' + this.value + '"，无法转换为 Number，请在 format() 之前调用 toNumber()，或使用 toFormatted() 获取格式化字符串');
+    }
+    return typeof this.value === 'object' && this.value !== null ? this.value.toNumber() : Number(this.value);
+  }
+
   toString() {
     return String(this.value);
   }
 
+  /**
+   * 格式化结果为字符串，结束链式调用，不改变链路的值
+   * @param {Object} options 格式化选项，见 format
+   * @returns {string}
+   */
+  toFormatted(options) {
+    return String(this.invoke(format, this.value, options));
+  }
+
   // 静态方法：创建新的链式调用实例
-  static chain(value = 0) {
-    return new MathFixChain(value);
+  static chain(value = 0, options = {}) {
+    return options.immutable ? new ImmutableMathFixChain(value, options) : new MathFixChain(value, options);
+  }
+}
+
+/**
+ * 不可变链式调用类
+ * 每个运算方法都返回新的实例而不修改原实例，同一段链路可以安全地分支复用
+ */
+class ImmutableMathFixChain extends MathFixChain {
+  constructor(value = 0, options = {}) {
+    super(value, options);
+    Object.freeze(this);
+  }
+
+  /**
+   * 在当前实例的副本上执行一步运算，追踪记录随副本复制
+   * @param {string} operation 运算名称
+   * @param {Function} fn 核心函数
+   * @param {Array} args 除当前值以外的参数
+   * @param {Object} rounding 该步运算实际使用的舍入方式
+   * @returns {ImmutableMathFixChain} 新的实例
+   */
+  perform(operation, fn, args, rounding) {
+    const next = Object.create(ImmutableMathFixChain.prototype);
+    next.config = this.config;
+    next.value = this.value;
+    next.initial = this.initial;
+    next.steps = this.steps ? this.steps.slice() : null;
+    super.perform.call(next, operation, fn, args, rounding);
+    return Object.freeze(next);
+  }
+
+  /**
+   * 不可变链路不支持将值替换为字符串，请使用 toFormatted()
+   */
+  format() {
+    throw new Error('不可变链式调用不支持 format()，请使用 toFormatted() 获取格式化字符串');
+  }
+}
+
+// 公式可以使用的链式运算，值为前几个参数可以使用变量名（Infinity 表示全部参数）
+const FORMULA_OPERATIONS = {
+  add: Infinity,
+  subtract: 1,
+  multiply: Infinity,
+  divide: 1,
+  intDivide: 1,
+  mod: 1,
+  power: 1,
+  sqrt: 1,
+  abs: 0,
+  ceil: 0,
+  floor: 0,
+  round: 1,
+  negate: 0,
+  percentage: 1,
+  percentageChange: 1,
+  min: Infinity,
+  max: Infinity,
+  clamp: 2,
+  compoundInterest: 3,
+  format: 0
+};
+
+/**
+ * 记录公式步骤的构建器，方法与 MathFixChain 相同，字符串参数表示变量
+ */
+class FormulaBuilder {
+  constructor() {
+    this.steps = [];
+  }
+}
+
+Object.keys(FORMULA_OPERATIONS).forEach(operation => {
+  FormulaBuilder.prototype[operation] = function (...args) {
+    // 去掉末尾未传的可选参数
+    while (args.length > 0 && args[args.length - 1] === undefined) {
+      args.pop();
+    }
+    this.steps.push({ operation, args });
+    return this;
+  };
+});
+
+/**
+ * 读取并校验变量
+ * @param {Object} variables 变量值
+ * @param {string} name 变量名
+ * @returns {number|Decimal|Fraction|bigint}
+ */
+function readFormulaVariable(variables, name) {
+  if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+    throw new Error('未定义的变量 "' + name + '"');
+  }
+  const value = variables[name];
+  if (typeof value !== 'number' && typeof value !== 'bigint' &&
+      !(value instanceof Decimal) && !(value instanceof Fraction)) {
+    throw new Error('变量 "' + name + '" 必须是数字、BigInt、Decimal 或 Fraction');
+  }
+  return value;
+}
+
+/**
+ * 将公式参数转换为 JSON 值，Decimal、Fraction 和 BigInt 保留类型
+ * @param {*} value 参数
+ * @returns {*}
+ */
+function toFormulaJSON(value) {
+  if (value instanceof Decimal) {
+    return { type: 'decimal', value: value.toString() };
+  }
+  if (value instanceof Fraction) {
+    return { type: 'fraction', value: value.toString() };
   }
+  if (typeof value === 'bigint') {
+    return { type: 'bigint', value: value.toString() };
+  }
+  return toTraceValue(value);
+}
+
+/**
+ * 还原 toFormulaJSON 转换的数值参数
+ * @param {*} value JSON 值
+ * @returns {*}
+ */
+function fromFormulaJSON(value) {
+  if (typeof value === 'object' && value !== null && typeof value.value === 'string') {
+    if (value.type === 'decimal') {
+      return Decimal.from(value.value);
+    }
+    if (value.type === 'fraction') {
+      return Fraction.from(value.value);
+    }
+    if (value.type === 'bigint') {
+      return BigInt(value.value);
+    }
+  }
+  return value;
+}
+
+/**
+ * 校验公式步骤，并预先区分变量和常量参数
+ * @param {{operation: string, args: Array}} step 步骤
+ * @param {boolean} serialized 参数是否来自 JSON
+ * @returns {{operation: string, args: Array, resolve: Function}}
+ */
+function compileFormulaStep(step, serialized) {
+  if (typeof step !== 'object' || step === null || !Object.prototype.hasOwnProperty.call(FORMULA_OPERATIONS, step.operation)) {
+    throw new Error('不支持的公式运算：' + (step && step.operation));
+  }
+  const args = step.args === undefined ? [] : step.args;
+  if (!Array.isArray(args)) {
+    throw new Error('公式步骤的参数必须是数组：' + step.operation);
+  }
+  const numericCount = FORMULA_OPERATIONS[step.operation];
+  const names = [];
+  const resolvers = args.map((arg, index) => {
+    if (index >= numericCount) {
+      return () => arg;
+    }
+    if (isIdentifier(arg)) {
+      names.push(arg);
+      return variables => readFormulaVariable(variables, arg);
+    }
+    const value = serialized ? fromFormulaJSON(arg) : arg;
+    return () => value;
+  });
+  return {
+    operation: step.operation,
+    args: args.map((arg, index) => (serialized ? arg : toFormulaJSON(arg))),
+    names,
+    resolve: variables => resolvers.map(resolver => resolver(variables))
+  };
+}
+
+/**
+ * 定义可重复使用的公式，一次定义、多次计算，并可以保存为 JSON
+ * @param {Function|Object|string} definition 构建函数，如 x => x.multiply('qty').subtract('discount').round(2)，
+ *   参数位置上的字符串表示变量；也可以是公式的 toJSON() 结果或其 JSON 字符串
+ * @param {Object} options 选项
+ * @param {string} options.input 初始值对应的变量名，默认为 'value'（来自 JSON 时默认使用 JSON 中保存的变量名）
+ * @param {string} options.mode 计算模式，同 chain 的 mode 选项
+ * @param {Object} options.config 公式使用的配置对象，由 MathFix.create 创建的实例传入，未指定时使用计算时的当前配置
+ * @returns {Function} 公式函数 f(variables)，variables 为变量对象或直接传入初始值；
+ *   f.map(rows) 批量计算，f.toJSON() 导出 { input, mode, steps }，f.variables 为用到的变量名
+ */
+function formula(definition, options = {}) {
+  let source;
+  let serialized = false;
+  if (typeof definition === 'function') {
+    const builder = new FormulaBuilder();
+    definition(builder);
+    source = { steps: builder.steps };
+  } else {
+    source = typeof definition === 'string' ? JSON.parse(definition) : definition;
+    if (typeof source !== 'object' || source === null || !Array.isArray(source.steps)) {
+      throw new Error('公式定义必须是构建函数或包含 steps 数组的 JSON');
+    }
+    serialized = true;
+  }
+
+  const input = options.input !== undefined ? options.input : source.input !== undefined ? source.input : 'value';
+  if (!isIdentifier(input)) {
+    throw new Error('公式的初始值变量名无效：' + input);
+  }
+  const mode = options.mode !== undefined ? options.mode : source.mode;
+  if (mode !== undefined && !CHAIN_MODES.includes(mode)) {
+    throw new Error('不支持的计算模式：' + mode + '，可选值为 ' + CHAIN_MODES.join('、'));
+  }
+  const config = options.config || null;
+  const steps = source.steps.map(step => compileFormulaStep(step, serialized));
+
+  const variableNames = [input];
+  steps.forEach(step => {
+    step.names.forEach(name => {
+      if (!variableNames.includes(name)) {
+        variableNames.push(name);
+      }
+    });
+  });
+
+  const run = variables => {
+    const scope = typeof variables === 'object' && variables !== null &&
+      !(variables instanceof Decimal) && !(variables instanceof Fraction)
+      ? variables
+      : { [input]: variables };
+    const result = new MathFixChain(readFormulaVariable(scope, input), { mode, config });
+    steps.forEach((step, index) => {
+      try {
+        result[step.operation](...step.resolve(scope));
+      } catch (error) {
+        throw new Error('公式第 ' + (index + 1) + ' 步 ' + step.operation + '：' + error.message);
+      }
+    });
+    return result.valueOf();
+  };
+
+  return Object.freeze(Object.assign(run, {
+    input,
+    mode,
+    variables: Object.freeze(variableNames),
+    map(rows) {
+      if (!Array.isArray(rows)) {
+        throw new Error('输入必须是数组');
+      }
+      return rows.map(row => run(row));
+    },
+    toJSON() {
+      const json = { input };
+      if (mode !== undefined) {
+        json.mode = mode;
+      }
+      json.steps = steps.map(step => ({ operation: step.operation, args: step.args.slice() }));
+      return json;
+    }
+  }));
+}
+
+// MathFix.create 创建的实例中，在实例配置下执行的函数
+const INSTANCE_FUNCTIONS = {
+  add,
+  subtract,
+  multiply,
+  divide,
+  divmod,
+  intDivide,
+  mod,
+  toRepeatingDecimal,
+  round,
+  format,
+  getDecimalPlaces,
+  power,
+  sqrt,
+  percentage,
+  percentageChange,
+  average,
+  max,
+  min,
+  sum,
+  addEach,
+  subtractEach,
+  multiplyEach,
+  divideEach,
+  sumProduct,
+  dot,
+  cumulativeSum,
+  diff,
+  abs,
+  ceil,
+  floor,
+  negate,
+  compare,
+  clamp,
+  compoundInterest,
+  allocate,
+  splitEvenly,
+  setConfig,
+  getConfig,
+  addThousandsSeparator,
+  parse,
+  toChineseNumber,
+  toChineseCapital,
+  addUnitAndFormat,
+  toFraction,
+  evaluate,
+  toWords,
+  median,
+  mode,
+  variance,
+  stdDev,
+  quantile,
+  percentile,
+  weightedAverage,
+  range,
+  histogram,
+  npv,
+  xnpv,
+  irr,
+  xirr,
+  mirr,
+  pv,
+  fv,
+  paybackPeriod,
+  discountedPaybackPeriod,
+  pmt,
+  amortizationSchedule,
+  addTax,
+  removeTax,
+  taxAmount,
+  effectiveTaxRate,
+  calculateInvoice,
+  convert,
+  formatUnit
+};
+
+/**
+ * 创建拥有独立配置的 MathFix 实例，实例之间以及实例与全局配置之间互不影响
+ * @param {Object} options 实例配置，见 setConfig；未指定的配置项取自创建时的全局配置
+ * @returns {Object} 包含全部核心函数以及 chain()、create() 的实例，实例的 setConfig/getConfig/withConfig 只作用于该实例；
+ *   实例上的 Money、money、currencyConverter 与全局共享，金额的方法和汇率换算仍使用全局配置
+ */
+function create(options = {}) {
+  const instanceConfig = createConfig(options);
+  const instance = {
+    Decimal,
+    ROUNDING_MODES,
+    Fraction,
+    Money,
+    money,
+    CURRENCIES,
+    registerCurrency,
+    getCurrency,
+    registerWordsLocale,
+    WORDS_LOCALES,
+    QUANTILE_METHODS,
+    AMORTIZATION_METHODS,
+    TAX_ROUNDING_METHODS,
+    registerUnit,
+    getUnit,
+    UNITS,
+    CurrencyConverter,
+    currencyConverter,
+    createTableRateProvider,
+    createFileRateProvider,
+    MathFixChain,
+    ImmutableMathFixChain,
+    chain: (value = 0, chainOptions = {}) => MathFixChain.chain(value, { ...chainOptions, config: instanceConfig }),
+    formula: (definition, formulaOptions = {}) => formula(definition, { ...formulaOptions, config: instanceConfig }),
+    // 临时覆盖该实例的配置，只影响该实例的函数、chain() 和 formula()
+    withConfig: (scopedOptions, fn) => withScopedConfig(instanceConfig, scopedOptions, fn),
+    // 由实例创建的新实例以该实例的配置为基础
+    create: instanceOptions => runWithConfig(instanceConfig, create, instanceOptions)
+  };
+  Object.keys(INSTANCE_FUNCTIONS).forEach(name => {
+    instance[name] = (...args) => runWithConfig(instanceConfig, INSTANCE_FUNCTIONS[name], ...args);
+  });
+  return instance;
 }
 
 // 导出所有方法和链式调用类
@@ -120,6 +909,10 @@ module.exports = {
   subtract,
   multiply,
   divide,
+  divmod,
+  intDivide,
+  mod,
+  toRepeatingDecimal,
   round,
   format,
   getDecimalPlaces,
@@ -131,20 +924,90 @@ module.exports = {
   max,
   min,
   sum,
+  addEach,
+  subtractEach,
+  multiplyEach,
+  divideEach,
+  sumProduct,
+  dot,
+  cumulativeSum,
+  diff,
   abs,
   ceil,
   floor,
+  negate,
+  compare,
+  clamp,
   compoundInterest,
+  allocate,
+  splitEvenly,
   setConfig,
   getConfig,
+  withConfig,
   addThousandsSeparator,
+  parse,
   toChineseNumber,
   toChineseCapital,
   addUnitAndFormat,
+  evaluate,
+  
+  // 高精度类型
+  Decimal,
+  ROUNDING_MODES,
+  Fraction,
+  toFraction,
+  Money,
+  money,
+  CURRENCIES,
+  registerCurrency,
+  getCurrency,
+  toWords,
+  registerWordsLocale,
+  WORDS_LOCALES,
+  median,
+  mode,
+  variance,
+  stdDev,
+  quantile,
+  percentile,
+  weightedAverage,
+  range,
+  histogram,
+  npv,
+  xnpv,
+  irr,
+  xirr,
+  mirr,
+  pv,
+  fv,
+  paybackPeriod,
+  discountedPaybackPeriod,
+  pmt,
+  amortizationSchedule,
+  addTax,
+  removeTax,
+  taxAmount,
+  effectiveTaxRate,
+  calculateInvoice,
+  convert,
+  formatUnit,
+  QUANTILE_METHODS,
+  AMORTIZATION_METHODS,
+  TAX_ROUNDING_METHODS,
+  registerUnit,
+  getUnit,
+  UNITS,
+  CurrencyConverter,
+  currencyConverter,
+  createTableRateProvider,
+  createFileRateProvider,
   
   // 链式调用
   MathFixChain,
-  chain: MathFixChain.chain
+  ImmutableMathFixChain,
+  chain: MathFixChain.chain,
+  formula,
+  create
 };
 
 // 如果在浏览器环境中，也支持全局访问
@@ -154,6 +1017,10 @@ if (typeof window !== 'undefined') {
     subtract,
     multiply,
     divide,
+    divmod,
+    intDivide,
+    mod,
+    toRepeatingDecimal,
     round,
     format,
     getDecimalPlaces,
@@ -165,17 +1032,85 @@ if (typeof window !== 'undefined') {
     max,
     min,
     sum,
+    addEach,
+    subtractEach,
+    multiplyEach,
+    divideEach,
+    sumProduct,
+    dot,
+    cumulativeSum,
+    diff,
     abs,
     ceil,
     floor,
+    negate,
+    compare,
+    clamp,
     compoundInterest,
+    allocate,
+    splitEvenly,
     setConfig,
     getConfig,
+    withConfig,
     addThousandsSeparator,
+    parse,
     toChineseNumber,
     toChineseCapital,
     addUnitAndFormat,
+    evaluate,
+    Decimal,
+    ROUNDING_MODES,
+    Fraction,
+    toFraction,
+    Money,
+    money,
+    CURRENCIES,
+    registerCurrency,
+    getCurrency,
+    toWords,
+    registerWordsLocale,
+    WORDS_LOCALES,
+    median,
+    mode,
+    variance,
+    stdDev,
+    quantile,
+    percentile,
+    weightedAverage,
+    range,
+    histogram,
+    npv,
+    xnpv,
+    irr,
+    xirr,
+    mirr,
+    pv,
+    fv,
+    paybackPeriod,
+    discountedPaybackPeriod,
+    pmt,
+    amortizationSchedule,
+    addTax,
+    removeTax,
+    taxAmount,
+    effectiveTaxRate,
+    calculateInvoice,
+    convert,
+    formatUnit,
+    QUANTILE_METHODS,
+    AMORTIZATION_METHODS,
+    TAX_ROUNDING_METHODS,
+    registerUnit,
+    getUnit,
+    UNITS,
+    CurrencyConverter,
+    currencyConverter,
+    createTableRateProvider,
+    createFileRateProvider,
     MathFixChain,
-    chain: MathFixChain.chain
+    ImmutableMathFixChain,
+    chain: MathFixChain.chain,
+    formula,
+    create
   };
 }
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * MathFix 测试入口
+ * 运行 test 目录下的全部 *.test.js，任一用例失败时以非零状态码退出
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setFile, run } = require('./test/harness.js');
+
+const dir = path.join(__dirname, 'test');
+fs.readdirSync(dir)
+  .filter(name => name.endsWith('.test.js'))
+  .sort()
+  .forEach(name => {
+    setFile(name);
+    require(path.join(dir, name));
+  });
+
+run().then(failed => {
+  process.exitCode = failed > 0 ? 1 : 0;
+});
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+const total = values => values.reduce((sum, value) => MathFix.add(sum, value), 0);
+
+test('allocate 使用最大余数法，各份之和等于总额', () => {
+  assert.deepStrictEqual(MathFix.allocate(100, [1, 1, 1]), [33.34, 33.33, 33.33]);
+  assert.deepStrictEqual(MathFix.allocate(100, [1, 1, 1], { precision: 0 }), [34, 33, 33]);
+  // 余数相同时下标小的优先
+  assert.deepStrictEqual(MathFix.allocate(0.05, [3, 7]), [0.02, 0.03]);
+  assert.deepStrictEqual(MathFix.allocate(1, [0, 1]), [0, 1]);
+  assert.strictEqual(total(MathFix.allocate(99.99, [2, 3, 5, 7])), 99.99);
+});
+
+test('splitEvenly 平均分配，支持负数与 Decimal', () => {
+  assert.deepStrictEqual(MathFix.splitEvenly(10, 3), [3.34, 3.33, 3.33]);
+  assert.deepStrictEqual(MathFix.splitEvenly(-10, 3), [-3.34, -3.33, -3.33]);
+  assert.deepStrictEqual(MathFix.allocate(new MathFix.Decimal('1'), [1, 2]).map(String), ['0.33', '0.67']);
+  assert.deepStrictEqual(MathFix.chain(100).allocate([1, 1, 1]), [33.34, 33.33, 33.33]);
+});
+
+test('allocate 参数校验', () => {
+  assert.throws(() => MathFix.allocate(1, []), /分配比例必须是非空数组/);
+  assert.throws(() => MathFix.allocate(1, [0, 0]), /分配比例之和不能为0/);
+  assert.throws(() => MathFix.allocate(1, [-1, 2]), /分配比例不能为负数/);
+  assert.throws(() => MathFix.splitEvenly(1, 0), /份数必须是正整数/);
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+function sumOf(schedule, key) {
+  return schedule.reduce((total, row) => MathFix.add(total, row[key]), 0);
+}
+
+test('等额本息：最后一期还清剩余本金', () => {
+  const result = MathFix.amortizationSchedule({ principal: 1200, annualRate: 0.12, periods: 3 });
+  assert.deepStrictEqual(result.schedule, [
+    { period: 1, payment: 408.03, principal: 396.03, interest: 12, prepayment: 0, balance: 803.97 },
+    { period: 2, payment: 408.03, principal: 399.99, interest: 8.04, prepayment: 0, balance: 403.98 },
+    { period: 3, payment: 408.02, principal: 403.98, interest: 4.04, prepayment: 0, balance: 0 }
+  ]);
+  assert.strictEqual(result.totalPayment, 1224.08);
+  assert.strictEqual(result.totalInterest, 24.08);
+  assert.strictEqual(result.totalPrepayment, 0);
+});
+
+test('等额本息与银行房贷计算器一致', () => {
+  const { schedule, totalInterest } = MathFix.amortizationSchedule({ principal: 1000000, annualRate: 0.049, periods: 360 });
+  assert.strictEqual(schedule.length, 360);
+  assert.strictEqual(schedule[0].payment, 5307.27);
+  assert.strictEqual(schedule[0].interest, 4083.33);
+  assert.strictEqual(schedule[359].balance, 0);
+  assert.strictEqual(sumOf(schedule, 'principal'), 1000000);
+  assert.strictEqual(totalInterest, 910615.12);
+});
+
+test('等额本金与零利率', () => {
+  const result = MathFix.amortizationSchedule({ principal: 1200, annualRate: 0.12, periods: 3, method: 'equal-principal' });
+  assert.deepStrictEqual(result.schedule.map(row => row.payment), [412, 408, 404]);
+  assert.strictEqual(result.totalInterest, 24);
+  const free = MathFix.amortizationSchedule({ principal: 1200, annualRate: 0, periods: 12 });
+  assert.strictEqual(free.schedule[0].payment, 100);
+  assert.strictEqual(free.totalInterest, 0);
+});
+
+test('提前还款缩短期限或减少每期还款', () => {
+  const prepayments = [{ period: 6, amount: 3000, strategy: 'reduce-term' }];
+  const shorter = MathFix.amortizationSchedule({ principal: 12000, annualRate: 0.12, periods: 12, prepayments });
+  assert.strictEqual(shorter.schedule.length, 10);
+  assert.strictEqual(shorter.schedule[5].prepayment, 3000);
+  assert.strictEqual(shorter.schedule[6].payment, 1066.19);
+  assert.strictEqual(shorter.totalPrepayment, 3000);
+  assert.strictEqual(sumOf(shorter.schedule, 'principal') + 3000, 12000);
+
+  const smaller = MathFix.amortizationSchedule({ principal: 12000, annualRate: 0.12, periods: 12, prepayments: [{ period: 6, amount: 3000 }] });
+  assert.strictEqual(smaller.schedule.length, 12);
+  assert.strictEqual(smaller.schedule[6].payment, 548.53);
+});
+
+test('高精度输入返回 Decimal，非法参数报错', () => {
+  const result = MathFix.amortizationSchedule({ principal: new MathFix.Decimal(1200), annualRate: '0.12', periods: 3 });
+  assert.ok(result.totalInterest instanceof MathFix.Decimal);
+  assert.strictEqual(result.totalInterest.toString(), '24.08');
+  assert.throws(() => MathFix.amortizationSchedule({ principal: 1, annualRate: 0.1, periods: 0 }), /还款期数必须是正整数/);
+  assert.throws(() => MathFix.amortizationSchedule({ principal: 1, annualRate: 0.1, periods: 2, method: 'x' }), /不支持的还款方式：x/);
+  assert.throws(() => MathFix.amortizationSchedule({ principal: 0, annualRate: 0.1, periods: 2 }), /贷款本金必须大于0/);
+  assert.throws(() => MathFix.amortizationSchedule({ principal: 1, annualRate: -0.1, periods: 2 }), /年利率不能为负数/);
+  assert.throws(() => MathFix.amortizationSchedule({ principal: 100, annualRate: 0.1, periods: 2, prepayments: [{ period: 5, amount: 1 }] }), /提前还款的期数/);
+});
+
+test('pmt 与 Excel 一致', () => {
+  const payment = MathFix.pmt(0.05 / 12, 360, 200000);
+  assert.ok(Math.abs(payment - -1073.643246024278) < 1e-9);
+  assert.strictEqual(MathFix.pmt(0, 12, 1200), -100);
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('链式调用的 add、multiply 接受多个参数并全部记录在追踪中', () => {
+  const result = MathFix.chain(0.1, { trace: true }).add(0.2, 0.3).multiply(2, 5);
+  assert.strictEqual(result.valueOf(), 6);
+  assert.deepStrictEqual(result.getTrace().steps.map(step => step.operands), [[0.2, 0.3], [2, 5]]);
+  assert.strictEqual(result.explain(), '0.1 + 0.2 + 0.3 = 0.6 → 0.6 × 2 × 5 = 6');
+
+  const immutable = MathFix.chain(0.1, { immutable: true, trace: true }).add(0.2, 0.3);
+  assert.strictEqual(immutable.valueOf(), 0.6);
+  assert.strictEqual(immutable.explain(), '0.1 + 0.2 + 0.3 = 0.6');
+
+  const total = MathFix.formula(x => x.add('a', 'b').multiply(2, 'k'));
+  assert.strictEqual(total({ value: 0.1, a: 0.2, b: 0.3, k: 10 }), 12);
+  assert.deepStrictEqual(total.variables, ['value', 'a', 'b', 'k']);
+});
+
+test('add、multiply 接受任意多个参数', () => {
+  assert.strictEqual(MathFix.add(0.1, 0.2, 0.3), 0.6);
+  assert.strictEqual(MathFix.multiply(0.1, 0.2, 10), 0.2);
+  assert.strictEqual(MathFix.add(new MathFix.Decimal('0.1'), 0.2, 0.3).toString(), '0.6');
+});
+
+test('add、multiply 只传一个参数时抛出明确的错误', () => {
+  assert.throws(() => MathFix.add(0.1), /add 至少需要两个加数，计算数组的和请使用 sum\(\)/);
+  assert.throws(() => MathFix.add([0.1, 0.2]), /请使用 sum\(\)/);
+  assert.throws(() => MathFix.multiply(3), /multiply 至少需要两个乘数/);
+  assert.strictEqual(MathFix.add(0.1, 0.2), 0.3);
+});
+
+test('逐元素运算支持数组与数组、数组与标量', () => {
+  assert.deepStrictEqual(MathFix.addEach([0.1, 0.2], [0.2, 0.1]), [0.3, 0.3]);
+  assert.deepStrictEqual(MathFix.addEach([0.1, 0.2], 0.2), [0.3, 0.4]);
+  assert.deepStrictEqual(MathFix.subtractEach(1, [0.1, 0.3]), [0.9, 0.7]);
+  assert.deepStrictEqual(MathFix.multiplyEach([0.1, 0.2], 3), [0.3, 0.6]);
+  assert.deepStrictEqual(MathFix.divideEach([1, 2], 3, { scale: 2 }), [0.33, 0.67]);
+  assert.deepStrictEqual(MathFix.divideEach([1, 2], [4, 8]), [0.25, 0.25]);
+  assert.strictEqual(MathFix.addEach([new MathFix.Decimal('0.1')], [1])[0].toString(), '1.1');
+  assert.throws(() => MathFix.addEach(1, 2), /至少有一个参数必须是数组/);
+  assert.throws(() => MathFix.addEach([1, 2], [1]), /数组长度不一致：2 与 1/);
+  assert.throws(() => MathFix.divideEach([1], [0]), /除数不能为0/);
+});
+
+test('sumProduct、dot、cumulativeSum 与 diff', () => {
+  assert.strictEqual(MathFix.sumProduct([0.1, 0.2], [3, 3]), 0.9);
+  assert.strictEqual(MathFix.sumProduct([1, 2], [3, 4], [5, 6]), 63);
+  assert.strictEqual(MathFix.dot([0.1, 0.2], [0.3, 0.4]), 0.11);
+  assert.deepStrictEqual(MathFix.cumulativeSum([0.1, 0.2, 0.3]), [0.1, 0.3, 0.6]);
+  assert.deepStrictEqual(MathFix.cumulativeSum([]), []);
+  assert.deepStrictEqual(MathFix.diff([0.3, 0.1, 0.4]), [-0.2, 0.3]);
+  assert.deepStrictEqual(MathFix.diff([1]), []);
+  assert.throws(() => MathFix.sumProduct(), /至少需要一个数组/);
+  assert.throws(() => MathFix.dot([1], 1), /点积的参数必须是两个数组/);
+  assert.throws(() => MathFix.diff('x'), /输入必须是数组/);
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('toChineseCapital 对负数按带符号的值舍入', () => {
+  assert.strictEqual(MathFix.toChineseCapital(-1.005, { roundingMode: 'floor' }), '负壹元零壹分');
+  assert.strictEqual(MathFix.toChineseCapital(-1.005, { roundingMode: 'ceiling' }), '负壹元整');
+  assert.strictEqual(MathFix.toChineseCapital(-1.005, { roundingMode: 'half-up' }), '负壹元整');
+  assert.strictEqual(MathFix.toChineseCapital(-1.005, { roundingMode: 'half-down' }), '负壹元零壹分');
+  assert.strictEqual(MathFix.toChineseCapital(1.005, { roundingMode: 'floor' }), '壹元整');
+  assert.strictEqual(MathFix.toChineseCapital(-0.001), '零元整');
+});
+
+test('toChineseCapital 金额读法与零的处理', () => {
+  assert.strictEqual(MathFix.toChineseCapital(10203.07), '壹万零贰佰零叁元零柒分');
+  assert.strictEqual(MathFix.toChineseCapital(1234.56), '壹仟贰佰叁拾肆元伍角陆分');
+  assert.strictEqual(MathFix.toChineseCapital(100), '壹佰元整');
+  assert.strictEqual(MathFix.toChineseCapital(0), '零元整');
+});
+
+test('toChineseCapital 支持兆、京范围的字符串金额', () => {
+  assert.strictEqual(MathFix.toChineseCapital(1e12), '壹兆元整');
+  assert.strictEqual(
+    MathFix.toChineseCapital('12345678901234567.89'),
+    '壹京贰仟叁佰肆拾伍兆陆仟柒佰捌拾玖亿零壹佰贰拾叁万肆仟伍佰陆拾柒元捌角玖分'
+  );
+});
+
+test('toChineseCapital 舍入多余小数', () => {
+  assert.strictEqual(MathFix.toChineseCapital(1.005), '壹元零壹分');
+  assert.strictEqual(MathFix.toChineseCapital(1.015, { roundingMode: 'half-even' }), '壹元零贰分');
+  assert.strictEqual(MathFix.toChineseCapital(1.999), '贰元整');
+});
+
+test('toChineseCapital 的厘、圆/正写法和非金额模式', () => {
+  assert.strictEqual(MathFix.toChineseCapital(1.2345, { li: true }), '壹元贰角叁分伍厘');
+  assert.strictEqual(MathFix.toChineseCapital(100, { yuan: '圆', zheng: '正' }), '壹佰圆正');
+  assert.strictEqual(MathFix.toChineseCapital(1230, { currency: false }), '壹仟贰佰叁拾');
+  assert.strictEqual(MathFix.toChineseCapital(12.05, { currency: false }), '壹拾贰点零伍');
+});
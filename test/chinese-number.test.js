@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('toChineseNumber 按万进制分节处理零', () => {
+  assert.strictEqual(MathFix.toChineseNumber(0), '零');
+  assert.strictEqual(MathFix.toChineseNumber(105), '一百零五');
+  assert.strictEqual(MathFix.toChineseNumber(10001), '一万零一');
+  assert.strictEqual(MathFix.toChineseNumber(100010001), '一亿零一万零一');
+  assert.strictEqual(MathFix.toChineseNumber(12345678), '一千二百三十四万五千六百七十八');
+  assert.strictEqual(MathFix.toChineseNumber(-3.14), '负三点一四');
+});
+
+test('toChineseNumber 支持10位以上整数、字符串和 BigInt', () => {
+  assert.strictEqual(MathFix.toChineseNumber(1234567890123), '一兆二千三百四十五亿六千七百八十九万零一百二十三');
+  assert.strictEqual(MathFix.toChineseNumber(BigInt('10000000000000000')), '一京');
+  assert.strictEqual(MathFix.toChineseNumber('1,234'), '一千二百三十四');
+});
+
+test('toChineseNumber 口语形式与繁体字', () => {
+  assert.strictEqual(MathFix.toChineseNumber(12), '一十二');
+  assert.strictEqual(MathFix.toChineseNumber(12, { colloquial: true }), '十二');
+  assert.strictEqual(MathFix.toChineseNumber(123456789, { traditional: true }), '一億二千三百四十五萬六千七百八十九');
+});
+
+test('toChineseNumber 的 CommonJS 与 ES Module 输出一致', async () => {
+  const esm = await import('../mathfix.mjs');
+  [0.5, -10.05, 1234567.89, 100010001].forEach(value => {
+    assert.strictEqual(esm.toChineseNumber(value), MathFix.toChineseNumber(value));
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+const { Fraction, currencyConverter, createTableRateProvider } = MathFix;
+
+function tableConverter() {
+  return currencyConverter({
+    provider: createTableRateProvider({ base: 'USD', rates: { CNY: '7.1', EUR: '0.92', JPY: '150.5' } })
+  });
+}
+
+test('convert 返回精确的汇率，不随金额类型截断', async () => {
+  const converter = tableConverter();
+  const result = await converter.convert(100, 'CNY', 'USD');
+  assert.strictEqual(result.amount, 14.08);
+  assert.ok(result.rate instanceof Fraction);
+  assert.strictEqual(result.rate.toString(), '10/71');
+  const decimal = await converter.convert('100', 'CNY', 'EUR');
+  assert.strictEqual(decimal.rate.toString(), '46/355');
+  assert.strictEqual(decimal.amount.toString(), '12.96');
+});
+
+test('getRate 依次查找直接、反向和交叉汇率', async () => {
+  const converter = tableConverter();
+  assert.strictEqual((await converter.getRate('USD', 'CNY')).toString(), '71/10');
+  assert.strictEqual((await converter.getRate('CNY', 'JPY')).toString(), '1505/71');
+  assert.strictEqual((await converter.getRate('EUR', 'EUR')).toString(), '1');
+  await assert.rejects(converter.getRate('USD', 'GBP'), /无法获取汇率：USD → GBP/);
+
+  const callback = currencyConverter({
+    provider: async (from, to) => (from === 'EUR' && to === 'GBP' ? '0.85' : undefined),
+    base: 'EUR'
+  });
+  assert.strictEqual((await callback.getRate('GBP', 'EUR')).toString(), '20/17');
+});
+
+test('convert 按目标币种的最小货币单位舍入', async () => {
+  const converter = tableConverter();
+  const yen = await converter.convert(1000, 'CNY', 'JPY');
+  assert.strictEqual(yen.amount, 21197);
+  assert.strictEqual(MathFix.format(yen.amount, { ...yen, thousandsSeparator: true }), '¥21,197');
+  const euro = await converter.convert(10, 'USD', 'EUR');
+  assert.strictEqual(MathFix.money(euro.amount, euro.currency).format(), '€9.20');
+  assert.strictEqual((await converter.convert(1, 'USD', 'CNY', { roundingMode: 'floor' })).amount, 7.1);
+  assert.strictEqual((await converter.convert(Fraction.from(1), 'CNY', 'USD')).amount.toString(), '7/50');
+  await assert.rejects(converter.convert(1, 'USD', 'XXX'), /不支持的币种：XXX/);
+});
+
+test('createFileRateProvider 读取、缓存并重新读取 JSON 文件', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const file = path.join(os.tmpdir(), 'mathfix-rates-' + process.pid + '.json');
+  fs.writeFileSync(file, JSON.stringify({ base: 'USD', rates: { CNY: '7.1' } }));
+  try {
+    const provider = MathFix.createFileRateProvider(file);
+    const converter = currencyConverter({ provider });
+    assert.strictEqual((await converter.convert(100, 'USD', 'CNY')).amount, 710);
+    assert.strictEqual(provider.base, 'USD');
+
+    fs.writeFileSync(file, JSON.stringify({ base: 'USD', rates: { CNY: '7.2' } }));
+    assert.strictEqual((await converter.convert(100, 'USD', 'CNY')).amount, 710);
+    await provider.reload();
+    assert.strictEqual((await converter.convert(100, 'USD', 'CNY')).amount, 720);
+
+    fs.writeFileSync(file, '{');
+    await assert.rejects(provider.reload(), /汇率文件不是有效的 JSON/);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('汇率来源与汇率表的参数检查', () => {
+  assert.throws(() => currencyConverter({ provider: 1 }), /汇率来源必须是函数或包含 getRate 方法的对象/);
+  assert.throws(() => createTableRateProvider({ rates: {} }), /汇率表必须指定基准币种 base/);
+  assert.throws(() => createTableRateProvider({ base: 'USD', rates: { CNY: 0 } }), /汇率必须大于0：USD → CNY/);
+  assert.throws(() => MathFix.createFileRateProvider(''), /汇率文件路径必须是非空字符串/);
+});
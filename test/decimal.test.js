@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+const { Decimal } = MathFix;
+
+test('Decimal 支持字符串、数字、BigInt 和科学计数法输入', () => {
+  assert.strictEqual(new Decimal('12345678901234567890.123456789').toString(), '12345678901234567890.123456789');
+  assert.strictEqual(new Decimal(0.1).toString(), '0.1');
+  assert.strictEqual(new Decimal(BigInt('9007199254740993')).toString(), '9007199254740993');
+  assert.strictEqual(new Decimal('1.5e-10').toString(), '0.00000000015');
+  assert.strictEqual(new Decimal('-2.50').toString(), '-2.5');
+});
+
+test('Decimal 加减乘运算精确', () => {
+  assert.strictEqual(new Decimal('0.1').add('0.2').toString(), '0.3');
+  assert.strictEqual(new Decimal('9007199254740993').add(2).toString(), '9007199254740995');
+  assert.strictEqual(new Decimal('1').subtract('0.9').toString(), '0.1');
+  assert.strictEqual(new Decimal('1.1').multiply('1.1').toString(), '1.21');
+});
+
+test('Decimal 除法：有限小数精确，否则保留20位小数', () => {
+  assert.strictEqual(new Decimal(1).divide(8).toString(), '0.125');
+  assert.strictEqual(new Decimal(1).divide(3).toString(), '0.33333333333333333333');
+  assert.strictEqual(new Decimal(2).divide(3, { scale: 2 }).toString(), '0.67');
+  assert.throws(() => new Decimal(1).divide(0), /除数不能为0/);
+});
+
+test('Decimal 比较、幂与开方', () => {
+  assert.ok(new Decimal('0.3').equals(new Decimal('0.1').add('0.2')));
+  assert.ok(new Decimal('-1').lessThan(0));
+  assert.strictEqual(new Decimal('0.1').compare('0.10'), 0);
+  assert.strictEqual(new Decimal('1.1').pow(3).toString(), '1.331');
+  assert.strictEqual(new Decimal(2).sqrt(10).toString(), '1.4142135624');
+  assert.strictEqual(new Decimal('2.345').toFixed(2), '2.35');
+  assert.strictEqual(JSON.stringify({ value: new Decimal('1.50') }), '{"value":"1.5"}');
+});
+
+test('核心函数与链式调用接受 Decimal 和 BigInt 时返回 Decimal', () => {
+  const sum = MathFix.add(new Decimal('0.1'), 0.2);
+  assert.ok(sum instanceof Decimal);
+  assert.strictEqual(sum.toString(), '0.3');
+  assert.strictEqual(MathFix.multiply(BigInt(3), 0.1).toString(), '0.3');
+  const result = MathFix.chain(new Decimal('12345678901234567890')).add(1).valueOf();
+  assert.ok(result instanceof Decimal);
+  assert.strictEqual(result.toString(), '12345678901234567891');
+});
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('divide 精确计算并支持 scale 与舍入模式', () => {
+  assert.strictEqual(MathFix.divide(0.3, 0.1), 3);
+  assert.strictEqual(MathFix.divide(2, 3, { scale: 2 }), 0.67);
+  assert.strictEqual(MathFix.divide(2, 3, { scale: 2, roundingMode: 'down' }), 0.66);
+  assert.strictEqual(MathFix.divide(new MathFix.Decimal(1), 3, { scale: 5 }).toString(), '0.33333');
+  assert.throws(() => MathFix.divide(1, 0), /除数不能为0/);
+});
+
+test('divmod、intDivide 与 mod', () => {
+  assert.deepStrictEqual(MathFix.divmod(7, 2), [3, 1]);
+  assert.deepStrictEqual(MathFix.divmod(-7, 2), [-3, -1]);
+  assert.deepStrictEqual(MathFix.divmod(-7, 2, { roundingMode: 'floor' }), [-4, 1]);
+  assert.strictEqual(MathFix.mod(0.3, 0.1), 0);
+  assert.strictEqual(MathFix.intDivide(0.7, 0.1), 7);
+  assert.strictEqual(MathFix.mod(-7, 2, { roundingMode: 'floor' }), 1);
+  assert.throws(() => MathFix.mod(1, 0), /除数不能为0/);
+});
+
+test('toRepeatingDecimal 输出循环小数', () => {
+  assert.strictEqual(MathFix.toRepeatingDecimal(1, 3), '0.(3)');
+  assert.strictEqual(MathFix.toRepeatingDecimal(1, 7), '0.(142857)');
+  assert.strictEqual(MathFix.toRepeatingDecimal(1, 6), '0.1(6)');
+  assert.strictEqual(MathFix.toRepeatingDecimal(1, 4), '0.25');
+  assert.throws(() => MathFix.toRepeatingDecimal(1, 97, { maxDigits: 5 }), /循环节过长/);
+});
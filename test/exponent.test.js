@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('getDecimalPlaces 识别科学计数法', () => {
+  assert.strictEqual(MathFix.getDecimalPlaces(1e-7), 7);
+  assert.strictEqual(MathFix.getDecimalPlaces(1.5e-10), 11);
+  assert.strictEqual(MathFix.getDecimalPlaces(1e21), 0);
+  assert.strictEqual(MathFix.getDecimalPlaces(0.125), 3);
+});
+
+test('科学计数法输入的加减乘除', () => {
+  assert.strictEqual(MathFix.add(1e-7, 2e-7), 3e-7);
+  assert.strictEqual(MathFix.subtract(1e-7, 3e-8), 7e-8);
+  assert.strictEqual(MathFix.divide(1e-7, 2e-8), 5);
+  assert.strictEqual(MathFix.add(1.5e-10, 1), 1.00000000015);
+});
+
+test('缩放后超出安全整数范围时改用精确计算', () => {
+  assert.strictEqual(MathFix.multiply(123456789.123, 987654321.987), 121932631355968601.347401);
+  assert.strictEqual(MathFix.add(0.1, 9007199254740990), 9007199254740990);
+  assert.strictEqual(MathFix.subtract(123456789012.345, 0.000001), 123456789012.344999);
+});
+
+test('极小的商保留足够的有效数字', () => {
+  assert.strictEqual(MathFix.divide(1e-23, 7), 1.4285714285714285e-24);
+  assert.strictEqual(MathFix.divide(1e-25, 3), 3.333333333333333e-26);
+  assert.strictEqual(MathFix.divide(3e-30, 1e-7), 3e-23);
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('% 后紧跟带符号的操作数时为取余', () => {
+  assert.strictEqual(MathFix.evaluate('10 % -3'), 1);
+  assert.strictEqual(MathFix.evaluate('10%-3'), 1);
+  assert.strictEqual(MathFix.evaluate('-10 % +3'), -1);
+  assert.strictEqual(MathFix.evaluate('10 % -(1 + 2)'), 1);
+  assert.strictEqual(MathFix.evaluate('7 % -x', { x: 3 }), 1);
+  assert.strictEqual(MathFix.evaluate('50% - 3'), -2.5);
+  assert.strictEqual(MathFix.evaluate('100 + 10% - 5'), 95.1);
+});
+
+test('运算符优先级、结合性与百分号', () => {
+  assert.strictEqual(MathFix.evaluate('0.1 + 0.2'), 0.3);
+  assert.strictEqual(MathFix.evaluate('-2 ^ 2'), -4);
+  assert.strictEqual(MathFix.evaluate('2 ^ 3 ^ 2'), 512);
+  assert.strictEqual(MathFix.evaluate('200 * 15%'), 30);
+  assert.strictEqual(MathFix.evaluate('10 % 3'), 1);
+});
+
+test('变量、函数调用与自定义函数', () => {
+  const variables = { price: 19.9, qty: 3, discount: 5.7, taxRate: 0.13 };
+  assert.strictEqual(MathFix.evaluate('(price * qty - discount) * (1 + taxRate)', variables), 61.02);
+  assert.strictEqual(MathFix.evaluate('round(total / 3, 2)', { total: 10 }), 3.33);
+  assert.strictEqual(MathFix.evaluate('max(1, 3, 2)'), 3);
+  assert.strictEqual(MathFix.evaluate('单价 * 数量', { 单价: 2.5, 数量: 4 }), 10);
+  assert.strictEqual(MathFix.evaluate('vip(100)', {}, { functions: { vip: x => MathFix.multiply(x, 0.8) } }), 80);
+});
+
+test('超出 Number 精度的字面量按 Decimal 计算', () => {
+  const big = MathFix.evaluate('12345678901234567890 + 1');
+  assert.ok(big instanceof MathFix.Decimal);
+  assert.strictEqual(big.toString(), '12345678901234567891');
+});
+
+test('错误信息包含出错位置', () => {
+  assert.throws(() => MathFix.evaluate('1 +'), /位置 3.*意外的表达式结尾/);
+  assert.throws(() => MathFix.evaluate('1 + (2'), /期望 "\)"/);
+  assert.throws(() => MathFix.evaluate('foo'), /未定义的变量 "foo"/);
+  assert.throws(() => MathFix.evaluate('bar(1)'), /未定义的函数 "bar"/);
+  assert.throws(() => MathFix.evaluate('x', { x: '1' }), /必须是数字/);
+  assert.throws(() => MathFix.evaluate('1 / 0'), /位置 2.*除数不能为0/);
+  assert.throws(() => MathFix.evaluate('require("fs")'), /无法识别的字符/);
+});
+
+test('Fraction 变量使表达式返回 Fraction', () => {
+  const third = MathFix.evaluate('a + b', { a: MathFix.Fraction.from('1/3'), b: 1 });
+  assert.ok(third instanceof MathFix.Fraction);
+  assert.strictEqual(third.toString(), '4/3');
+});
+
+test('Fraction 与 Decimal 作为指数', () => {
+  assert.strictEqual(MathFix.evaluate('2 ^ n', { n: MathFix.Fraction.from('3') }), 8);
+  assert.strictEqual(MathFix.evaluate('x ^ n', { x: 4, n: MathFix.Fraction.from('1/2') }), 2);
+  assert.throws(
+    () => MathFix.evaluate('x ^ n', { x: MathFix.Fraction.from('1/4'), n: MathFix.Fraction.from('1/2') }),
+    error => error.position === 2
+  );
+});
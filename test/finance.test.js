@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+const { Decimal } = MathFix;
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, actual + ' 与 ' + expected + ' 相差过大');
+}
+
+test('npv 与 Excel 一样从第一期开始折现', () => {
+  assertClose(MathFix.npv(0.1, [-1000, 300, 400, 500]), -19.124376750222);
+  assertClose(MathFix.npv(0.1, [300, 400, 500]), 978.963185574756);
+  assert.strictEqual(MathFix.npv(new Decimal('0.1'), [-1000, 300, 400, 500]).toString(), '-19.12437675022197937299');
+});
+
+test('irr、xnpv、xirr 与 mirr', () => {
+  assertClose(MathFix.irr([-1000, 300, 400, 500]), 0.088963394693);
+  assertClose(MathFix.irr([-1000, 300, 400, 500], 0.2), 0.088963394693);
+  assertClose(MathFix.irr([-100, 110]), 0.1);
+  assertClose(MathFix.xnpv(0.1, [-1000, 600, 600], ['2024-01-01', '2024-07-01', '2025-01-01']), 117.464382846325);
+  assertClose(MathFix.xirr([-1000, 1100], ['2024-01-01', '2025-01-01']), 0.099713585934);
+  assertClose(MathFix.mirr([-1000, 300, 400, 500], 0.1, 0.12), 0.098156692446);
+  assert.throws(() => MathFix.irr([100, 200]), /现金流必须同时包含正值和负值/);
+  assert.throws(() => MathFix.xnpv(0.1, [1, 2], ['2024-01-01']), /日期数组的长度必须与现金流数组相同/);
+});
+
+test('pv 与 fv', () => {
+  assertClose(MathFix.pv(0.05, 10, -100), 772.173492918481);
+  assertClose(MathFix.fv(0.05, 10, -100), 1257.789253554883);
+  assertClose(MathFix.fv(0.05, 10, 0, -1000), 1628.894626777442);
+  assert.strictEqual(MathFix.pv(0, 10, -100), 1000);
+  assert.strictEqual(MathFix.pv(new Decimal('0.05'), 10, -100).toString(), '772.17349291848125128291');
+});
+
+test('paybackPeriod 与 discountedPaybackPeriod', () => {
+  assert.strictEqual(MathFix.paybackPeriod([-1000, 300, 400, 500]), 2.6);
+  assertClose(MathFix.discountedPaybackPeriod(0.1, [-1000, 300, 400, 500, 600]), 3.051333333333);
+  assert.strictEqual(MathFix.paybackPeriod([-1000, 100]), null);
+});
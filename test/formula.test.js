@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+const { isIdentifier } = require('../mathfix-expression.js');
+
+test('公式的变量名规则与 evaluate 相同', () => {
+  const total = MathFix.formula(x => x.multiply('数量').add('0.13'), { input: '单价' });
+  assert.strictEqual(total({ 单价: 0.1, 数量: 3 }), 0.43);
+  assert.deepStrictEqual(total.variables, ['单价', '数量']);
+  assert.strictEqual(MathFix.formula(JSON.stringify(total))({ 单价: 1, 数量: 2 }), 2.13);
+  assert.strictEqual(MathFix.evaluate('单价 * 数量 + 0.13', { 单价: 0.1, 数量: 3 }), 0.43);
+  assert.ok(isIdentifier('单价') && isIdentifier('_x1') && isIdentifier('$'));
+  assert.ok(!isIdentifier('0.13') && !isIdentifier('a b') && !isIdentifier('') && !isIdentifier(1));
+});
+
+test('formula 接受构建函数、对象和 JSON 字符串', () => {
+  const lineTotal = MathFix.formula(x => x.multiply('qty').subtract('discount').round(2), { input: 'price' });
+  assert.strictEqual(lineTotal({ price: 19.9, qty: 3, discount: 0.35 }), 59.35);
+  assert.deepStrictEqual(lineTotal.map([{ price: 0.1, qty: 3, discount: 0 }, { price: 1.005, qty: 1, discount: 0 }]), [0.3, 1.01]);
+  assert.deepStrictEqual(lineTotal.variables, ['price', 'qty', 'discount']);
+  assert.ok(Object.isFrozen(lineTotal));
+
+  const fromObject = MathFix.formula({
+    input: 'x',
+    steps: [{ operation: 'multiply', args: [{ type: 'decimal', value: '1.13' }] }, { operation: 'round', args: [2] }]
+  });
+  assert.strictEqual(fromObject({ x: 100 }).toString(), '113');
+  assert.strictEqual(MathFix.formula(JSON.stringify(lineTotal))({ price: 19.9, qty: 3, discount: 0.35 }), 59.35);
+});
+
+test('formula 的 JSON 保留高精度常量的类型', () => {
+  const exact = MathFix.formula(x => x.add(new MathFix.Decimal('0.1')).multiply(MathFix.Fraction.from('1/3')).add(BigInt(10)));
+  assert.deepStrictEqual(exact.toJSON().steps.map(step => step.args[0]), [
+    { type: 'decimal', value: '0.1' },
+    { type: 'fraction', value: '1/3' },
+    { type: 'bigint', value: '10' }
+  ]);
+  assert.strictEqual(MathFix.formula(x => x.add(0.2))(0.1), 0.3);
+  assert.strictEqual(MathFix.formula(x => x.divide(3), { mode: 'fraction' })(1).toString(), '1/3');
+  assert.strictEqual(MathFix.create({ roundingMode: 'floor' }).formula(x => x.round())(1.269), 1.26);
+});
+
+test('formula 的错误信息指出出错的步骤', () => {
+  const withDiscount = MathFix.formula(x => x.add('a').subtract('discount'));
+  assert.throws(() => withDiscount({ value: 1, a: 1 }), /公式第 2 步 subtract：未定义的变量 "discount"/);
+  assert.throws(() => MathFix.formula(x => x.divide('d'))({ value: 1, d: 0 }), /公式第 1 步 divide：除数不能为0/);
+  assert.throws(() => MathFix.formula(42), /公式定义必须是构建函数或包含 steps 数组的 JSON/);
+  assert.throws(() => MathFix.formula('{'), SyntaxError);
+  assert.throws(() => MathFix.formula(x => x, { input: '1x' }), /公式的初始值变量名无效：1x/);
+  assert.throws(() => MathFix.formula({ steps: [{ operation: 'nope' }] }), /不支持的公式运算：nope/);
+  assert.throws(() => MathFix.formula(x => x, { mode: 'frac' }), /不支持的计算模式：frac/);
+  assert.throws(() => MathFix.formula({ mode: 'frac', steps: [] }), /不支持的计算模式：frac/);
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+const { Fraction } = MathFix;
+
+test('Fraction 解析分数、带分数、小数和数字并约分', () => {
+  assert.strictEqual(Fraction.from('1/3').toString(), '1/3');
+  assert.strictEqual(Fraction.from('2 1/4').toString(), '9/4');
+  assert.strictEqual(Fraction.from('0.75').toString(), '3/4');
+  assert.strictEqual(Fraction.from(0.1).toString(), '1/10');
+  assert.strictEqual(new Fraction(2, -4).toString(), '-1/2');
+  assert.throws(() => new Fraction(1, 0), /分母不能为0/);
+});
+
+test('Fraction 精确四则运算与输出', () => {
+  const third = Fraction.from('1/3');
+  assert.strictEqual(third.add('1/6').toString(), '1/2');
+  assert.strictEqual(third.multiply(3).toString(), '1');
+  assert.strictEqual(third.divide(2).toString(), '1/6');
+  assert.strictEqual(third.subtract(1).toString(), '-2/3');
+  assert.strictEqual(third.toRepeatingDecimal(), '0.(3)');
+  assert.strictEqual(third.toDecimal().toString(), '0.33333333333333333333');
+  assert.strictEqual(Fraction.from('5/4').toMixedString(), '1 1/4');
+  assert.ok(third.lessThan('0.34'));
+});
+
+test('toFraction 求最佳有理逼近', () => {
+  assert.strictEqual(MathFix.toFraction(0.75).toString(), '3/4');
+  assert.strictEqual(MathFix.toFraction(Math.PI, { maxDenominator: 1000 }).toString(), '355/113');
+  assert.strictEqual(MathFix.toFraction(0.333333, { maxDenominator: 100 }).toString(), '1/3');
+});
+
+test('核心函数与 fraction 模式的链式调用', () => {
+  const sum = MathFix.add(Fraction.from('1/3'), 0.5);
+  assert.ok(sum instanceof Fraction);
+  assert.strictEqual(sum.toString(), '5/6');
+  assert.strictEqual(MathFix.chain(100).divide(3).multiply(3).valueOf(), 100.00000000000001);
+  assert.strictEqual(MathFix.chain(100, { mode: 'fraction' }).divide(3).multiply(3).valueOf().toString(), '100');
+});
+
+test('极小的分数转换为 Number 和 Decimal 时不截断为0', () => {
+  const tiny = new Fraction(BigInt(1), BigInt(3) * BigInt(10) ** BigInt(25));
+  assert.strictEqual(tiny.toNumber(), 3.3333333333333333e-26);
+  assert.strictEqual(tiny.toDecimal().toString(), '0.000000000000000000000000033333333333333333');
+  assert.strictEqual(Fraction.from('1/3').toDecimal().toString(), '0.33333333333333333333');
+});
+
+test('chain 拒绝未知的计算模式', () => {
+  assert.throws(() => MathFix.chain(1, { mode: 'frac' }), /不支持的计算模式：frac/);
+  assert.strictEqual(MathFix.chain(1, { mode: 'number' }).add(0.5).valueOf(), 1.5);
+});
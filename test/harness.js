@@ -0,0 +1,55 @@
+/**
+ * MathFix 测试工具
+ * 只依赖 Node.js 自带的 assert，用例可以是同步函数或返回 Promise 的异步函数
+ */
+
+const tests = [];
+let currentFile = '';
+
+/**
+ * 设置之后注册的用例所属的测试文件
+ * @param {string} file 测试文件名
+ */
+function setFile(file) {
+  currentFile = file;
+}
+
+/**
+ * 注册测试用例
+ * @param {string} name 用例名称
+ * @param {Function} fn 用例函数
+ */
+function test(name, fn) {
+  tests.push({ file: currentFile, name, fn });
+}
+
+/**
+ * 依次运行所有用例并输出结果
+ * @returns {Promise<number>} 失败的用例数
+ */
+async function run() {
+  let failed = 0;
+  let file = null;
+  for (const item of tests) {
+    if (item.file !== file) {
+      file = item.file;
+      console.log('\n' + file);
+    }
+    try {
+      await item.fn();
+      console.log('  ✓ ' + item.name);
+    } catch (error) {
+      failed++;
+      console.log('  ✗ ' + item.name);
+      console.log(String(error && error.stack ? error.stack : error).replace(/^/gm, '    '));
+    }
+  }
+  console.log('\n' + (tests.length - failed) + ' 通过，' + failed + ' 失败');
+  return failed;
+}
+
+module.exports = {
+  setFile,
+  test,
+  run
+};
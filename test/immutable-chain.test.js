@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('不可变链式调用每一步返回新的冻结实例', () => {
+  const base = MathFix.chain(10, { immutable: true });
+  const plus = base.add(5);
+  const times = base.multiply(2);
+  assert.strictEqual(base.valueOf(), 10);
+  assert.strictEqual(plus.valueOf(), 15);
+  assert.strictEqual(times.valueOf(), 20);
+  assert.ok(plus instanceof MathFix.ImmutableMathFixChain);
+  assert.ok(MathFix.MathFixChain.chain(1, { immutable: true }) instanceof MathFix.ImmutableMathFixChain);
+  assert.ok(Object.isFrozen(base) && Object.isFrozen(plus));
+  assert.throws(() => {
+    'use strict';
+    base.value = 3;
+  }, TypeError);
+  assert.strictEqual(base.valueOf(), 10);
+});
+
+test('不可变链式调用的追踪记录互不影响', () => {
+  const start = MathFix.chain(1, { immutable: true, trace: true });
+  const next = start.add(1);
+  assert.strictEqual(start.explain(), '1');
+  assert.strictEqual(next.explain(), '1 + 1 = 2');
+  assert.strictEqual(next.add(2).explain(), '1 + 1 = 2 → 2 + 2 = 4');
+  assert.strictEqual(next.explain(), '1 + 1 = 2');
+});
+
+test('不可变链式调用用 toFormatted 代替 format', () => {
+  const value = MathFix.chain(12345, { immutable: true });
+  assert.throws(() => value.format(), /不可变链式调用不支持 format\(\)/);
+  assert.strictEqual(value.toFormatted({ thousandsSeparator: true }), '12,345');
+});
+
+test('可变链式调用 format 之后 toNumber 抛出错误', () => {
+  const chain = MathFix.chain(1234.5);
+  assert.strictEqual(chain.toNumber(), 1234.5);
+  chain.format({ thousandsSeparator: true });
+  assert.strictEqual(chain.valueOf(), '1,234.5');
+  assert.throws(() => chain.toNumber(), /已被 format\(\) 替换为格式化字符串 "1,234.5"/);
+  assert.strictEqual(MathFix.chain('0.1').add(0.2).toNumber(), 0.3);
+  assert.strictEqual(MathFix.chain('1.5').toNumber(), 1.5);
+});
+
+test('链式调用的 negate、min、max、clamp 与比较', () => {
+  assert.strictEqual(MathFix.chain(5).negate().valueOf(), -5);
+  assert.strictEqual(MathFix.chain(5).clamp(0, 3).valueOf(), 3);
+  assert.strictEqual(MathFix.chain(5).min(3, 4).valueOf(), 3);
+  assert.strictEqual(MathFix.chain(5).max(3, 9).valueOf(), 9);
+  assert.strictEqual(MathFix.chain(0.1).add(0.2).compare(0.3), 0);
+  assert.strictEqual(MathFix.chain(0.1).add(0.2).equals(0.3), true);
+  assert.strictEqual(MathFix.chain(1).lessThan(2), true);
+  assert.strictEqual(MathFix.chain(2).greaterThan(1), true);
+  assert.strictEqual(MathFix.chain(1).lessThanOrEqual(1), true);
+  assert.strictEqual(MathFix.chain(2).greaterThanOrEqual(3), false);
+});
+
+test('链式调用的百分比、复利、带余除法和循环小数', () => {
+  assert.strictEqual(MathFix.chain(200).percentage(15).valueOf(), 30);
+  assert.strictEqual(MathFix.chain(100).percentageChange(125).valueOf(), 25);
+  assert.strictEqual(MathFix.chain(1000).compoundInterest(0.05, 2).valueOf(), 1102.5);
+  assert.deepStrictEqual(MathFix.chain(7).divmod(2), [3, 1]);
+  assert.strictEqual(MathFix.chain(1).divide(3).toNumber(), 0.3333333333333333);
+  assert.strictEqual(MathFix.chain(MathFix.Fraction.from('1/7')).toRepeatingDecimal(), '0.(142857)');
+});
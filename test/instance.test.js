@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('create 的实例使用各自的配置', () => {
+  const grouped = MathFix.create({ defaultPrecision: 4, thousandsSeparator: true });
+  const dollars = MathFix.create({ unit: '$', unitPosition: 'prefix' });
+  assert.strictEqual(grouped.format(12345.678912), '12,345.678912');
+  assert.strictEqual(grouped.round(1.234567), 1.2346);
+  assert.strictEqual(grouped.addThousandsSeparator('1234567.5'), '1,234,567.5');
+  assert.strictEqual(dollars.format(12.5), '$12.5');
+  assert.strictEqual(dollars.addUnitAndFormat(12), '$12');
+  assert.strictEqual(MathFix.format(12345.678912), 12345.678912);
+  assert.strictEqual(MathFix.round(1.234567), 1.23);
+});
+
+test('实例的 setConfig 与全局 setConfig 互不影响', () => {
+  const instance = MathFix.create({ defaultPrecision: 4 });
+  instance.setConfig({ unit: 'kg' });
+  assert.strictEqual(instance.getConfig().unit, 'kg');
+  assert.strictEqual(MathFix.getConfig().unit, '');
+  MathFix.setConfig({ defaultPrecision: 3 });
+  try {
+    assert.strictEqual(instance.getConfig().defaultPrecision, 4);
+    assert.strictEqual(instance.round(1.234567), 1.2346);
+  } finally {
+    MathFix.setConfig({ defaultPrecision: 2 });
+  }
+});
+
+test('实例的 chain 和 create 继承实例配置', () => {
+  const instance = MathFix.create({ unit: 'kg', defaultPrecision: 4 });
+  assert.strictEqual(instance.chain(0.1).add(0.2).format().valueOf(), '0.3kg');
+  const child = instance.create({ defaultPrecision: 1 });
+  assert.strictEqual(child.getConfig().unit, 'kg');
+  assert.strictEqual(child.round(1.26), 1.3);
+  assert.strictEqual(instance.round(1.23456), 1.2346);
+  // 与全局的链式调用一致，round() 未指定小数位数时保留2位
+  assert.strictEqual(instance.chain(1.23456).round().valueOf(), 1.23);
+});
+
+test('实例共享类型和注册表', () => {
+  const instance = MathFix.create();
+  assert.strictEqual(instance.Decimal, MathFix.Decimal);
+  assert.strictEqual(instance.Money, MathFix.Money);
+  assert.ok(instance.add(0.1, 0.2) === 0.3);
+});
+
+test('实例的 locale 只影响数字格式，不影响拼写语言', () => {
+  const instance = MathFix.create({ locale: 'de-DE' });
+  assert.strictEqual(instance.format(12, { words: true }), 'twelve');
+  assert.strictEqual(instance.format(1234.5), '1.234,5');
+  assert.strictEqual(MathFix.format(1234.5), 1234.5);
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('format 按区域规则分组和使用分隔符', () => {
+  assert.strictEqual(MathFix.format(1234567.891, { locale: 'en-IN', precision: 2, thousandsSeparator: true }), '12,34,567.89');
+  assert.strictEqual(MathFix.format(1234567.891, { locale: 'de-DE', precision: 2, thousandsSeparator: true }), '1.234.567,89');
+  assert.strictEqual(MathFix.format(1234567.891, { locale: 'de-CH', thousandsSeparator: true }), '1’234’567.891');
+  assert.strictEqual(MathFix.format(1234567.5, { locale: 'de-DE', useGrouping: false }), '1234567,5');
+  assert.strictEqual(MathFix.format(1234.5, { locale: 'DE-de', thousandsSeparator: true }), '1.234,5');
+});
+
+test('format 使用区域的本地数字和负号', () => {
+  assert.strictEqual(MathFix.format(1234567, { locale: 'hi-IN-u-nu-deva', thousandsSeparator: true }), '१२,३४,५६७');
+  const arabic = MathFix.format(-1234.5, { locale: 'ar-EG', thousandsSeparator: true });
+  assert.ok(/١٬٢٣٤٫٥/.test(arabic), arabic);
+  assert.ok(arabic.includes('-'), arabic);
+});
+
+test('addThousandsSeparator 与全局 locale 配置', () => {
+  assert.strictEqual(MathFix.addThousandsSeparator('1234567.89', 'de-DE'), '1.234.567,89');
+  assert.strictEqual(MathFix.addThousandsSeparator('1234567.89'), '1,234,567.89');
+  MathFix.setConfig({ locale: 'de-DE' });
+  try {
+    assert.strictEqual(MathFix.format(1234.5, { thousandsSeparator: true }), '1.234,5');
+  } finally {
+    MathFix.setConfig({ locale: '' });
+  }
+  assert.strictEqual(MathFix.format(1234.5, { thousandsSeparator: true }), '1,234.5');
+});
+
+test('Intl 缺少区域数据时抛出错误而不是回退', () => {
+  assert.throws(() => MathFix.format(1234.5, { locale: 'zz-ZZ' }), /不支持的区域设置：zz-ZZ/);
+  assert.throws(() => MathFix.setConfig({ locale: 'zz-ZZ' }), /不支持的区域设置/);
+  assert.strictEqual(MathFix.getConfig().locale, '');
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+const { money, Money } = MathFix;
+
+test('Money 以最小货币单位精确运算', () => {
+  assert.strictEqual(money('0.1', 'CNY').add(money('0.2', 'CNY')).toString(), '0.30');
+  assert.strictEqual(money(10, 'USD').multiply(0.333, 'half-even').toString(), '3.33');
+  assert.strictEqual(money(10, 'USD').divide(3, 'down').toString(), '3.33');
+  assert.strictEqual(money(100, 'JPY').toString(), '100');
+  assert.strictEqual(Money.fromMinor(1234, 'CNY').toString(), '12.34');
+  assert.ok(money(1, 'USD').lessThan(money('1.01', 'USD')));
+});
+
+test('Money 拒绝不同币种运算和超出最小货币单位的金额', () => {
+  assert.throws(() => money(1, 'USD').add(money(1, 'EUR')), /币种不一致：USD 与 EUR/);
+  assert.throws(() => money(1.001, 'USD'), /超出 USD 的最小货币单位/);
+  assert.throws(() => money(1, 'XXX'), /不支持的币种：XXX/);
+  assert.strictEqual(money(1.005, 'USD', { roundingMode: 'half-even' }).toString(), '1.00');
+});
+
+test('Money 格式化', () => {
+  assert.strictEqual(money(1234.5, 'CNY').format(), '¥1,234.50');
+  assert.strictEqual(money(-0.99, 'USD').format(), '-$0.99');
+  assert.strictEqual(money(1234.5, 'CNY').format({ symbol: 'code' }), '1,234.50 CNY');
+  assert.strictEqual(money('12.3', 'CNY').format({ chineseCapital: true }), '壹拾贰元叁角');
+  assert.throws(() => money(1, 'USD').format({ chineseCapital: true }), /仅支持 CNY/);
+  assert.strictEqual(JSON.stringify(money(1, 'EUR')), '{"amount":"1.00","currency":"EUR"}');
+});
+
+test('registerCurrency 注册自定义币种', () => {
+  MathFix.registerCurrency('XBT', { symbol: '₿', minorUnits: 8 });
+  assert.strictEqual(money('0.00000001', 'XBT').format(), '₿0.00000001');
+  assert.strictEqual(MathFix.getCurrency('XBT').minorUnits, 8);
+});
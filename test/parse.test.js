@@ -0,0 +1,33 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('parse 还原千分位、货币符号、括号负数和百分号', () => {
+  assert.strictEqual(MathFix.parse('1,234.56'), 1234.56);
+  assert.strictEqual(MathFix.parse('¥1,234.50'), 1234.5);
+  assert.strictEqual(MathFix.parse('-$0.99'), -0.99);
+  assert.strictEqual(MathFix.parse('(1,234.50)'), -1234.5);
+  assert.strictEqual(MathFix.parse('15%'), 0.15);
+  assert.strictEqual(MathFix.parse('100元', { unit: '元' }), 100);
+});
+
+test('parse 遵循区域配置并支持全角和本地数字', () => {
+  assert.strictEqual(MathFix.parse('1.234,56', { locale: 'de-DE' }), 1234.56);
+  assert.strictEqual(MathFix.parse('12,34,567.89', { locale: 'en-IN' }), 1234567.89);
+  assert.strictEqual(MathFix.parse('١٬٢٣٤٫٥', { locale: 'ar-EG' }), 1234.5);
+  assert.strictEqual(MathFix.parse('１２３．４'), 123.4);
+});
+
+test('parse 超出 Number 精度时返回 Decimal，无法解析时抛出错误', () => {
+  const big = MathFix.parse('12345678901234567890.12');
+  assert.ok(big instanceof MathFix.Decimal);
+  assert.strictEqual(big.toString(), '12345678901234567890.12');
+  assert.throws(() => MathFix.parse('abc'), /无法解析 "abc"/);
+  assert.throws(() => MathFix.parse('1.2.3'), /多个小数点/);
+});
+
+test('format 与 parse 往返一致', () => {
+  [1234567.89, -0.5, 1000].forEach(value => {
+    assert.strictEqual(MathFix.parse(MathFix.format(value, { thousandsSeparator: true, locale: 'de-DE' }), { locale: 'de-DE' }), value);
+  });
+});
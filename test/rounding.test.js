@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('round 默认四舍五入远离零，并修复 1.005 的舍入', () => {
+  assert.strictEqual(MathFix.round(1.005, 2), 1.01);
+  assert.strictEqual(MathFix.round(-2.5, 0), -3);
+  assert.strictEqual(MathFix.round(2.345, 2), 2.35);
+});
+
+test('八种舍入模式对正负数的处理', () => {
+  const expected = {
+    'half-away-from-zero': [3, -3],
+    'half-up': [3, -2],
+    'half-down': [2, -3],
+    'half-even': [2, -2],
+    up: [3, -3],
+    down: [2, -2],
+    ceiling: [3, -2],
+    floor: [2, -3]
+  };
+  assert.deepStrictEqual(Object.keys(expected).sort(), MathFix.ROUNDING_MODES.slice().sort());
+  Object.keys(expected).forEach(mode => {
+    assert.deepStrictEqual([MathFix.round(2.5, 0, mode), MathFix.round(-2.5, 0, { roundingMode: mode })], expected[mode], mode);
+  });
+});
+
+test('按增量舍入', () => {
+  assert.strictEqual(MathFix.round(1.23, 2, { increment: 0.05 }), 1.25);
+  assert.strictEqual(MathFix.round(1.22, 2, { increment: 0.05 }), 1.2);
+  assert.strictEqual(MathFix.round(17, 0, { increment: 5, roundingMode: 'floor' }), 15);
+});
+
+test('format 与链式调用使用舍入模式', () => {
+  assert.strictEqual(String(MathFix.format(2.345, { precision: 2, roundingMode: 'floor' })), '2.34');
+  assert.strictEqual(MathFix.chain(2.5).round(0, 'half-even').valueOf(), 2);
+  assert.throws(() => MathFix.round(1.5, 0, 'bogus'), /不支持的舍入模式/);
+});
+
+test('roundingMode 全局配置', () => {
+  MathFix.setConfig({ roundingMode: 'half-even' });
+  try {
+    assert.strictEqual(MathFix.round(2.5, 0), 2);
+    assert.strictEqual(MathFix.round(0.125, 2), 0.12);
+  } finally {
+    MathFix.setConfig({ roundingMode: 'half-away-from-zero' });
+  }
+  assert.strictEqual(MathFix.round(2.5, 0), 3);
+});
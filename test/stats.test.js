@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('variance 对很大的数据不会因相减抵消而丢失精度', () => {
+  assert.strictEqual(MathFix.variance([1e7 + 0.1, 1e7 + 0.2, 1e7 + 0.3], { sample: true }), 0.01);
+  assert.strictEqual(MathFix.variance([1e8 + 0.1, 1e8 + 0.2, 1e8 + 0.3], { sample: true }), 0.01);
+  assert.strictEqual(MathFix.variance([1e15 + 0.1, 1e15 + 0.2]), 0.0025);
+});
+
+test('median 与 mode', () => {
+  assert.strictEqual(MathFix.median([3, 1, 2]), 2);
+  assert.strictEqual(MathFix.median([4, 1, 3, 2]), 2.5);
+  assert.strictEqual(MathFix.median([new MathFix.Decimal('0.1'), new MathFix.Decimal('0.2')]).toString(), '0.15');
+  assert.deepStrictEqual(MathFix.mode([1, 2, 2, 3, 3]), [2, 3]);
+  assert.deepStrictEqual(MathFix.mode([1, 2, 3]), [1, 2, 3]);
+});
+
+test('variance 与 stdDev 的总体、样本和舍入', () => {
+  const data = [2, 4, 4, 4, 5, 5, 7, 9];
+  assert.strictEqual(MathFix.variance(data), 4);
+  assert.strictEqual(MathFix.stdDev(data), 2);
+  assert.strictEqual(MathFix.stdDev(data, { sample: true, scale: 4 }), 2.1381);
+  assert.strictEqual(MathFix.variance([MathFix.Fraction.from(1), 2, 4]).toString(), '14/9');
+  assert.throws(() => MathFix.variance([1], { sample: true }), /样本方差至少需要2个数据/);
+});
+
+test('数量级很小的数据方差与标准差不会被截断为0', () => {
+  const data = [1e-12, 2e-12, 3e-12];
+  assert.strictEqual(MathFix.variance(data), 6.666666666666667e-25);
+  assert.strictEqual(MathFix.stdDev(data), Math.sqrt(6.666666666666667e-25));
+  const decimals = data.map(num => MathFix.Decimal.from(num));
+  assert.strictEqual(MathFix.variance(decimals).toNumber(), 6.666666666666667e-25);
+  assert.ok(Math.abs(MathFix.stdDev(decimals).toNumber() - 8.16496580927726e-13) < 1e-27);
+});
+
+test('quantile 的插值方法与 Excel 一致', () => {
+  const data = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  const expected = { linear: 3.25, exclusive: 2.75, lower: 3, higher: 4, nearest: 3, midpoint: 3.5 };
+  MathFix.QUANTILE_METHODS.forEach(method => {
+    assert.strictEqual(MathFix.quantile(data, 0.25, { method }), expected[method], method);
+  });
+  assert.strictEqual(MathFix.percentile([1, 2, 3, 4], 50), 2.5);
+  assert.throws(() => MathFix.quantile([1, 2], 1.5), /分位必须在0到1之间/);
+  assert.throws(() => MathFix.quantile([1, 2], 0.5, { method: 'x' }), /不支持的分位数插值方法：x/);
+});
+
+test('weightedAverage、range 与 histogram', () => {
+  assert.strictEqual(MathFix.weightedAverage([80, 90], [1, 3]), 87.5);
+  assert.strictEqual(MathFix.weightedAverage([1, 2], [1, 2], { scale: 2 }), 1.67);
+  assert.throws(() => MathFix.weightedAverage([1, 2], [1]), /权重数组的长度必须与数值数组相同/);
+  assert.throws(() => MathFix.weightedAverage([1], [0]), /权重之和不能为0/);
+  assert.strictEqual(MathFix.range([3, 9, 1]), 8);
+  assert.deepStrictEqual(MathFix.histogram([1, 2, 2, 3, 7, 9, 10], 3), [
+    { start: 1, end: 4, count: 4 },
+    { start: 4, end: 7, count: 0 },
+    { start: 7, end: 10, count: 3 }
+  ]);
+  assert.deepStrictEqual(MathFix.histogram([1, 2, 2, 3, 7, 9, 10, 11], [0, 5, 10]), [
+    { start: 0, end: 5, count: 4 },
+    { start: 5, end: 10, count: 3 }
+  ]);
+  assert.throws(() => MathFix.median([]), /输入必须是非空数组/);
+});
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('addTax、removeTax 与 taxAmount', () => {
+  assert.strictEqual(MathFix.addTax(100, 0.13), 113);
+  assert.strictEqual(MathFix.removeTax(113, 0.13), 100);
+  assert.strictEqual(MathFix.taxAmount(100, 0.13), 13);
+  assert.strictEqual(MathFix.taxAmount(113, 0.13, { inclusive: true }), 13);
+  assert.strictEqual(MathFix.addTax(9.99, 0.0725, { precision: 2 }), 10.71);
+  assert.strictEqual(MathFix.removeTax(10, 0.0725, { precision: 4 }), 9.324);
+  assert.strictEqual(MathFix.addTax(new MathFix.Decimal('100'), '0.13').toString(), '113');
+});
+
+test('多项税的叠加与复合', () => {
+  assert.strictEqual(MathFix.addTax(100, [0.05, 0.09975]), 114.98);
+  assert.strictEqual(MathFix.addTax(100, [0.05, 0.1], { compound: true }), 115.5);
+  assert.strictEqual(MathFix.effectiveTaxRate([0.05, 0.1]), 0.15);
+  assert.strictEqual(MathFix.effectiveTaxRate([0.05, 0.1], { compound: true }), 0.155);
+  assert.throws(() => MathFix.addTax(1, -0.1), /税率不能为负数/);
+  assert.throws(() => MathFix.addTax(1, []), /税率不能为空/);
+});
+
+test('calculateInvoice 逐行舍入与汇总舍入', () => {
+  const lines = [0, 1, 2].map(() => ({ price: 0.99, quantity: 3, rate: 0.13 }));
+  const byLine = MathFix.calculateInvoice(lines);
+  assert.deepStrictEqual(byLine.lines[0], { net: 2.97, tax: 0.39, gross: 3.36 });
+  assert.deepStrictEqual(byLine.taxes, [{ rate: 0.13, net: 8.91, tax: 1.17, gross: 10.08 }]);
+  assert.strictEqual(byLine.gross, 10.08);
+  assert.strictEqual(byLine.roundingDifference, 0.01);
+
+  const byTotal = MathFix.calculateInvoice(lines, { rounding: 'total' });
+  assert.deepStrictEqual(byTotal.taxes, [{ rate: 0.13, net: 8.91, tax: 1.16, gross: 10.07 }]);
+  assert.strictEqual(byTotal.tax, 1.16);
+});
+
+test('calculateInvoice 的含税单价、默认税率和参数检查', () => {
+  const invoice = MathFix.calculateInvoice([{ price: 11.3 }], { rate: 0.13, taxIncluded: true });
+  assert.deepStrictEqual(invoice.lines, [{ net: 10, tax: 1.3, gross: 11.3 }]);
+  assert.strictEqual(invoice.roundingDifference, 0);
+  assert.throws(() => MathFix.calculateInvoice([]), /发票行必须是非空数组/);
+  assert.throws(() => MathFix.calculateInvoice([{ price: 1 }], { rounding: 'x' }), /不支持的舍入方式：x/);
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('追踪模式记录每一步的参数、输入、结果和舍入', () => {
+  const result = MathFix.chain(100, { trace: true }).multiply(1.13).round(2);
+  assert.deepStrictEqual(result.getTrace(), {
+    initial: 100,
+    steps: [
+      { operation: 'multiply', operands: [1.13], input: 100, result: 113 },
+      {
+        operation: 'round',
+        operands: [2],
+        input: 113,
+        result: 113,
+        rounding: { precision: 2, roundingMode: 'half-away-from-zero' }
+      }
+    ],
+    result: 113
+  });
+  assert.strictEqual(result.explain(), '100 × 1.13 = 113 → round(2) = 113');
+});
+
+test('追踪记录可序列化为 JSON，高精度值转换为字符串', () => {
+  const result = MathFix.chain(new MathFix.Decimal(10), { trace: true }).divide(3, { scale: 4, roundingMode: 'floor' });
+  assert.strictEqual(result.explain(), '10 ÷ 3 ≈ 3.3333 (scale 4, floor)');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), {
+    initial: '10',
+    steps: [{
+      operation: 'divide',
+      operands: [3, { scale: 4, roundingMode: 'floor' }],
+      input: '10',
+      result: '3.3333',
+      rounding: { precision: 4, roundingMode: 'floor' }
+    }],
+    result: '3.3333'
+  });
+});
+
+test('explain 对函数形式的第一步先写出初始值', () => {
+  const formatted = MathFix.chain(1234.5, { trace: true }).format({ thousandsSeparator: true });
+  assert.strictEqual(formatted.explain(), '1234.5 → format({"thousandsSeparator":true}) = "1,234.5"');
+  assert.strictEqual(MathFix.chain(5, { trace: true }).explain(), '5');
+});
+
+test('未开启追踪模式时不记录步骤', () => {
+  const result = MathFix.chain(new MathFix.Decimal('0.1')).add(0.2);
+  assert.strictEqual(result.steps, null);
+  assert.strictEqual(JSON.stringify(result), '"0.3"');
+  assert.throws(() => result.getTrace(), /未开启追踪模式/);
+  assert.throws(() => result.explain(), /未开启追踪模式/);
+});
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('convert 换算长度、质量、面积和体积', () => {
+  assert.strictEqual(MathFix.convert(1, 'km', 'm'), 1000);
+  assert.strictEqual(MathFix.convert(0.1, 'm', 'cm'), 10);
+  assert.strictEqual(MathFix.convert(1, 'ft', 'in'), 12);
+  assert.strictEqual(MathFix.convert(1, '丈', '尺'), 10);
+  assert.strictEqual(MathFix.convert(1, '斤', 'kg'), 0.5);
+  assert.strictEqual(MathFix.convert(1, '亩', 'm2'), 666.6666666666666);
+  assert.strictEqual(MathFix.convert(1, 'gal', 'L'), 3.785411784);
+  assert.strictEqual(MathFix.convert(1, 'mi', 'km', { precision: 3 }), 1.609);
+});
+
+test('convert 换算带偏移量的温度', () => {
+  assert.strictEqual(MathFix.convert(100, 'C', 'F'), 212);
+  assert.strictEqual(MathFix.convert(32, '°F', '℃'), 0);
+  assert.strictEqual(MathFix.convert(0, '摄氏度', 'K'), 273.15);
+});
+
+test('convert 的结果类型跟随输入', () => {
+  const third = MathFix.convert(MathFix.Fraction.from(1), '尺', 'm');
+  assert.ok(third instanceof MathFix.Fraction);
+  assert.strictEqual(third.toString(), '1/3');
+  assert.strictEqual(MathFix.convert('1', '尺', 'm').toString(), '0.33333333333333333333');
+  assert.strictEqual(MathFix.convert(BigInt(1), 'lb', 'oz').toString(), '16');
+});
+
+test('formatUnit 换算后附加单位符号', () => {
+  assert.strictEqual(MathFix.formatUnit(1.5, 'm2'), '1.5m²');
+  assert.strictEqual(MathFix.formatUnit(1, '斤', { to: 'g', separator: ' ' }), '500 g');
+  assert.strictEqual(MathFix.formatUnit(1234.5, 'm', { thousandsSeparator: true }), '1,234.5m');
+  assert.strictEqual(MathFix.formatUnit(1, 'mi', { to: 'km', precision: 2 }), '1.61km');
+});
+
+test('registerUnit 注册自定义单位，非法参数报错', () => {
+  MathFix.registerUnit('shaku', { category: 'length', factor: '10/33', aliases: ['日本尺'] });
+  assert.strictEqual(MathFix.convert(33, 'shaku', 'm'), 10);
+  assert.strictEqual(MathFix.getUnit('日本尺').symbol, 'shaku');
+  assert.throws(() => MathFix.convert(1, 'm', 'kg'), /单位类型不一致：m（length）与 kg（mass）/);
+  assert.throws(() => MathFix.convert(1, 'xx', 'm'), /不支持的单位：xx/);
+  assert.throws(() => MathFix.registerUnit('a', { category: 'x', factor: 0 }), /单位换算系数必须大于0/);
+  assert.throws(() => MathFix.registerUnit('a', { category: 'x' }), /缺少单位换算系数/);
+  assert.throws(() => MathFix.registerUnit('', {}), /单位名称必须是非空字符串/);
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('实例的 withConfig 临时覆盖实例配置', async () => {
+  const instance = MathFix.create({ unit: '元' });
+  const result = await instance.withConfig({ thousandsSeparator: true }, async () => {
+    await Promise.resolve();
+    return [instance.format(12345), instance.chain(12345).format().valueOf(), MathFix.format(12345)];
+  });
+  assert.deepStrictEqual(result, ['12,345元', '12,345元', 12345]);
+  assert.strictEqual(instance.format(12345), '12345元');
+  assert.strictEqual(instance.getConfig().thousandsSeparator, false);
+});
+
+test('全局 withConfig 不影响实例，实例 withConfig 不影响全局', () => {
+  const instance = MathFix.create({ defaultPrecision: 4 });
+  MathFix.withConfig({ defaultPrecision: 1 }, () => {
+    assert.strictEqual(MathFix.round(1.23456), 1.2);
+    assert.strictEqual(instance.round(1.23456), 1.2346);
+    instance.withConfig({ defaultPrecision: 3 }, () => {
+      assert.strictEqual(instance.round(1.23456), 1.235);
+      assert.strictEqual(MathFix.round(1.23456), 1.2);
+    });
+  });
+});
+
+test('withConfig 结束后恢复配置，抛出错误时也恢复', () => {
+  assert.strictEqual(MathFix.withConfig({ thousandsSeparator: true }, () => MathFix.format(12345)), '12,345');
+  assert.strictEqual(MathFix.format(12345), 12345);
+  assert.throws(() => MathFix.withConfig({ defaultPrecision: 5 }, () => {
+    throw new Error('中断');
+  }), /中断/);
+  assert.strictEqual(MathFix.getConfig().defaultPrecision, 2);
+  assert.throws(() => MathFix.withConfig({}, null), /第二个参数必须是函数/);
+});
+
+test('withConfig 可以嵌套，fn 内的 setConfig 只修改临时配置', () => {
+  MathFix.withConfig({ defaultPrecision: 4 }, () => {
+    MathFix.withConfig({ unit: 'kg' }, () => {
+      assert.strictEqual(MathFix.getConfig().defaultPrecision, 4);
+      assert.strictEqual(MathFix.getConfig().unit, 'kg');
+    });
+    MathFix.setConfig({ roundingMode: 'floor' });
+    assert.strictEqual(MathFix.round(1.23459), 1.2345);
+  });
+  assert.strictEqual(MathFix.getConfig().roundingMode, 'half-away-from-zero');
+  assert.strictEqual(MathFix.round(1.23459), 1.23);
+});
+
+test('withConfig 的临时配置在 await 之后仍然生效，并发调用互不干扰', async () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const run = (precision, ms) => MathFix.withConfig({ defaultPrecision: precision }, async () => {
+    await delay(ms);
+    return MathFix.round(Math.PI);
+  });
+  const results = await Promise.all([run(1, 20), run(3, 5), run(5, 10)]);
+  assert.deepStrictEqual(results, [3.1, 3.142, 3.14159]);
+  assert.strictEqual(MathFix.round(Math.PI), 3.14);
+});
+
+test('ES Module 版本的 withConfig 在 await 之后仍然生效', async () => {
+  const esm = await import('../mathfix.mjs');
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const result = await esm.withConfig({ thousandsSeparator: true }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return esm.format(12345);
+  });
+  assert.strictEqual(result, '12,345');
+});
@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { test } = require('./harness.js');
+const MathFix = require('../mathfix.js');
+
+test('format 的拼写语言不受 Intl 区域设置影响', () => {
+  assert.strictEqual(MathFix.format(12, { words: true, locale: 'de-DE' }), 'twelve');
+  MathFix.setConfig({ locale: 'de-DE' });
+  try {
+    assert.strictEqual(MathFix.format(12, { words: true }), 'twelve');
+    assert.strictEqual(MathFix.format(1234.5), '1.234,5');
+  } finally {
+    MathFix.setConfig({ locale: '' });
+  }
+});
+
+test('toWords 拼写数字与支票金额', () => {
+  assert.strictEqual(MathFix.toWords(1234.56), 'one thousand two hundred thirty-four point five six');
+  assert.strictEqual(MathFix.toWords(-0.5), 'minus zero point five');
+  assert.strictEqual(MathFix.toWords(1000000), 'one million');
+  assert.strictEqual(MathFix.toWords(BigInt(12)), 'twelve');
+  assert.strictEqual(MathFix.toWords(1234.56, { currency: 'USD' }), 'one thousand two hundred thirty-four dollars and fifty-six cents');
+  assert.strictEqual(MathFix.toWords(1.01, { currency: 'USD' }), 'one dollar and one cent');
+  assert.strictEqual(MathFix.toWords(21, { currency: 'USD' }), 'twenty-one dollars');
+  assert.strictEqual(MathFix.toWords(100, { currency: 'JPY' }), 'one hundred yen');
+});
+
+test('toWords 金额按辅币舍入', () => {
+  assert.strictEqual(MathFix.toWords(1.005, { currency: 'USD' }), 'one dollar and one cent');
+});
+
+test('toWords 对未知语言和币种报错', () => {
+  assert.throws(() => MathFix.toWords(1, { locale: 'xx' }), /不支持的拼写语言：xx/);
+  assert.throws(() => MathFix.toWords(1, { currency: 'XYZ' }), /拼写规则中没有币种：XYZ/);
+});
+
+test('registerWordsLocale 注册新语言，区域代码退回到语言部分', () => {
+  const digits = ['nul', 'een', 'twee', 'drie'];
+  MathFix.registerWordsLocale('nl', {
+    cardinal: n => digits[Number(n)],
+    minus: 'min',
+    point: 'komma'
+  });
+  assert.strictEqual(MathFix.toWords(-2.3, { locale: 'nl-BE' }), 'min twee komma drie');
+  assert.strictEqual(MathFix.format(3, { words: { locale: 'nl' } }), 'drie');
+  assert.throws(() => MathFix.registerWordsLocale('nl', {}), /cardinal/);
+});
+
+test('format 与 Money.format 的 words 选项', () => {
+  assert.strictEqual(MathFix.format(1234.56, { words: { currency: 'USD' } }), 'one thousand two hundred thirty-four dollars and fifty-six cents');
+  assert.strictEqual(MathFix.money('12.5', 'USD').format({ words: true }), 'twelve dollars and fifty cents');
+});